@@ -0,0 +1,163 @@
+/*global DataRow */
+/*jslint nomen: true*/
+
+/**
+ * provides the audit trail of the changes made to the database through a DataAccess
+ * @module Audit
+ */
+const _ = require('lodash');
+const jsDataSet = require('jsDataSet');
+const rowState = jsDataSet.dataRowState;
+
+
+/**
+ * Configuration of the audit trail of a DataAccess.
+ * Every row inserted, updated or deleted in an audited table gives an audit entry like
+ *  {tableName: string, operation: 'I'|'U'|'D', key: object, oldValues: object, newValues: object,
+ *   user: string, timestamp: Date}
+ *  where key has the primary key values of the row, oldValues and newValues have the values of the fields
+ *  changed, oldValues is null for inserts and newValues is null for deletes.
+ * Entries are written in the same transaction of the changes, either to the sink, if given, or to the audit
+ *  table, that must have the columns tablename, operation, keyvalues, oldvalues, newvalues (the last three
+ *  are json text), username and stamp.
+ * @class Audit
+ */
+
+/**
+ * @constructor
+ * @param {object} [options]
+ * @param {string} [options.tableName='audit'] table where entries are written, never audited
+ * @param {object} [options.sink] if given, entries are given to its method write(entries, DataAccess), that
+ *  can return a promise, Deferred or native, and are not written to the audit table
+ * @param {string[]} [options.tables] tables audited, if not given all tables are audited
+ * @param {object} [options.keys] primary key columns by table name, as {tableName: string[]}. Keys of tables
+ *  not listed are read from the database schema
+ */
+function Audit(options) {
+    const opt = options || {};
+    this.tableName = opt.tableName || 'audit';
+    this.sink = opt.sink || null;
+    this.tables = opt.tables || null;
+    this.keys = _.clone(opt.keys) || {};
+}
+
+Audit.prototype = {
+    constructor: Audit,
+
+    /**
+     * Checks if the changes to a table are audited
+     * @method isAudited
+     * @param {string} tableName
+     * @returns {boolean}
+     */
+    isAudited: function (tableName) {
+        return tableName !== this.tableName && (this.tables === null || _.includes(this.tables, tableName));
+    },
+
+    /**
+     * Gets an audit entry
+     * @method getEntry
+     * @param {string} tableName
+     * @param {string} operation I|U|D
+     * @param {object} key primary key values
+     * @param {object|null} oldValues
+     * @param {object|null} newValues
+     * @param {string} user
+     * @returns {object}
+     */
+    getEntry: function (tableName, operation, key, oldValues, newValues, user) {
+        return {
+            tableName: tableName,
+            operation: operation,
+            key: key,
+            oldValues: oldValues,
+            newValues: newValues,
+            user: user,
+            timestamp: new Date()
+        };
+    },
+
+    /**
+     * Gets the audit entries of an update of some rows, with the fields whose value is changed.
+     * Rows where no value is changed give no entry.
+     * @method getUpdateEntries
+     * @param {string} tableName
+     * @param {string[]} keyColumns
+     * @param {object[]} oldRows rows as they were before the update
+     * @param {string[]} columns columns updated
+     * @param {Array} values new values of columns
+     * @param {string} user
+     * @returns {object[]}
+     */
+    getUpdateEntries: function (tableName, keyColumns, oldRows, columns, values, user) {
+        const that = this,
+            newRow = _.zipObject(columns, values);
+        return _.compact(_.map(oldRows, function (oldRow) {
+            const changed = _.filter(columns, function (c) {
+                return !_.isEqual(oldRow[c], newRow[c]);
+            });
+            if (changed.length === 0) {
+                return null;
+            }
+            return that.getEntry(tableName, 'U', _.pick(_.assign({}, oldRow, newRow), keyColumns),
+                _.pick(oldRow, changed), _.pick(newRow, changed), user);
+        }));
+    },
+
+    /**
+     * Gets the audit entry of a DataRow being posted, or null if the row is not changed
+     * @method getRowEntry
+     * @param {DataRow} r
+     * @param {string} user
+     * @param {object} [values] values of fields posted in place of those of r, see DataAccess.getPostCommand
+     * @returns {object|null}
+     */
+    getRowEntry: function (r, user, values) {
+        const row = r.getRow(),
+            tableName = row.table.name,
+            current = _.assign(_.pick(r, _.keys(r)), values),
+            key = _.pick(current, row.table.key());
+
+        function originalValues(fields) {
+            return _.zipObject(fields, _.map(fields, function (f) {
+                return row.getValue(f, jsDataSet.dataRowVersion.original);
+            }));
+        }
+
+        if (row.state === rowState.added) {
+            return this.getEntry(tableName, 'I', key, null, current, user);
+        }
+        if (row.state === rowState.modified) {
+            const fields = _.union(row.getModifiedFields(), _.keys(values));
+            return this.getEntry(tableName, 'U', key, originalValues(fields), _.pick(current, fields), user);
+        }
+        if (row.state === rowState.deleted) {
+            return this.getEntry(tableName, 'D', originalValues(row.table.key()), originalValues(_.keys(r)), null,
+                user);
+        }
+        return null;
+    },
+
+    /**
+     * Gets the row of the audit table storing an entry
+     * @method toAuditRow
+     * @param {object} entry
+     * @returns {object}
+     */
+    toAuditRow: function (entry) {
+        return {
+            tablename: entry.tableName,
+            operation: entry.operation,
+            keyvalues: JSON.stringify(entry.key),
+            oldvalues: entry.oldValues ? JSON.stringify(entry.oldValues) : null,
+            newvalues: entry.newValues ? JSON.stringify(entry.newValues) : null,
+            username: entry.user,
+            stamp: entry.timestamp
+        };
+    }
+};
+
+
+module.exports = {
+    Audit: Audit
+};
@@ -0,0 +1,176 @@
+/*jslint nomen: true*/
+
+/**
+ * provides column permissions, by which the security provider hides or masks some columns of the tables read
+ * @module ColumnSecurity
+ */
+const _ = require('lodash');
+
+
+/**
+ * Value returned in place of the values of masked columns
+ * @private
+ * @property {string} maskedValue
+ */
+const maskedValue = '****';
+
+
+/**
+ * Permissions on the columns of a table, given by the security provider as {columnName: rule} where rule is
+ *  'hidden': the column is removed from the results and can't be explicitly asked for
+ *  'masked': values that are not null are replaced by ****
+ *  function (value, row): gives the value to return in place of value, row is the whole row read as an object
+ * Columns not listed are returned as they are.
+ * @class ColumnPermissions
+ */
+
+/**
+ * @constructor
+ * @param {object} [rules] {columnName: 'hidden'|'masked'|function}
+ */
+function ColumnPermissions(rules) {
+    this.rules = rules || {};
+
+    /**
+     * true if some rule needs the whole row
+     * @private
+     * @property {boolean} needsRow
+     */
+    this.needsRow = _.some(this.rules, _.isFunction);
+}
+
+ColumnPermissions.prototype = {
+    constructor: ColumnPermissions,
+
+    /**
+     * Merges the rules of another table, as needed when tables are joined
+     * @method merge
+     * @param {ColumnPermissions} other
+     * @returns {ColumnPermissions} a new ColumnPermissions
+     */
+    merge: function (other) {
+        return new ColumnPermissions(_.assign({}, this.rules, other.rules));
+    },
+
+    /**
+     * Checks if there is no rule at all
+     * @method isEmpty
+     * @returns {boolean}
+     */
+    isEmpty: function () {
+        return _.isEmpty(this.rules);
+    },
+
+    /**
+     * Gets the hidden columns explicitly asked in a list of columns. * and table.* are not explicit requests.
+     * @method getHiddenColumns
+     * @param {string|Array} columns column names comma separated, or an array of column names and
+     *  {expr: sqlFun, alias: string} objects, as given to DataAccess.select
+     * @returns {string[]}
+     */
+    getHiddenColumns: function (columns) {
+        const rules = this.rules,
+            hidden = _.filter(_.keys(rules), function (name) {
+                return rules[name] === 'hidden';
+            }),
+            items = _.isString(columns) ? columns.split(',') : (columns || []);
+        return _.filter(hidden, function (name) {
+            const nameRegex = new RegExp('\\b' + _.escapeRegExp(name) + '\\b');
+            return _.some(items, function (item) {
+                if (_.isString(item)) {
+                    return getColumnName(item) === name;
+                }
+                return item.alias === name || (item.expr !== undefined && nameRegex.test(item.expr.toString()));
+            });
+        });
+    },
+
+    /**
+     * Applies the rules to a row read as a plain object
+     * @method applyToObject
+     * @param {object} row
+     * @returns {object} a new object without hidden columns and with masked values
+     */
+    applyToObject: function (row) {
+        const rules = this.rules,
+            res = {};
+        _.forEach(row, function (value, name) {
+            if (rules[name] === 'hidden') {
+                return;
+            }
+            res[name] = applyRule(rules[name], value, row);
+        });
+        return res;
+    },
+
+    /**
+     * Removes hidden columns from a list of column names
+     * @method applyToMeta
+     * @param {string[]} meta
+     * @returns {string[]}
+     */
+    applyToMeta: function (meta) {
+        const rules = this.rules;
+        return _.filter(meta, function (name) {
+            return rules[name] !== 'hidden';
+        });
+    },
+
+    /**
+     * Applies the rules to raw rows, arrays of values in the order of meta
+     * @method applyToRaw
+     * @param {string[]} meta column names
+     * @param {Array[]} rows
+     * @returns {Array[]} new rows without the values of hidden columns and with masked values
+     */
+    applyToRaw: function (meta, rows) {
+        const rules = this.rules,
+            needsRow = this.needsRow,
+            indexes = _.filter(_.range(meta.length), function (i) {
+                return rules[meta[i]] !== 'hidden';
+            });
+        return _.map(rows, function (values) {
+            const row = needsRow ? _.zipObject(meta, values) : null;
+            return _.map(indexes, function (i) {
+                return applyRule(rules[meta[i]], values[i], row);
+            });
+        });
+    }
+};
+
+/**
+ * Gets the name of the column read by an item of a column list like 'name', 'c.name' or 'name as n'
+ * @method getColumnName
+ * @private
+ * @param {string} item
+ * @returns {string}
+ */
+function getColumnName(item) {
+    const expr = item.trim().split(/\s+as\s+|\s+/i)[0],
+        parts = expr.split('.');
+    return parts[parts.length - 1].replace(/^[`\["]|[`\]"]$/g, '');
+}
+
+/**
+ * Gets the value to return for a column
+ * @method applyRule
+ * @private
+ * @param {string|function} [rule]
+ * @param {object} value
+ * @param {object} row
+ * @returns {object}
+ */
+function applyRule(rule, value, row) {
+    if (_.isFunction(rule)) {
+        return rule(value, row);
+    }
+    if (rule === 'masked' && value !== null && value !== undefined) {
+        return maskedValue;
+    }
+    return value;
+}
+
+
+module.exports = {
+    ColumnPermissions: ColumnPermissions
+};
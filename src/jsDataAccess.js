@@ -17,6 +17,18 @@ const Deferred = require("JQDeferred");
 const _ = require('lodash');
 const multiSelect = require('jsMultiSelect');
 const async = require('async');
+const Readable = require('stream').Readable;
+const fs = require('fs');
+const errors = require('./jsDataAccessErrors');
+const StatementCache = require('./jsStatementCache').StatementCache;
+const queryCache = require('./jsQueryCache');
+const QueryBuilder = require('./jsQueryBuilder').QueryBuilder;
+const schema = require('./jsSchema');
+const migrator = require('./jsMigrator');
+const sqlScript = require('./jsSqlScript');
+const ColumnPermissions = require('./jsColumnSecurity').ColumnPermissions;
+const Audit = require('./jsAudit').Audit;
+const StampColumns = require('./jsStampColumns').StampColumns;
 
 /**
  * @private
@@ -48,6 +60,136 @@ const isolationLevels = {
 };
 
 
+/**
+ * Tells if an error is transient, i.e. a deadlock, a lock timeout or a lost connection, so that
+ *  the command that raised it can be run again
+ * @method isTransientError
+ * @static
+ * @param {object} err
+ * @returns {boolean}
+ */
+function isTransientError(err) {
+    if (!err) {
+        return false;
+    }
+    if (err instanceof errors.ConnectionError) {
+        return true;
+    }
+    const e = err.cause || err,
+        code = String(e.code || e.errno || e.number || ''),
+        transientCodes = ['ER_LOCK_DEADLOCK', 'ER_LOCK_WAIT_TIMEOUT', '1205', '1213', '40001',
+            'PROTOCOL_CONNECTION_LOST', 'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE'];
+    if (_.includes(transientCodes, code)) {
+        return true;
+    }
+    return /deadlock|lock wait timeout|connection lost|connection was closed|ECONNRESET|ETIMEDOUT/i
+        .test(String(e.message || e));
+}
+
+/**
+ * Default values for the retry policy of a DataAccess
+ * @property defaultRetryPolicy
+ * @static
+ * @type {object}
+ */
+const defaultRetryPolicy = {
+    /**
+     * number of attempts, including the first one
+     */
+    maxAttempts: 3,
+    /**
+     * milliseconds to wait after first failure, doubled at every following failure
+     */
+    baseDelay: 100,
+    /**
+     * maximum milliseconds to wait between two attempts
+     */
+    maxDelay: 5000,
+    /**
+     * fraction (0..1) of the delay that is randomized, so that concurrent clients don't retry all together
+     */
+    jitter: 0.5,
+    /**
+     * function (err) telling if the error is transient
+     */
+    isRetryable: isTransientError
+};
+
+
+/**
+ * A sql command having ? placeholders and the values bound to them.
+ * Drivers declaring supportsParameters receive SqlCommand as they are and may also return them from
+ *  getSelectCommand, getInsertCommand and the other command builders, so that values are never quoted
+ *  into the sql text. Single row inserts and updates, as those of doSingleInsert, doSingleUpdate and
+ *  getPostCommand, are given to them as SqlCommand even when their builders give sql text.
+ *  With other drivers, values are quoted with the driver formatter and the resulting string is run.
+ * @class SqlCommand
+ */
+
+/**
+ * @constructor
+ * @param {string} sql
+ * @param {object[]} [params]
+ */
+function SqlCommand(sql, params) {
+    this.sql = sql;
+    this.params = params || [];
+}
+
+SqlCommand.prototype.toString = function () {
+    return this.sql;
+};
+
+
+/**
+ * A sql command to be run many times with different parameters, obtained with DataAccess.prepare
+ * If the driver implements prepare(sql), giving a promise to a statement with execute(params, raw) and
+ *  optionally unprepare(), the statement is prepared on the database the first time it is run and kept in the
+ *  statement cache of the DataAccess. Otherwise it is run as any other parameterized command.
+ * @class PreparedStatement
+ */
+
+/**
+ * @constructor
+ * @param {DataAccess} DA
+ * @param {string} sql command with ? placeholders
+ */
+function PreparedStatement(DA, sql) {
+    this.DA = DA;
+    this.sql = sql;
+}
+
+PreparedStatement.prototype = {
+    constructor: PreparedStatement,
+
+    /**
+     * Runs the statement, giving the first table returned
+     * @method execute
+     * @param {object[]} [params] values of the placeholders
+     * @param {boolean} [raw=false] if true, Data will not be objectified
+     * @returns {promise}
+     */
+    execute: function (params, raw) {
+        return this.DA.runSql(new SqlCommand(this.sql, params), raw);
+    },
+
+    /**
+     * Runs the statement, giving the first value returned
+     * @method executeValue
+     * @param {object[]} [params] values of the placeholders
+     * @returns {promise}
+     */
+    executeValue: function (params) {
+        return this.DA.runCmd(new SqlCommand(this.sql, params));
+    },
+
+    toString: function () {
+        return this.sql;
+    }
+};
+
+
+
 
 /**
  * A DataAccess is a rich connection to a database and provides many non-blocking query functions to manage it.
@@ -66,6 +208,21 @@ const isolationLevels = {
  *  the doneCallBack will be called with (this) Connection as parameter
  * @param {boolean|undefined} [options.persisting=true] if true the connection will stay open until one explicitly closes it
  * @param {securityProvider} options.securityProv
+ * @param {object} [options.retryPolicy] if given, idempotent reads failing for transient errors are retried.
+ *  Missing fields are taken from defaultRetryPolicy
+ * @param {object} [options.hooks] functions invoked when commands start, end or fail, see hooks property
+ * @param {number} [options.statementCacheSize=100] maximum number of prepared statements kept open on the
+ *  connection, 0 disables the cache
+ * @param {QueryCache|object} [options.queryCache] cache of select and readSingleValue results, given as a QueryCache
+ *  or as the options to create one, see queryCache property
+ * @param {object} [options.tenant] tables scoped by tenant, see tenant property
+ * @param {string[]} options.tenant.tables names of the tables scoped by tenant
+ * @param {string} [options.tenant.column='idtenant'] column of the scoped tables holding the tenant
+ * @param {string} [options.tenant.field='idtenant'] field of the environment holding the tenant of the user
+ * @param {Audit|object} [options.audit] audit trail of the changes, given as an Audit or as the options to create
+ *  one, see audit property
+ * @param {StampColumns|object} [options.stampColumns] columns filled with the time and the user of the changes,
+ *  given as a StampColumns or as the options to create one, see stampColumns property
  */
 function DataAccess(options) {
 
@@ -92,6 +249,43 @@ function DataAccess(options) {
     that.myLastError = null;
     that.sqlConn = null;
     that.security=null;
+    that.transactionLevel = 0;
+    that.retryPolicy = options.retryPolicy ? _.defaults({}, options.retryPolicy, defaultRetryPolicy) : null;
+    that.hooks = options.hooks || null;
+
+    /**
+     * Prepared statements of the underlying connection, discarded when it is closed
+     * @public
+     * @property {StatementCache} statementCache
+     */
+    that.statementCache = new StatementCache(options.statementCacheSize);
+
+    if (options.queryCache) {
+        that.queryCache = options.queryCache instanceof queryCache.QueryCache ?
+            options.queryCache :
+            new queryCache.QueryCache(options.queryCache);
+    }
+
+    if (options.tenant) {
+        that.tenant = _.defaults({}, options.tenant, {tables: [], column: 'idtenant', field: 'idtenant'});
+    }
+
+    if (options.audit) {
+        that.audit = options.audit instanceof Audit ? options.audit : new Audit(options.audit);
+    }
+
+    if (options.stampColumns) {
+        that.stampColumns = options.stampColumns instanceof StampColumns ?
+            options.stampColumns :
+            new StampColumns(options.stampColumns);
+    }
+
+    /**
+     * Same functions of this DataAccess returning native Promises and async iterables
+     * @public
+     * @property {PromiseDataAccess} promises
+     */
+    this.promises = new PromiseDataAccess(this);
 
     this.nesting = 0; //open / close nesting level: every open increments nesting by one, while close decrements it
 
@@ -102,7 +296,7 @@ function DataAccess(options) {
      *  is cleared after having been returned. It means that if you read lastError two times in a row will always
      *  get null the second time.
      * @public
-     * @property {string} lastError
+     * @property {DataAccessError} lastError
      */
     Object.defineProperty(this, "lastError", {
         get: function () {
@@ -117,6 +311,18 @@ function DataAccess(options) {
         enumerable: false
     });
 
+    /**
+     * True if a transaction has been started and not yet committed or rolled back
+     * @public
+     * @property {boolean} inTransaction
+     */
+    Object.defineProperty(this, "inTransaction", {
+        get: function () {
+            return that.transactionLevel > 0;
+        },
+        enumerable: false
+    });
+
     /**
      *Gets the security object and then calls the doneCallBack or errCallBack on errors
      *@method  getSecurity
@@ -141,9 +347,10 @@ function DataAccess(options) {
                     that.close();
                 })
                 .fail(function (err) {
-                    that.lastError = "Error getting security information:" + err.toString();
+                    that.lastError = new errors.SecurityError("Error getting security information:" + err.toString(),
+                        {cause: err});
                     if (options.errCallBack) {
-                        options.errCallBack(err);
+                        options.errCallBack(that.myLastError);
                     }
                 });
         }
@@ -161,9 +368,9 @@ function DataAccess(options) {
                 getSecurity(conn);
             })
             .fail(function (err) {
-                that.lastError = "Error opening database:" + err.toString();
+                that.lastError = new errors.ConnectionError("Error opening database:" + err.toString(), {cause: err});
                 if (options.errCallBack) {
-                    options.errCallBack(err);
+                    options.errCallBack(that.myLastError);
                 }
             });
     }
@@ -181,12 +388,16 @@ DataAccess.prototype = {
     /**
      * Last error during db activity
      * @private
-     * @property {string} myLastError
+     * @property {DataAccessError} myLastError
      */
     myLastError: null,
 
     /**
-     * Security function provider for this connection
+     * Security function provider for this connection.
+     * It can also have a method columnPermissions(tableName, environment) returning a promise to, or directly,
+     *  an object {columnName: 'hidden'|'masked'|function(value, row)} telling which columns of the table
+     *  are removed from or masked in the results of select, selectRows, queryPackets and multiSelect
+     *  (see ColumnPermissions)
      * @public
      * @property {Security} security
      */
@@ -198,7 +409,7 @@ DataAccess.prototype = {
      * get lastError without destroying it
      * @public
      * @method secureGetLastError
-     * @returns {string|null}
+     * @returns {DataAccessError|null}
      */
     secureGetLastError: function () {
         return this.myLastError;
@@ -255,6 +466,90 @@ DataAccess.prototype = {
      */
     sqlConn: null,
 
+    /**
+     * Policy used to retry select, selectCount, readSingleValue and transactions invoked with the retry option,
+     *  when they fail for a transient error. null means no retry. Results of those functions are resolved with an
+     *  additional argument {attempts: number, retries: number}
+     * @public
+     * @property {object} retryPolicy
+     */
+    retryPolicy: null,
+
+    /**
+     * Functions invoked for every command sent to the driver, like {onQueryStart, onQueryEnd, onError}, all optional.
+     * Each is called with an event {kind, sql, params, tableName, environment, user, rowCount, elapsed, error}
+     *  where kind is query, update or sp, sql is the stored procedure name when kind is sp, elapsed is in
+     *  milliseconds and error is only given to onError. Exceptions thrown by hooks are ignored.
+     * null means no hook.
+     * @public
+     * @property {object} hooks
+     */
+    hooks: null,
+
+    /**
+     * Cache of the results of select and readSingleValue, keyed by the command sent to the driver and the secured
+     *  filter. Results are only cached for tables having a time to live and are not read nor stored inside
+     *  transactions. All results read from a table are discarded when this DataAccess writes it, commands run with
+     *  runSql, runCmd or runScript must be followed by a call to invalidateCache. null means no cache.
+     * @public
+     * @property {QueryCache} queryCache
+     */
+    queryCache: null,
+
+    /**
+     * Tenant scoping as {tables, column, field}: rows of the tables listed are only visible to users of the same
+     *  tenant. The tenant of the user, taken from the field of the environment, is joined to the filters of select,
+     *  selectCount, readSingleValue, multiSelect, updates and deletes, and is written in the rows inserted.
+     *  Reading or writing a scoped table with an environment having no tenant gives a SecurityError.
+     *  Every function accepts an allTenants option to bypass the scoping, to be used by administrative jobs only.
+     *  null means no table is scoped.
+     * @public
+     * @property {object} tenant
+     */
+    tenant: null,
+
+    /**
+     * Audit trail of the rows inserted, updated and deleted with doSingleInsert, doSingleUpdate, doSingleDelete
+     *  and saveDataSet. Changes to audited tables are run in a transaction, where their audit entries are
+     *  written too. Commands run with runSql, runCmd or runScript are not audited. null means no audit trail.
+     * @public
+     * @property {Audit} audit
+     */
+    audit: null,
+
+    /**
+     * Columns filled with the current time and the user of the environment by doSingleInsert, doSingleUpdate and
+     *  saveDataSet, overwriting any value given by callers. Inserts fill creation (ct, cu) and last change (lt, lu)
+     *  columns, updates only last change columns. Columns of tables given by convention are read from the schema
+     *  the first time the table is written with doSingleInsert or doSingleUpdate. null means no stamp column.
+     * @public
+     * @property {StampColumns} stampColumns
+     */
+    stampColumns: null,
+
+    /**
+     * Discards the cached results read from a table, or all cached results if no table is given
+     * @method invalidateCache
+     * @param {string} [tableName]
+     */
+    invalidateCache: function (tableName) {
+        if (!this.queryCache) {
+            return;
+        }
+        this.queryCache.invalidate(tableName);
+        if (this.transactionLevel > 0) {
+            // other connections sharing the cache could read old values until the transaction ends
+            this.writtenTables = _.union(this.writtenTables, [tableName]);
+        }
+    },
+
+    /**
+     * Tables written in the current transaction, invalidated again in the cache when it ends
+     * @private
+     * @property {string[]} writtenTables
+     */
+    writtenTables: [],
+
 
     /**
      * Opens the underlying connection.
@@ -298,8 +593,9 @@ DataAccess.prototype = {
             }
             return Deferred().resolve().promise();
         }
-        const that = this,
-            res = this.sqlConn.close();
+        const that = this;
+        this.statementCache.clear();
+        const res = this.sqlConn.close();
         res.done(function () {
             that.nesting = 0;
         });
@@ -311,6 +607,7 @@ DataAccess.prototype = {
      * @method destroy
      */
     destroy: function () {
+        this.statementCache.clear();
         if (this.sqlConn) {
             this.sqlConn.destroy();
         }
@@ -322,7 +619,8 @@ DataAccess.prototype = {
 
 
     /**
-     * Read a value from database. If multiple values are returned, the first is taken
+     * Read a value from database. If multiple values are returned, the first is taken.
+     * If the driver supports prepared statements, the command is run with the statement cache.
      * @method readSingleValue
      * @param options {object} options has those fields:
      * @param {string} options.tableName  table name
@@ -331,21 +629,42 @@ DataAccess.prototype = {
      * @param {string} [options.top]
      * @param {string} [options.orderBy]
      * @param {Environment} [options.environment]
+     * @param {boolean} [options.allTenants=false] if true, rows of any tenant are read
      * @returns {object}
      */
     readSingleValue: function (options) {
-        return this.myReadValue(options);
+        const that = this;
+        let opt;
+        try {
+            opt = _.assign({}, options, {filter: scopeFilter(this, options.filter, options.tableName, options)});
+        } catch (err) {
+            return Deferred().reject(err).promise();
+        }
+        const cmd = getValueCommand(this, opt);
+        return readCached(this, [options.tableName], ['value', cmd, opt.filter], options.environment, function () {
+            return withRetry(that, function () {
+                return that.myReadFirstValue(getPreparedCommand(that, cmd),
+                    {tableName: options.tableName, environment: options.environment});
+            });
+        });
     },
 
     /**
      * Read a value from database. If multiple values are returned, the last is taken
      * @method readLastValue
-     * @param {string} query command to run
+     * @param {string|SqlCommand} query command to run
+     * @param {object[]} [params] values of the ? placeholders of query
      * @returns {object}
      */
-    readLastValue: function (query) {
+    readLastValue: function (query, params) {
         const res = Deferred();
-        this.myReadLastTable( query)
+        let cmd;
+        try {
+            cmd = getDriverCommand(this, query, params);
+        } catch (err) {
+            return res.reject(err).promise();
+        }
+        this.myReadLastTable(cmd)
             .done(function (result) {
                 res.resolve(getAProperty(getObjectOrLastRow(result)));
             })
@@ -362,11 +681,12 @@ DataAccess.prototype = {
      * @private
      * @param {DataAccess} conn
      * @param {string} query
+     * @param {object} [info] {tableName, environment} given to hooks
      * @returns {object}
      */
-    myReadFirstValue: function( query) {
+    myReadFirstValue: function( query, info) {
         const res = Deferred();
-        this.myReadFirstTable( query)
+        this.myReadFirstTable( query, false, info)
         .done(function (result) {
             res.resolve(getAProperty(getObjectOrFirstRow(result)));
         })
@@ -387,12 +707,14 @@ DataAccess.prototype = {
     myReadLastTable: function (query, raw) {
         const res = Deferred();
         ensureOpen(this, function (conn) {
-            return conn.sqlConn.queryBatch(query, raw)
+            return traceQuery(conn, {kind: 'query', sql: query}, function () {
+                return runQueryBatch(conn, query, raw);
+            })
                 .done(function (result) {
                     res.resolve(result);
                 })
                 .fail(function (err) {
-                    res.reject(err);
+                    res.reject(errors.toDriverError(err, {sql: query}));
                 });
         });
         return res.promise();
@@ -405,17 +727,20 @@ DataAccess.prototype = {
      * @private
      * @param {string} query
      * @param {boolean} [raw=false]
+     * @param {object} [info] {tableName, environment} given to hooks
      * @returns {Array}
      */
-    myReadFirstTable: function (query, raw) {
+    myReadFirstTable: function (query, raw, info) {
         const res = Deferred();
         ensureOpen(this, function (conn) {
             if (!conn.sqlConn.queryBatch){
                 //Qui conn.sqlConn.queryBatch è undefined
-                res.reject("conn.sqlConn.queryBatch is undefined");
+                res.reject(new errors.DriverError("conn.sqlConn.queryBatch is undefined", {sql: query}));
                 return;
             }
-            return conn.sqlConn.queryBatch(query, raw)
+            return traceQuery(conn, _.assign({kind: 'query', sql: query}, info), function () {
+                return runQueryBatch(conn, query, raw);
+            })
             .progress(function (result) {
                 res.resolve(result);
             })
@@ -423,7 +748,7 @@ DataAccess.prototype = {
                 res.resolve(result);
             })
             .fail(function (err) {
-                res.reject(err);
+                res.reject(errors.toDriverError(err, {sql: query}));
             });
         });
         return res.promise();
@@ -434,12 +759,41 @@ DataAccess.prototype = {
      * Read a value from database. If multiple values are returned, the first is taken.
      * It is similar to readSingleValue but accepts a generic sql command
      * @method runCmd
-     * @param cmd {string} should be a command resulting in a single value returned from db.
+     * @param cmd {string|SqlCommand} should be a command resulting in a single value returned from db.
      *    Other output data will be ignored
+     * @param {object[]} [params] values of the ? placeholders of cmd
      * @returns {object}
      */
-    runCmd: function (cmd) {
-        return this.myReadFirstValue( cmd);
+    runCmd: function (cmd, params) {
+        try {
+            return this.myReadFirstValue(getDriverCommand(this, cmd, params));
+        } catch (err) {
+            return Deferred().reject(err).promise();
+        }
+    },
+
+
+    /**
+     * Gets a statement to be run many times with different parameters
+     * @method prepare
+     * @param {string} sql command with ? placeholders
+     * @returns {PreparedStatement}
+     * @example DA.prepare('select name from customer where idcustomer = ?').executeValue([1])
+     */
+    prepare: function (sql) {
+        return new PreparedStatement(this, sql);
+    },
+
+
+    /**
+     * Starts building a query on a table
+     * @method from
+     * @param {string} tableName
+     * @returns {QueryBuilder}
+     * @example DA.from('customer').columns('idcustomer', 'name').where($dq.eq('cat', 2)).top(10).fetch()
+     */
+    from: function (tableName) {
+        return new QueryBuilder(this, tableName);
     },
 
 
@@ -447,35 +801,63 @@ DataAccess.prototype = {
      * Read a table from database. If multiple tables are returned, the first is taken.
      * It is similar to readSingleValue but accepts a generic sql command
      * @method runSql
-     * @param cmd {string} should be a command resulting in a table. Only first table got will be returned
+     * @param cmd {string|SqlCommand} should be a command resulting in a table. Only first table got will be returned
+     * @param {object[]} [params] values of the ? placeholders of cmd, can be omitted or null
      * @param {boolean} [raw=false] if true, Data will not be objectified
      * @returns {Array}
+     * @example DA.runSql('select * from customer where idcustomer = ?', [1])
      */
-    runSql: function (cmd, raw) {
-        return this.myReadFirstTable( cmd, raw);
+    runSql: function (cmd, params, raw) {
+        if (_.isBoolean(params)) {
+            raw = params;
+            params = null;
+        }
+        try {
+            return this.myReadFirstTable(getDriverCommand(this, cmd, params), raw);
+        } catch (err) {
+            return Deferred().reject(err).promise();
+        }
     },
 
 
     /**
-     * do a delete Command
+     * do a delete Command. The security condition for deletes ('D') is merged into the filter.
      * @method doSingleDelete
      * @param {object} options
      * @param {string} options.tableName
      * @param {sqlFun} options.filter
      * @param {Environment} [options.environment]
+     * @param {boolean} [options.applySecurity=true]
+     * @param {boolean} [options.allTenants=false] if true, rows of any tenant can be deleted
      * @returns {promise}
      */
     doSingleDelete: function (options) {
-        const cmd = this.sqlConn.getDeleteCommand(options),
+        const that = this,
             res = Deferred();
-        this.doGenericUpdate(cmd)
-            .done(function (val) {
-                //noinspection JSUnresolvedVariable
-                if (val === undefined || val.rowcount === undefined || val.rowcount === 0) {
-                    res.reject('There was no row in table ' + options.tableName + ' to delete with condition ' + options.filter);
-                } else {
-                    res.resolve(val);
-                }
+        secureWrite(this, options.tableName, options.filter, options, 'D')
+            .done(function (filterSec) {
+                const cmd = that.sqlConn.getDeleteCommand(_.assign({}, options, {filter: filterSec}));
+                runAudited(that, options.tableName, options.environment, filterSec, function () {
+                    return that.doGenericUpdate(cmd, {tableName: options.tableName, environment: options.environment});
+                }, function (keyColumns, oldRows, user) {
+                    return _.map(oldRows, function (oldRow) {
+                        return that.audit.getEntry(options.tableName, 'D', _.pick(oldRow, keyColumns), oldRow, null,
+                            user);
+                    });
+                })
+                    .done(function (val) {
+                        //noinspection JSUnresolvedVariable
+                        if (val === undefined || val.rowcount === undefined || val.rowcount === 0) {
+                            res.reject(new errors.NoRowAffectedError('There was no row in table ' +
+                                options.tableName + ' to delete with condition ' + filterSec,
+                                {sql: cmd, tableName: options.tableName, filter: filterSec}));
+                        } else {
+                            res.resolve(val);
+                        }
+                    })
+                    .fail(function (err) {
+                        res.reject(err);
+                    });
             })
             .fail(function (err) {
                 res.reject(err);
@@ -485,24 +867,57 @@ DataAccess.prototype = {
 
 
     /**
-     * do an insert Command
+     * do an insert Command. The row is checked against the security condition for inserts ('I') and the
+     *  promise is rejected with a SecurityError if it does not satisfy it.
+     * If the table is scoped by tenant, the tenant of the user is written in the tenant column.
      * @method doSingleInsert
      * @param table {string}
      * @param columns {string} array of column names
      * @param values {string} array of corresponding value
+     * @param {object} [options]
+     * @param {Environment} [options.environment]
+     * @param {boolean} [options.applySecurity=true]
+     * @param {boolean} [options.allTenants=false] if true, the tenant column is not written
      * @returns {promise}
      */
-    doSingleInsert: function (table, columns, values) {
-        const cmd = this.sqlConn.getInsertCommand(table, columns, values),
-            res = Deferred();
-        this.doGenericUpdate( cmd)
-            .done(function (val) {
-                //noinspection JSUnresolvedVariable
-                if (val === undefined || val.rowcount === undefined || val.rowcount === 0) {
-                    res.reject('Error running command ' + cmd);
-                } else {
-                    res.resolve(val);
-                }
+    doSingleInsert: function (table, columns, values, options) {
+        const that = this,
+            opt = options || {},
+            res = Deferred(),
+            row = _.zipObject(columns, values);
+        let tenant;
+        try {
+            tenant = getTenantToWrite(this, table, row, opt);
+        } catch (err) {
+            return res.reject(err).promise();
+        }
+        if (tenant !== undefined) {
+            row[this.tenant.column] = tenant;
+        }
+        getStampValues(this, table, 'insert', opt.environment)
+            .then(function (stamps) {
+                _.assign(row, stamps);
+                return checkInsertSecurity(that, table, [row], opt);
+            })
+            .done(function () {
+                const cmd = getInsertCommand(that, table, _.keys(row), _.values(row));
+                runAudited(that, table, opt.environment, null, function () {
+                    return that.doGenericUpdate(cmd, {tableName: table, environment: opt.environment});
+                }, function (keyColumns, oldRows, user) {
+                    return [that.audit.getEntry(table, 'I', _.pick(row, keyColumns), null, row, user)];
+                })
+                    .done(function (val) {
+                        //noinspection JSUnresolvedVariable
+                        if (val === undefined || val.rowcount === undefined || val.rowcount === 0) {
+                            res.reject(new errors.NoRowAffectedError('Error running command ' + cmd,
+                                {sql: cmd, tableName: table}));
+                        } else {
+                            res.resolve(val);
+                        }
+                    })
+                    .fail(function (err) {
+                        res.reject(err);
+                    });
             })
             .fail(function (err) {
                 res.reject(err);
@@ -511,7 +926,9 @@ DataAccess.prototype = {
     },
 
     /**
-     * do an update Command
+     * do an update Command. The security condition for updates ('U') is merged into the filter.
+     * If the table is scoped by tenant, only rows of the tenant of the user are updated and the tenant column
+     *  can't be set to another tenant.
      * @method doSingleUpdate
      * @param {object} options
      * @param {string} options.table
@@ -519,19 +936,45 @@ DataAccess.prototype = {
      * @param {Array} options.columns
      * @param {Array} options.values
      * @param {Environment} [options.environment]
+     * @param {boolean} [options.applySecurity=true]
+     * @param {boolean} [options.allTenants=false] if true, rows of any tenant can be updated
      * @returns {promise}
      */
     doSingleUpdate: function (options) {
-        const cmd = this.sqlConn.getUpdateCommand(options),
+        const that = this,
             res = Deferred();
-        this.doGenericUpdate( cmd)
-            .done(function (val) {
-                //noinspection JSUnresolvedVariable
-                if (val === undefined || val.rowcount === undefined || val.rowcount === 0) {
-                    res.reject('Error running command ' + cmd + 'detail:', val);
-                } else {
-                    res.resolve(val);
-                }
+        let opt = options;
+        try {
+            getTenantToWrite(this, options.table, _.zipObject(options.columns, options.values), options);
+        } catch (err) {
+            return res.reject(err).promise();
+        }
+        getStampValues(this, options.table, 'update', options.environment)
+            .then(function (stamps) {
+                const values = _.assign(_.zipObject(options.columns, options.values), stamps);
+                opt = _.assign({}, options, {columns: _.keys(values), values: _.values(values)});
+                return secureWrite(that, opt.table, opt.filter, opt, 'U');
+            })
+            .done(function (filterSec) {
+                const cmd = getUpdateCommand(that, _.assign({}, opt, {filter: filterSec}));
+                runAudited(that, opt.table, opt.environment, filterSec, function () {
+                    return that.doGenericUpdate(cmd, {tableName: opt.table, environment: opt.environment});
+                }, function (keyColumns, oldRows, user) {
+                    return that.audit.getUpdateEntries(opt.table, keyColumns, oldRows, opt.columns, opt.values, user);
+                })
+                    .done(function (val) {
+                        //noinspection JSUnresolvedVariable
+                        if (val === undefined || val.rowcount === undefined || val.rowcount === 0) {
+                            res.reject(new errors.NoRowAffectedError('There was no row in table ' + opt.table +
+                                ' to update with condition ' + filterSec,
+                                {sql: cmd, tableName: opt.table, filter: filterSec}));
+                        } else {
+                            res.resolve(val);
+                        }
+                    })
+                    .fail(function (err) {
+                        res.reject(err);
+                    });
             })
             .fail(function (err) {
                 res.reject(err);
@@ -541,30 +984,100 @@ DataAccess.prototype = {
 
 
     /**
-     * gets the sql cmd to post a row to db. On Error, the command must return errNum
+     * gets the sql cmd to post a row to db, applying security: the security condition for updates ('U') or
+     *  deletes ('D') is merged into the filter, and added rows are checked against the condition for inserts ('I').
+     * The promise is rejected with a SecurityError if an added row does not satisfy the insert condition.
+     * Rows of tables scoped by tenant are restricted to the tenant of the user, that is written in the tenant
+     *  column of added rows. The row is left unchanged: the tenant is only written by the command, and the values
+     *  it writes in place of those of the row are given back together with it.
+     * @method getSecuredPostCommand
+     * @param {DataRow} r
+     * @param {OptimisticLocking} optimisticLocking
+     * @param {Environment} environment
+     * @param {object} [options]
+     * @param {boolean} [options.applySecurity=true] if false, only the tenant scoping is applied
+     * @param {boolean} [options.allTenants=false] if true, tenant scoping is not applied
+     * @param {object} [options.values] values of fields to write in place of those of r, see getPostCommand
+     * @return {promise} promise resolved with (command, values) where command is as in getPostCommand and values
+     *  are options.values together with the tenant written in added rows
+     */
+    getSecuredPostCommand: function (r, optimisticLocking, environment, options) {
+        const that = this,
+            row = r.getRow(),
+            def = Deferred(),
+            opt = _.assign({}, options, {environment: environment}),
+            values = _.assign({}, opt.values),
+            current = _.assign(_.pick(r, _.keys(r)), values);
+        if (row.state === rowState.added || row.state === rowState.modified) {
+            let tenant;
+            try {
+                tenant = getTenantToWrite(this, row.table.name, current, opt);
+            } catch (err) {
+                return def.reject(err).promise();
+            }
+            if (row.state === rowState.added && tenant !== undefined) {
+                values[this.tenant.column] = tenant;
+                current[this.tenant.column] = tenant;
+            }
+        }
+        if (row.state === rowState.added) {
+            checkInsertSecurity(this, row.table.name, [current], opt)
+                .done(function () {
+                    def.resolve(that.getPostCommand(r, optimisticLocking, environment, values), values);
+                })
+                .fail(function (err) {
+                    def.reject(err);
+                });
+            return def.promise();
+        }
+        if (row.state !== rowState.modified && row.state !== rowState.deleted) {
+            return def.resolve(null, values).promise();
+        }
+        const filter = optimisticLocking.getOptimisticLock(r);
+        secureWrite(this, row.table.name, filter, opt, row.state === rowState.modified ? 'U' : 'D')
+            .done(function (filterSec) {
+                const lock = {
+                    getOptimisticLock: function () {
+                        return filterSec;
+                    }
+                };
+                def.resolve(that.getPostCommand(r, lock, environment, values), values);
+            })
+            .fail(function (err) {
+                def.reject(err);
+            });
+        return def.promise();
+    },
+
+
+    /**
+     * gets the sql cmd to post a row to db. On Error, the command must return errNum.
+     * Security is not applied, see getSecuredPostCommand.
      * @method getPostCommand
      * @param {DataRow} r
      * @param {OptimisticLocking} optimisticLocking
      * @param {Environment} environment
-     * @return {string|null}
+     * @param {object} [values] values of fields to write in place of those of r, that is left unchanged
+     * @return {string|SqlCommand|null}
      */
-    getPostCommand: function (r, optimisticLocking, environment) {
-        const row = r.getRow();
+    getPostCommand: function (r, optimisticLocking, environment, values) {
+        const row = r.getRow(),
+            current = _.assign(_.pick(r, _.keys(r)), values);
         if (row.state === rowState.modified) {
-            const modifiedFields = row.getModifiedFields();
-            return this.sqlConn.getUpdateCommand(
+            const modifiedFields = _.union(row.getModifiedFields(), _.keys(values));
+            return getUpdateCommand(this,
                 {
                     table: row.table.name,
                     filter: optimisticLocking.getOptimisticLock(r),
                     columns: modifiedFields,
                     values: _.map(modifiedFields, function (field) {
-                        return r[field];
+                        return current[field];
                     }),
                     environment: environment
                 });
         }
         if (row.state === rowState.added) {
-            return this.sqlConn.getInsertCommand(row.table.name, _.keys(r), _.values(r));
+            return getInsertCommand(this, row.table.name, _.keys(current), _.values(current));
         }
         if (row.state === rowState.deleted) {
             return this.sqlConn.getDeleteCommand(
@@ -588,13 +1101,9 @@ DataAccess.prototype = {
      * @example  DA.callSP('reset_customer',[1])
      */
     callSP: function (spName, paramList, raw) {
-        return this.sqlConn.callSPWithNamedParams({
-            spName: spName,
-            paramList: _.map(paramList, function (p) {
-                return {value: p};
-            }),
-            raw: raw
-        });
+        return this.callSPWithNamedParams(spName, _.map(paramList, function (p) {
+            return {value: p};
+        }), raw);
     },
 
 
@@ -617,7 +1126,10 @@ DataAccess.prototype = {
      *      [{name:'idcustomer', value:1}, {name:maxValue, sqlType:int, value:null, out:true, outValue:12}]
      */
     callSPWithNamedParams: function (spName, paramList, raw) {
-        return this.sqlConn.callSPWithNamedParams({spName: spName, paramList: paramList, raw: raw});
+        const that = this;
+        return traceQuery(this, {kind: 'sp', sql: spName, params: paramList}, function () {
+            return that.sqlConn.callSPWithNamedParams({spName: spName, paramList: paramList, raw: raw});
+        });
     },
 
 
@@ -627,11 +1139,18 @@ DataAccess.prototype = {
      * @param {object} opt
      * @param {string} [opt.tableName] physical table or view to be read
      * @param {string} [opt.alias] table name wanted for the result if different from opt.tableName
-     * @param {string|*} [opt.columns] column names comma separated
+     * @param {string|*} [opt.columns] column names comma separated, or an array of column names and
+     *  {expr: sqlFun, alias: string} objects, where expr can be an aggregate like $dq.sum
      * @param {string} [opt.orderBy=null]
      * @param {sqlFun} [opt.filter=null]
      * @param {string} [opt.top=null]
+     * @param {string} [opt.tableAlias] alias of tableName, to qualify its columns when tables are joined
+     * @param {object[]} [opt.joins] tables joined, like {tableName, [alias], [type='inner'|'left'], on: sqlFun}.
+     *  Security conditions of joined tables are appended to their on condition
+     * @param {string|string[]} [opt.groupBy] columns to group by
+     * @param {sqlFun} [opt.having] condition on groups
      * @param {boolean} [opt.applySecurity=true] if true,   security condition is appended to filter
+     * @param {boolean} [opt.allTenants=false] if true, rows of any tenant are read
      * @param {Environment} [opt.environment] environment for the current user
      * @param {boolean} [raw=false] if raw, data returned is not objectified
      */
@@ -645,14 +1164,21 @@ DataAccess.prototype = {
             return def.promise();
         }
 
-        this.getFilterSecured(options.filter, options.applySecurity, options.tableName, options.environment)
-            .then(function (filterSec) {
+        secureSelect(this, options)
+            .then(function (filterSec, permissions, joins) {
                     options.filter = filterSec;
-                    const selCmd = that.sqlConn.getSelectCommand(options);
-                    that.runSql(selCmd, raw)
-                        .done(function (dataRead) {
-                            dataRead.tableName = options.alias || options.tableName;
-                            def.resolve(dataRead);
+                    const selCmd = that.sqlConn.getSelectCommand(getSecuredOptions(options, filterSec, joins)),
+                        tableNames = [options.tableName].concat(_.map(options.joins, 'tableName'));
+                    readCached(that, tableNames, ['select', selCmd, filterSec, raw], options.environment, function () {
+                        return withRetry(that, function () {
+                            return that.myReadFirstTable(selCmd, raw,
+                                {tableName: options.tableName, environment: options.environment});
+                        });
+                    })
+                        .done(function (dataRead, retryInfo) {
+                            const result = applyColumnPermissions(permissions, dataRead, raw);
+                            result.tableName = options.alias || options.tableName;
+                            def.resolve(result, retryInfo);
                         })
                         .fail(function (err) {
                             def.reject(err);
@@ -672,6 +1198,8 @@ DataAccess.prototype = {
      * So the first result will be {meta:[array of column descriptors]} then will follow other results like
      *  if raw is false : {row:{object read from db}}
      *  if raw is true : {row:[array of column values]}
+     * The promise has the pause, resume and cancel functions of the driver command, if it has them
+     *  (see createReadStream).
      *
      * @method selectRows
      * @param {object} opt
@@ -681,20 +1209,38 @@ DataAccess.prototype = {
      * @param {sqlFun} [opt.filter=null]
      * @param {string} [opt.top=null]
      * @param {boolean} [opt.applySecurity=true] if true,   security condition is appended to filter
+     * @param {boolean} [opt.allTenants=false] if true, rows of any tenant are read
      * @param {Environment} [opt.environment] environment for the current user
      * @param {boolean} [raw=false] if raw=true, data returned is not objectified
      */
     selectRows: function (opt, raw) {
-        const options = _.defaults(opt, {columns: '*', applySecurity: true, filter: null});
-        return ensureOpen(this, function (conn) {
-            return conn.getFilterSecured(options.filter, options.applySecurity, options.tableName, options.environment)
-                .then(function (filterSec) {
+        const options = _.defaults(opt, {columns: '*', applySecurity: true, filter: null}),
+            control = getDriverControl();
+        return control.attach(ensureOpen(this, function (conn) {
+            return secureSelect(conn, options)
+                .then(function (filterSec, permissions, joins) {
                         options.filter = filterSec;
-                    const selCmd = conn.sqlConn.getSelectCommand(options);
-                    return conn.sqlConn.queryLines(selCmd, raw);
+                    const selCmd = conn.sqlConn.getSelectCommand(getSecuredOptions(options, filterSec, joins)),
+                        translate = getLineTranslator(permissions, raw),
+                        def = Deferred();
+                    control.setSource(traceQuery(conn,
+                        {kind: 'query', sql: selCmd, tableName: options.tableName, environment: options.environment},
+                        function () {
+                            return conn.sqlConn.queryLines(selCmd, raw);
+                        }))
+                        .progress(function (r) {
+                            def.notify(translate(r));
+                        })
+                        .done(function (res) {
+                            def.resolve(res);
+                        })
+                        .fail(function (err) {
+                            def.reject(err);
+                        });
+                    return def.promise();
                     }
                 );
-        });
+        }));
     },
 
 
@@ -706,21 +1252,23 @@ DataAccess.prototype = {
      * @param {boolean} applySecurity
      * @param {string} tableName
      * @param {Environment} [environment]
+     * @param {string} [opKind='S'] operation asked to the security provider, S|I|U|D
      * @returns {sqlFun}
      */
-    getFilterSecured: function (filter, applySecurity, tableName, environment) {
+    getFilterSecured: function (filter, applySecurity, tableName, environment, opKind) {
         const def = Deferred();
         if (filter && filter.isFalse) {
             def.resolve(filter);
             return def.promise();
         }
         if (applySecurity && this.security) {
-            this.security.securityCondition(tableName, 'S', environment)
+            this.security.securityCondition(tableName, opKind || 'S', environment)
                 .done(function (securityCondition) {
                     def.resolve($dq.and(filter, securityCondition));
                 })
                 .fail(function (err) {
-                    def.reject(err);
+                    def.reject(new errors.SecurityError('Error getting security condition for table ' + tableName +
+                        ':' + err, {tableName: tableName, filter: filter, cause: err}));
                 });
         } else {
             def.resolve(filter);
@@ -740,6 +1288,7 @@ DataAccess.prototype = {
      * @param {string} [options.top]
      * @param {Environment} [options.environment] environment for the current user
      * @param {boolean} [options.applySecurity=true] if true,   security condition is appended to filter
+     * @param {boolean} [options.allTenants=false] if true, rows of any tenant are read
      */
     selectIntoTable: function (options) {
         const opt = _.defaults(options),
@@ -768,53 +1317,185 @@ DataAccess.prototype = {
      * @returns {*}
      */
     beginTransaction: function (isolationLevel) {
-        return this.sqlConn.beginTransaction(isolationLevel);
+        const that = this;
+        return this.sqlConn.beginTransaction(isolationLevel)
+            .done(function () {
+                that.transactionLevel = 1;
+            });
     },
 
+    /**
+     * Commits the current transaction
+     * @method commit
+     * @returns {*}
+     */
     commit: function () {
-        return this.sqlConn.commit();
-    },
-
-    rollback: function () {
-        return this.sqlConn.rollBack();
+        const that = this;
+        return this.sqlConn.commit()
+            .done(function () {
+                that.transactionLevel = 0;
+                invalidateWrittenTables(that);
+            });
     },
 
-
     /**
-     * Gets a sql-formatter compatible with this Connection
-     * @method getFormatter
+     * Rolls back the current transaction
+     * @method rollback
      * @returns {*}
      */
-    getFormatter : function () {
-        return this.sqlConn.getFormatter();
+    rollback: function () {
+        const that = this;
+        return this.sqlConn.rollBack()
+            .always(function () {
+                that.transactionLevel = 0;
+                invalidateWrittenTables(that);
+            });
     },
 
-
     /**
-     * run a command to the db ensuring the connection is open in the while
-     *  it is a shortcut to an ensureOpen + updateBatch
-     * @method doGenericUpdate
+     * Nesting level of the transactions: 0 if no transaction is open, 1 if a transaction is open, more than one
+     *  when some savepoint has been set with nested calls to transaction
      * @private
-     * @param {string} cmd
-     * @returns {promise}
+     * @property {int} transactionLevel
      */
-    doGenericUpdate: function(cmd) {
-        const res = Deferred();
-        ensureOpen(this, function (conn) {
-            return conn.sqlConn.updateBatch(cmd)
-                .done(function (result) {
-                    res.resolve(result);
-                })
-                .fail(function (err) {
-                    res.reject(err);
-                });
-        });
-        return res.promise();
-    },
-
+    transactionLevel: 0,
 
     /**
-     * Executes a query given by options parameter and returns the first value returned
+     * Runs fn in a transaction, committing it when fn succeeds and rolling it back when fn fails or throws.
+     * If a transaction is already open, a savepoint is set instead, and fn changes are rolled back to that
+     *  savepoint if fn fails, leaving the outer transaction open.
+     * The connection is kept open during the whole transaction.
+     * Transactions on the same DataAccess must not be run concurrently.
+     * If options.retry is true and the retry policy classifies the error as transient, the whole transaction
+     *  is run again, so fn must be safe to be repeated. Nested transactions are never retried.
+     * @method transaction
+     * @param {string} isolationLevel ignored for nested transactions
+     * @param {function} fn function (DataAccess) returning a promise, either Deferred or native, or a value
+     * @param {object} [options]
+     * @param {boolean} [options.retry=false] if true the transaction is retried following the retry policy
+     * @returns {promise} promise settled as the one returned by fn
+     */
+    transaction: function (isolationLevel, fn, options) {
+        const that = this,
+            def = Deferred();
+        let savepoint = null;
+
+        if (options && options.retry && !this.inTransaction) {
+            return withRetry(this, function () {
+                return that.transaction(isolationLevel, fn);
+            });
+        }
+
+        function finish(success, value) {
+            let res;
+            if (savepoint) {
+                const cmd = getSavepointCommand(that.sqlConn, success ? 'release' : 'rollback', savepoint);
+                res = cmd ? that.doGenericUpdate(cmd) : Deferred().resolve().promise();
+                res = res.always(function () {
+                    that.transactionLevel -= 1;
+                });
+            } else if (success) {
+                res = that.commit()
+                    .then(null, function (err) {
+                        return that.rollback()
+                            .then(function () {
+                                return Deferred().reject(err).promise();
+                            });
+                    });
+            } else {
+                res = that.rollback();
+            }
+            res.always(function () {
+                that.close();
+            })
+                .done(function () {
+                    if (success) {
+                        def.resolve(value);
+                    } else {
+                        def.reject(value);
+                    }
+                })
+                .fail(function (err) {
+                    def.reject(success ? errors.toDriverError(err) : value);
+                });
+        }
+
+        this.open()
+            .then(function () {
+                    if (that.transactionLevel > 0) {
+                        savepoint = 'sp_' + that.transactionLevel;
+                        return that.doGenericUpdate(getSavepointCommand(that.sqlConn, 'save', savepoint))
+                            .done(function () {
+                                that.transactionLevel += 1;
+                            });
+                    }
+                    return that.beginTransaction(isolationLevel);
+                },
+                function (err) {
+                    return new errors.ConnectionError('Error opening database:' + err, {cause: err});
+                })
+            .done(function () {
+                callFunction(fn, that)
+                    .done(function (res) {
+                        finish(true, res);
+                    })
+                    .fail(function (err) {
+                        finish(false, err);
+                    });
+            })
+            .fail(function (err) {
+                if (!(err instanceof errors.ConnectionError)) {
+                    that.close();
+                }
+                def.reject(errors.toDriverError(err));
+            });
+        return def.promise();
+    },
+
+
+    /**
+     * Gets a sql-formatter compatible with this Connection
+     * @method getFormatter
+     * @returns {*}
+     */
+    getFormatter : function () {
+        return this.sqlConn.getFormatter();
+    },
+
+
+    /**
+     * run a command to the db ensuring the connection is open in the while
+     *  it is a shortcut to an ensureOpen + updateBatch
+     * @method doGenericUpdate
+     * @private
+     * @param {string} cmd
+     * @param {object} [info] {tableName, environment} given to hooks
+     * @returns {promise}
+     */
+    doGenericUpdate: function(cmd, info) {
+        const res = Deferred();
+        ensureOpen(this, function (conn) {
+            return traceQuery(conn, _.assign({kind: 'update', sql: cmd}, info), function () {
+                return conn.sqlConn.updateBatch(cmd);
+            })
+                .always(function () {
+                    if (info && info.tableName) {
+                        conn.invalidateCache(info.tableName);
+                    }
+                })
+                .done(function (result) {
+                    res.resolve(result);
+                })
+                .fail(function (err) {
+                    res.reject(errors.toDriverError(err, {sql: cmd}));
+                });
+        });
+        return res.promise();
+    },
+
+
+    /**
+     * Executes a query given by options parameter and returns the first value returned
      * @method myReadValue
      * @private
      * @param {object} options  options has those fields:
@@ -829,9 +1510,8 @@ DataAccess.prototype = {
      * @returns {object}
      */
     myReadValue : function(options) {
-        const opt = _.defaults({}, options, {columns: [this.getFormatter().toSql(options.expr, options.environment)]}),
-            cmd = this.sqlConn.getSelectCommand(opt);
-        return this.myReadFirstValue( cmd);
+        return this.myReadFirstValue(getValueCommand(this, options),
+            {tableName: options.tableName, environment: options.environment});
     }
 
 
@@ -845,6 +1525,8 @@ DataAccess.prototype = {
  *  if raw===false  it is returned a series of {tableName: alias, set:set Number, rows: [array of plain objects]
  *  if raw===true   it is returned a series of {tableName: alias, meta:[array of column names], rows:[raw objects]
  *  set numbers starts from 0
+ * The promise has the pause, resume and cancel functions of the driver command, if it has them
+ *  (see createReadStream).
  * @method queryPackets
  * @param {object} opt
  * @param {string} opt.tableName
@@ -854,6 +1536,7 @@ DataAccess.prototype = {
  * @param {sqlFun} [opt.filter=null]
  * @param {string} [opt.top=null]
  * @param {boolean} [opt.applySecurity=true] if true,   security condition is appended to filter
+ * @param {boolean} [opt.allTenants=false] if true, rows of any tenant are read
  * @param {Environment} [opt.environment] environment for the current user
  * @param {number} packetSize
  * @param {boolean} [raw=false]
@@ -861,14 +1544,18 @@ DataAccess.prototype = {
 DataAccess.prototype.queryPackets = function (opt, packetSize, raw) {
     const currTableInfo = {},
         def = Deferred(),
+        control = getDriverControl(),
         options = _.defaults(opt, {columns: '*', applySecurity: true, filter: null}),
         tableName = opt.alias || opt.tableName;
 
     function notifyPacket(packet) {
+        const rows = raw ?
+            applyColumnPermissions(currTableInfo.permissions, {meta: currTableInfo.meta, rows: packet}, true).rows :
+            applyColumnPermissions(currTableInfo.permissions, packet, false);
         if (raw) {
-            def.notify({tableName: currTableInfo.tableName, meta: currTableInfo.columns, rows: packet}); //meta has tableName field
+            def.notify({tableName: currTableInfo.tableName, meta: currTableInfo.columns, rows: rows}); //meta has tableName field
         } else {
-            def.notify({tableName: tableName, rows: packet});
+            def.notify({tableName: tableName, rows: rows});
         }
     }
 
@@ -876,15 +1563,18 @@ DataAccess.prototype.queryPackets = function (opt, packetSize, raw) {
 
     process.nextTick(function() {
         ensureOpen(that, function (conn) {
-            return conn.getFilterSecured(options.filter, options.applySecurity, options.tableName, options.environment)
-            .then(function (filterSec) {
-                const opt = _.clone(options);
-                opt.filter = filterSec;
-                const selCmd = conn.sqlConn.getSelectCommand(opt);
-                conn.sqlConn.queryPackets(selCmd, raw, packetSize)
+            return secureSelect(conn, options)
+            .then(function (filterSec, permissions, joins) {
+                currTableInfo.permissions = permissions;
+                const selCmd = conn.sqlConn.getSelectCommand(getSecuredOptions(options, filterSec, joins));
+                control.setSource(traceQuery(conn, {kind: 'query', sql: selCmd, tableName: options.tableName,
+                    environment: options.environment}, function () {
+                    return conn.sqlConn.queryPackets(selCmd, raw, packetSize);
+                }))
                     .progress(function (r) {
                         if (r.meta) {
-                            currTableInfo.columns   = r.meta;
+                            currTableInfo.meta      = r.meta;
+                            currTableInfo.columns   = permissions ? permissions.applyToMeta(r.meta) : r.meta;
                             currTableInfo.tableName = tableName;
                         } else {
                             notifyPacket(r.rows);
@@ -898,9 +1588,12 @@ DataAccess.prototype.queryPackets = function (opt, packetSize, raw) {
                     });
                 }
             );
-        });
+        })
+            .fail(function (err) {
+                def.reject(err);
+            });
     });
-    return def.promise();
+    return control.attach(def.promise());
 };
 
 /**
@@ -911,8 +1604,10 @@ DataAccess.prototype.queryPackets = function (opt, packetSize, raw) {
  * @param {number} [options.packetSize=0] if present, returns data splitted into packets
  * @param {boolean} [options.raw=false] if true, raw data is returned
  * @param {object} [options.applySecurity=true] //true if security must be applied
+ * @param {boolean} [options.allTenants=false] if true, rows of any tenant are read
  * @param {Environment} [options.environment]
- * @return {object[]}
+ * @return {object[]} the promise has the pause, resume and cancel functions of the driver command, if it has
+ *  them (see createReadStream)
  */
 DataAccess.prototype.multiSelect = function (options) {
     const def = Deferred();
@@ -921,32 +1616,16 @@ DataAccess.prototype.multiSelect = function (options) {
         return def.promise();
     }
 
-    const selList = multiSelect.groupSelect(options.selectList),
-        opt = _.defaults(options, {applySecurity: true, filter: null, packetSize: 0}),
+    const opt = _.defaults(options, {applySecurity: true, filter: null, packetSize: 0}),
+        control = getDriverControl(),
         that = this;
 
-    // gets the security filter for each Select in the list
-    async.map(selList, function (select, callback) {
-            that.getFilterSecured(select.getFilter(), opt.applySecurity, select.tableName, opt.environment)
-                .then(function (filterSec) {
-                    callback(null,
-                        {
-                            alias: select.alias,
-                            sql: that.sqlConn.getSelectCommand({
-                                tableName: select.tableName,
-                                columns: select.columns,
-                                filter: select.getFilter(),
-                                top: select.top(),
-                                environment: opt.environment
-                            })
-                        });
-                });
-        },
-        function (err, resultList) {
-            // resultList is an array of {alias, sql} couples
-            //obtains cmd as a concatenation of all sql fields in result list
-            const cmd = that.sqlConn.appendCommands(_.map(resultList, 'sql'));
-            doMultiSelect(that.sqlConn, options.packetSize, cmd, _.map(resultList, 'alias'), opt.raw)
+    getMultiSelectCommand(this, opt)
+        .done(function (multiCmd) {
+            control.setSource(traceQuery(that, {kind: 'query', sql: multiCmd.cmd,
+                tableName: multiCmd.aliasList.join(','), environment: opt.environment}, function () {
+                return doMultiSelect(that.sqlConn, options.packetSize, multiCmd, opt.raw);
+            }))
                 .done(function (res) {
                     def.resolve(res);
                 })
@@ -956,13 +1635,239 @@ DataAccess.prototype.multiSelect = function (options) {
                 .fail(function (err) {
                     def.reject(err);
                 });
-        }
-    );
+        })
+        .fail(function (err) {
+            def.reject(err);
+        });
 
-    return def.promise();
+    return control.attach(def.promise());
 }
 
 
+/**
+ * Reads data from a table as an object-mode Readable stream of rows.
+ * If raw is false every chunk is a plain object, otherwise an array of column values. The column descriptors
+ *  are given with a 'meta' event before the first row.
+ * When the consumer is slow the underlying driver is paused, if it supports it (see createReadStream).
+ * The connection is opened when the first row is requested and closed when the stream ends, fails or
+ *  is destroyed.
+ * @method selectStream
+ * @param {object} opt
+ * @param {string} opt.tableName
+ * @param {string|*} [opt.columns] column names comma separated
+ * @param {string} [opt.orderBy=null]
+ * @param {sqlFun} [opt.filter=null]
+ * @param {string} [opt.top=null]
+ * @param {boolean} [opt.applySecurity=true] if true,   security condition is appended to filter
+ * @param {boolean} [opt.allTenants=false] if true, rows of any tenant are read
+ * @param {Environment} [opt.environment] environment for the current user
+ * @param {boolean} [raw=false] if raw=true, data returned is not objectified
+ * @returns {Readable}
+ */
+DataAccess.prototype.selectStream = function (opt, raw) {
+    const options = _.defaults(opt, {columns: '*', applySecurity: true, filter: null});
+    let selCmd,
+        translate;
+    return createReadStream(this,
+        function (conn) {
+            return secureSelect(conn, options)
+                .done(function (filterSec, permissions, joins) {
+                    options.filter = filterSec;
+                    selCmd = conn.sqlConn.getSelectCommand(getSecuredOptions(options, filterSec, joins));
+                    translate = getLineTranslator(permissions, raw);
+                });
+        },
+        function (conn) {
+            return traceQuery(conn,
+                {kind: 'query', sql: selCmd, tableName: options.tableName, environment: options.environment},
+                function () {
+                    return conn.sqlConn.queryLines(selCmd, raw);
+                });
+        },
+        function (line, stream) {
+            const r = translate(line);
+            if (r.meta) {
+                stream.emit('meta', r.meta);
+                return true;
+            }
+            return stream.push(r.row);
+        });
+};
+
+
+/**
+ * Executes a multi-select given a list of select in input, giving an object-mode Readable stream of packets.
+ * Packets have the same structure of those notified by multiSelect.
+ * When the consumer is slow the underlying driver is paused, if it supports it (see createReadStream).
+ * @method multiSelectStream
+ * @param {object} options
+ * @param {Select[]} options.selectList
+ * @param {number} [options.packetSize=0] if present, returns data splitted into packets
+ * @param {boolean} [options.raw=false] if true, raw data is returned
+ * @param {object} [options.applySecurity=true] //true if security must be applied
+ * @param {boolean} [options.allTenants=false] if true, rows of any tenant are read
+ * @param {Environment} [options.environment]
+ * @returns {Readable}
+ */
+DataAccess.prototype.multiSelectStream = function (options) {
+    if (options.selectList.length === 0) {
+        return new Readable({
+            objectMode: true,
+            read: function () {
+                this.push(null);
+            }
+        });
+    }
+    const opt = _.defaults(options, {applySecurity: true, filter: null, packetSize: 0});
+    let multiCmd,
+        translate;
+    return createReadStream(this,
+        function (conn) {
+            return getMultiSelectCommand(conn, opt)
+                .done(function (res) {
+                    multiCmd = res;
+                    translate = getPacketTranslator(multiCmd.aliasList, opt.raw, multiCmd.permissions);
+                });
+        },
+        function (conn) {
+            return traceQuery(conn, {kind: 'query', sql: multiCmd.cmd, tableName: multiCmd.aliasList.join(','),
+                environment: opt.environment}, function () {
+                return conn.sqlConn.queryPackets(multiCmd.cmd, opt.raw, opt.packetSize);
+            });
+        },
+        function (r, stream) {
+            const packet = translate(r);
+            if (!packet) {
+                return true;
+            }
+            return stream.push(packet);
+        });
+};
+
+
+/**
+ * Saves all pending changes of a DataSet to the database in a single transaction.
+ * If a transaction is already open, changes are posted in a nested transaction (see transaction).
+ * Deleted rows are posted first, children before parents, then added and modified rows, parents before children.
+ * Every command must affect exactly one row, otherwise the whole transaction is rolled back: this is how the
+ *  optimistic lock is checked.
+ * Changes are accepted in the DataSet only if the transaction is committed.
+ * Audit entries of the rows of audited tables are written in the same transaction, see audit property.
+ * Stamp columns of added and modified rows are posted with the current time and user, see stampColumns property.
+ *  They are set in the rows of the DataSet only if the transaction is committed, as the tenant of added rows of
+ *  tables scoped by tenant.
+ * The result is an array of outcomes, one for each row posted, like
+ *  {tableName: string, state: string, row: object, rowcount: number, [error]: DataAccessError}
+ * On failure, the promise is rejected with a DataAccessError having an outcome property with the outcomes
+ *  of the rows posted until then. If a modified or deleted row is not found, the error is a ConcurrencyError.
+ * @method saveDataSet
+ * @param {DataSet} ds
+ * @param {object} [options]
+ * @param {OptimisticLocking} [options.optimisticLocking] if not given, rows are located by their primary key
+ * @param {Environment} [options.environment]
+ * @param {string} [options.isolationLevel=isolationLevels.readCommitted]
+ * @param {boolean} [options.applySecurity=true] if false, security conditions are not applied
+ * @param {boolean} [options.allTenants=false] if true, rows of tables scoped by tenant are not restricted to
+ *  the tenant of the user
+ * @returns {promise}
+ */
+DataAccess.prototype.saveDataSet = function (ds, options) {
+    const def = Deferred(),
+        opt = _.defaults({}, options, {isolationLevel: isolationLevels.readCommitted, applySecurity: true}),
+        optimisticLocking = opt.optimisticLocking || new jsDataSet.OptimisticLocking([], []),
+        changes = getSortedChanges(ds),
+        outcome = [],
+        written = [];
+
+    if (changes.length === 0) {
+        def.resolve(outcome);
+        return def.promise();
+    }
+
+    function reject(err) {
+        const error = errors.toDriverError(err);
+        error.outcome = outcome;
+        def.reject(error);
+    }
+
+    this.transaction(opt.isolationLevel, function (conn) {
+        const posted = Deferred(),
+            auditEntries = [],
+            user = getEnvironmentUser(conn, opt.environment),
+            now = new Date();
+        async.eachSeries(changes, function (r, callback) {
+                const row = r.getRow(),
+                    result = {tableName: row.table.name, state: row.state, row: r, rowcount: 0},
+                    stamps = getRowStamps(conn, r, user, now);
+                outcome.push(result);
+                conn.getSecuredPostCommand(r, optimisticLocking, opt.environment,
+                    {applySecurity: opt.applySecurity, allTenants: opt.allTenants, values: stamps})
+                    .done(function (cmd, values) {
+                        written.push({row: r, values: values});
+                        traceQuery(conn, {kind: 'update', sql: cmd, tableName: result.tableName,
+                            environment: opt.environment}, function () {
+                            return conn.sqlConn.updateBatch(cmd);
+                        })
+                            .always(function () {
+                                conn.invalidateCache(result.tableName);
+                            })
+                            .done(function (val) {
+                                //noinspection JSUnresolvedVariable
+                                result.rowcount = (val && val.rowcount) || 0;
+                                if (result.rowcount === 0) {
+                                    const ErrorClass = row.state === rowState.added ?
+                                            errors.NoRowAffectedError :
+                                            errors.ConcurrencyError;
+                                    result.error = new ErrorClass('There was no row in table ' + result.tableName +
+                                        ' affected by command ' + cmd, {sql: cmd, tableName: result.tableName});
+                                    callback(result.error);
+                                    return;
+                                }
+                                if (conn.audit && conn.audit.isAudited(result.tableName)) {
+                                    auditEntries.push(conn.audit.getRowEntry(r, user, values));
+                                }
+                                callback(null);
+                            })
+                            .fail(function (err) {
+                                result.error = errors.toDriverError(err, {sql: cmd, tableName: result.tableName});
+                                callback(result.error);
+                            });
+                    })
+                    .fail(function (err) {
+                        result.error = err;
+                        callback(err);
+                    });
+            },
+            function (err) {
+                if (err) {
+                    posted.reject(err);
+                    return;
+                }
+                writeAudit(conn, auditEntries)
+                    .done(function () {
+                        posted.resolve();
+                    })
+                    .fail(function (err) {
+                        posted.reject(err);
+                    });
+            });
+        return posted.promise();
+    })
+        .done(function () {
+            _.forEach(written, function (item) {
+                _.forEach(item.values, function (value, name) {
+                    item.row[name] = value;
+                });
+            });
+            ds.acceptChanges();
+            def.resolve(outcome);
+        })
+        .fail(reject);
+
+    return def.promise();
+};
+
+
 /**
  * Executes a multi-select given a list of select in input and merge all data into a specified DataSet
  * @method mergeMultiSelect
@@ -993,11 +1898,280 @@ DataAccess.prototype.mergeMultiSelect = function (selectList, ds, environment) {
 };
 
 
+/**
+ * Inserts many rows in a table, sending them in batches of batchSize rows.
+ * Each batch is a single command: the driver bulk path if it implements getBulkInsertCommand(table, columns,
+ *  valuesList), otherwise the concatenation of the insert commands of its rows. Fields missing from a row are
+ *  not written, so that they get the default values of their columns: consecutive rows of a batch missing
+ *  different fields are then sent in distinct commands.
+ * If the sql text of a batch is longer than maxStatementLength characters, the batch is split in smaller ones,
+ *  so that the limits of the server on the size of a statement are not exceeded. The default limit is given by the
+ *  maxStatementLength property of the driver, if it has one.
+ * The promise is notified with {inserted: number, total: number} after every batch and resolved with the
+ *  number of rows inserted. On failure, the error has an inserted property with the rows inserted until then,
+ *  those are discarded only if the transaction option was given.
+ * Rows of every batch are checked against the security condition for inserts ('I') before sending the batch,
+ *  and the promise is rejected with a SecurityError if some row does not satisfy it.
+ * If the table is scoped by tenant, the tenant of the user is written in the tenant column of all rows.
+ * If the table is audited, the audit entries of every batch are written in the same transaction of the batch.
+ * Stamp columns of the table are filled as doSingleInsert does.
+ * @method bulkInsert
+ * @param {string} tableName
+ * @param {object[]} rows
+ * @param {object} [options]
+ * @param {number} [options.batchSize=100] maximum number of rows sent in a single command
+ * @param {number} [options.maxStatementLength] maximum length of the sql text of a command, 0 means no limit
+ * @param {string[]} [options.columns] columns to insert, if not given all the fields of the rows are inserted
+ * @param {boolean} [options.transaction=false] if true, all batches are run in a single transaction
+ * @param {string} [options.isolationLevel=isolationLevels.readCommitted]
+ * @param {Environment} [options.environment]
+ * @param {boolean} [options.applySecurity=true]
+ * @param {boolean} [options.allTenants=false] if true, the tenant column is not written
+ * @returns {promise}
+ */
+DataAccess.prototype.bulkInsert = function (tableName, rows, options) {
+    const def = Deferred(),
+        opt = _.defaults({}, options, {
+            batchSize: 100,
+            maxStatementLength: this.sqlConn.maxStatementLength || 0,
+            isolationLevel: isolationLevels.readCommitted
+        }),
+        columns = opt.columns || _.union.apply(_, _.map(rows, _.keys)),
+        that = this;
+
+    if (opt.transaction) {
+        return runInTransaction(this, opt.isolationLevel, function (conn) {
+            return conn.bulkInsert(tableName, rows, _.omit(opt, 'transaction'));
+        });
+    }
+
+    let inserted = 0;
+    async.eachSeries(_.chunk(rows, opt.batchSize), function (chunk, callback) {
+            getRowsToInsert(that, tableName, chunk, columns, opt)
+                .done(function (toInsert) {
+                    const batches = getInsertBatches(that, tableName, toInsert, opt.maxStatementLength);
+                    async.eachSeries(batches, function (batch, batchCallback) {
+                        runAudited(that, tableName, opt.environment, null, function () {
+                            return that.doGenericUpdate(batch.cmd,
+                                {tableName: tableName, environment: opt.environment});
+                        }, function (keyColumns, oldRows, user) {
+                            return _.map(batch.rows, function (row) {
+                                return that.audit.getEntry(tableName, 'I', _.pick(row, keyColumns), null, row, user);
+                            });
+                        })
+                            .done(function (res) {
+                                //noinspection JSUnresolvedVariable
+                                inserted += (res && res.rowcount) || 0;
+                                def.notify({inserted: inserted, total: rows.length});
+                                batchCallback(null);
+                            })
+                            .fail(function (err) {
+                                batchCallback(err);
+                            });
+                    }, callback);
+                })
+                .fail(function (err) {
+                    callback(err);
+                });
+        },
+        function (err) {
+            if (err) {
+                if (_.isObject(err)) {
+                    err.inserted = inserted;
+                }
+                def.reject(err);
+                return;
+            }
+            def.resolve(inserted);
+        });
+    return def.promise();
+};
+
+
+/**
+ * Inserts a row or, if a row with the same key values exists, updates it.
+ * If the driver implements getUpsertCommand(options), taking the same options of this function with table in
+ *  place of tableName, its native syntax (MERGE, ON DUPLICATE KEY and so on) is used and the driver must report
+ *  inserted and updated counts in the updateBatch result. Otherwise the row is updated and, if not found, inserted;
+ *  if the insert fails because someone else has inserted the row in the while, the update is tried once more.
+ * The native syntax is not used when the security conditions for inserts ('I') or updates ('U') of the table
+ *  restrict the rows, the table is scoped by tenant, it is audited or it has stamp columns, then the update and the
+ *  insert apply them as doSingleUpdate and doSingleInsert do, so that rows of other tenants are never overwritten,
+ *  audit entries are written and creation stamps are only written by inserts.
+ * @method doUpsert
+ * @param {object} options
+ * @param {string} options.tableName
+ * @param {string[]} options.keyColumns columns identifying the row, must be included in columns
+ * @param {string[]} options.columns
+ * @param {object[]} options.values
+ * @param {Environment} [options.environment]
+ * @param {boolean} [options.applySecurity=true]
+ * @param {boolean} [options.allTenants=false] if true, rows of any tenant can be written
+ * @returns {promise} promise to {inserted: number, updated: number}
+ */
+DataAccess.prototype.doUpsert = function (options) {
+    const that = this;
+    return canUpsertNatively(this, options.tableName, options)
+        .then(function (native) {
+            return upsertRow(that, options, native);
+        });
+};
+
+
+/**
+ * Inserts or updates many rows (see doUpsert).
+ * If columns is not given, every row writes its own fields, so that fields missing from a row are left as they
+ *  are by updates and get their default by inserts.
+ * If the native upsert of the driver can be used (see doUpsert), rows are sent in batches of batchSize rows,
+ *  split as bulkInsert does when their sql text is longer than maxStatementLength, otherwise one at a time.
+ * The promise is notified with {inserted: number, updated: number, total: number} while rows are sent and
+ *  resolved with {inserted: number, updated: number}.
+ * @method bulkUpsert
+ * @param {string} tableName
+ * @param {object[]} rows
+ * @param {object} options
+ * @param {string[]} options.keyColumns columns identifying the rows
+ * @param {string[]} [options.columns] columns to write, if not given the fields of every row are written
+ * @param {number} [options.batchSize=100] maximum number of rows sent in a single command
+ * @param {number} [options.maxStatementLength] maximum length of the sql text of a command, 0 means no limit
+ * @param {boolean} [options.transaction=false] if true, all rows are written in a single transaction
+ * @param {string} [options.isolationLevel=isolationLevels.readCommitted]
+ * @param {Environment} [options.environment]
+ * @param {boolean} [options.applySecurity=true]
+ * @param {boolean} [options.allTenants=false] if true, rows of any tenant can be written
+ * @returns {promise}
+ */
+DataAccess.prototype.bulkUpsert = function (tableName, rows, options) {
+    const def = Deferred(),
+        opt = _.defaults({}, options, {
+            batchSize: 100,
+            maxStatementLength: this.sqlConn.maxStatementLength || 0,
+            isolationLevel: isolationLevels.readCommitted
+        }),
+        counts = {inserted: 0, updated: 0},
+        that = this;
+
+    if (opt.transaction) {
+        return runInTransaction(this, opt.isolationLevel, function (conn) {
+            return conn.bulkUpsert(tableName, rows, _.omit(opt, 'transaction'));
+        });
+    }
 
+    function getUpsertOptionsOf(r) {
+        const columns = opt.columns || _.keys(r);
+        return {
+            tableName: tableName,
+            keyColumns: opt.keyColumns,
+            columns: columns,
+            values: _.map(columns, function (c) {
+                return r[c] === undefined ? null : r[c];
+            }),
+            environment: opt.environment,
+            applySecurity: opt.applySecurity,
+            allTenants: opt.allTenants
+        };
+    }
 
+    function upsertChunk(chunk, native) {
+        if (!native) {
+            return upsertRow(that, getUpsertOptionsOf(chunk[0]), false);
+        }
+        const batches = splitCommand(chunk, opt.maxStatementLength, function (someRows) {
+                return that.sqlConn.appendCommands(_.map(someRows, function (r) {
+                    return that.sqlConn.getUpsertCommand(getUpsertOptions(getUpsertOptionsOf(r)));
+                }));
+            }),
+            chunkDef = Deferred(),
+            chunkCounts = {inserted: 0, updated: 0};
+        async.eachSeries(batches, function (batch, callback) {
+                that.doGenericUpdate(batch.cmd, {tableName: tableName, environment: opt.environment})
+                    .done(function (res) {
+                        chunkCounts.inserted += res.inserted || 0;
+                        chunkCounts.updated += res.updated || 0;
+                        callback(null);
+                    })
+                    .fail(function (err) {
+                        callback(err);
+                    });
+            },
+            function (err) {
+                if (err) {
+                    chunkDef.reject(err);
+                    return;
+                }
+                chunkDef.resolve(chunkCounts);
+            });
+        return chunkDef.promise();
+    }
 
+    canUpsertNatively(this, tableName, opt)
+        .done(function (native) {
+            async.eachSeries(_.chunk(rows, native ? opt.batchSize : 1), function (chunk, callback) {
+                    upsertChunk(chunk, native)
+                        .done(function (res) {
+                            counts.inserted += res.inserted || 0;
+                            counts.updated += res.updated || 0;
+                            def.notify({inserted: counts.inserted, updated: counts.updated, total: rows.length});
+                            callback(null);
+                        })
+                        .fail(function (err) {
+                            callback(err);
+                        });
+                },
+                function (err) {
+                    if (err) {
+                        if (_.isObject(err)) {
+                            _.assign(err, counts);
+                        }
+                        def.reject(err);
+                        return;
+                    }
+                    def.resolve(counts);
+                });
+        })
+        .fail(function (err) {
+            def.reject(err);
+        });
+    return def.promise();
+};
 
 
+/**
+ * Runs a sql script made of batches separated by lines holding only the separator, see SqlScript.splitScript.
+ * Every batch is run with updateBatch and, when it ends, {batch, total, line, result} or {batch, total, line, error}
+ *  is notified, where batch counts from 1 and line is the line of the script where the batch starts.
+ * The promise is resolved with {results: [{line, result}], errors: [{line, sql, error}]}. If stopOnError is true,
+ *  the promise is instead rejected with the error of the first failing batch, with its line property set.
+ * The script can be read from a file giving {file: fileName} in place of its text.
+ * @method runScript
+ * @param {string|object} script text of the script or {file: string}, the name of the file holding it
+ * @param {object} [options]
+ * @param {string} [options.separator='GO']
+ * @param {boolean} [options.backslashEscapes] true if a backslash escapes quotes in strings, default is the
+ *  backslashEscapes property of the formatter of the driver
+ * @param {boolean} [options.stopOnError=true]
+ * @param {boolean} [options.transaction=false] if true, the script is run in a transaction that is rolled back
+ *  on the first error, so that stopOnError is implied
+ * @param {string} [options.isolationLevel] isolation level of the transaction
+ * @returns {promise}
+ */
+DataAccess.prototype.runScript = function (script, options) {
+    const opt = _.defaults({}, options, {separator: 'GO', stopOnError: true, transaction: false}),
+        that = this;
+    return readScript(script)
+        .then(function (text) {
+            const backslashEscapes = opt.backslashEscapes !== undefined ?
+                    opt.backslashEscapes :
+                    that.getFormatter().backslashEscapes === true,
+                batches = sqlScript.splitScript(text, opt.separator, backslashEscapes);
+            if (opt.transaction) {
+                return runInTransaction(that, opt.isolationLevel, function (conn) {
+                    return runBatches(conn, batches, true);
+                });
+            }
+            return runBatches(that, batches, opt.stopOnError);
+        });
+};
 
 
 /**
@@ -1025,12 +2199,15 @@ function ensureOpen(conn, command) {
                         res.notify(o);
                     })
                     .fail(function (err) {
-                        myRes.reject("executing "+command.name+" "+ err);
+                        myRes.reject(errors.toDriverError(err));
                     });
             } catch (err) {
-                myRes.reject(err);
+                myRes.reject(errors.toDriverError(err));
             }
             return myRes.promise();
+        },
+        function (err) {
+            return new errors.ConnectionError('Error opening database:' + err, {cause: err});
         })
         .done(function () {
             conn.close()
@@ -1048,186 +2225,2665 @@ function ensureOpen(conn, command) {
 }
 
 /**
- * Get an object from an object or array. If param is an array, its first element is taken
- * @method getObjectOrFirstRow
+ * Creates an object-mode Readable stream fed by the notifications of a driver command.
+ * The command is prepared and started, with the connection open, when the first chunk is requested.
+ * The promise returned by the driver can optionally expose pause() and resume() functions: pause() is invoked
+ *  when the stream buffer is full and resume() when the consumer asks for more data. If the driver does not
+ *  expose them, data is buffered in the stream. If the promise exposes a cancel() function, it is invoked when
+ *  the stream is destroyed before the end of data.
+ * The nesting level of the connection is restored once, when the stream ends, fails or is destroyed.
+ * @method createReadStream
  * @private
- * @param res {object|Array}
- * @returns {object}
+ * @param {DataAccess} DA
+ * @param {function} prepare function (DataAccess) returning a promise resolved when the command can be started
+ * @param {function} query function (DataAccess) starting the command and returning the driver promise
+ * @param {function} write function (notified data, stream) that pushes data into the stream and
+ *  returns false if the stream does not want more data
+ * @returns {Readable}
  */
-function getObjectOrFirstRow(res) {
-    if (_.isArray(res)) {
-        if (res.length > 0) {
-            return res[0];
+function createReadStream(DA, prepare, query, write) {
+    let source = null,
+        started = false,
+        opened = false,
+        finished = false;
+
+    function release() {
+        if (opened) {
+            opened = false;
+            DA.close();
         }
-        return null;
     }
-    return res;
+
+    function isPausable() {
+        return source && _.isFunction(source.pause) && _.isFunction(source.resume);
+    }
+
+    const stream = new Readable({
+        objectMode: true,
+        read: function () {
+            if (started) {
+                if (isPausable()) {
+                    source.resume();
+                }
+                return;
+            }
+            started = true;
+
+            function fail(err) {
+                if (finished) {
+                    return;
+                }
+                finished = true;
+                release();
+                stream.destroy(err);
+            }
+
+            DA.open()
+                .then(function () {
+                    opened = true;
+                    return prepare(DA);
+                })
+                .done(function () {
+                    if (finished) { // destroyed in the meanwhile
+                        release();
+                        return;
+                    }
+                    source = query(DA);
+                    source
+                        .progress(function (r) {
+                            if (finished) {
+                                return;
+                            }
+                            if (!write(r, stream) && isPausable()) {
+                                source.pause();
+                            }
+                        })
+                        .done(function () {
+                            if (finished) {
+                                return;
+                            }
+                            finished = true;
+                            release();
+                            stream.push(null);
+                        })
+                        .fail(fail);
+                })
+                .fail(fail);
+        },
+        destroy: function (err, callback) {
+            if (!finished) {
+                finished = true;
+                if (source && _.isFunction(source.cancel)) {
+                    source.cancel();
+                }
+                release();
+            }
+            callback(err);
+        }
+    });
+    return stream;
 }
 
 /**
- * Get an object from an object or array. If param is an array, its last element is taken
- * @method getObjectOrLastRow
+ * Gives to the promise of a DataAccess function the pause, resume and cancel functions of the driver promise
+ *  feeding it (see createReadStream). Functions invoked before the driver command is started are applied to it
+ *  as soon as it is given.
+ * @method getDriverControl
  * @private
- * @param res {object|Array}
- * @returns {object}
+ * @returns {object} {attach: function (promise), setSource: function (driverPromise)}, both returning their
+ *  argument
  */
-function getObjectOrLastRow(res) {
-    if (_.isArray(res)) {
-        if (res.length > 0) {
-            return res[res.length - 1];
+function getDriverControl() {
+    let source = null,
+        paused = false,
+        cancelled = false;
+
+    function invoke(name) {
+        if (source && _.isFunction(source[name])) {
+            source[name]();
         }
-        return null;
     }
-    return res;
+
+    return {
+        attach: function (p) {
+            p.pause = function () {
+                paused = true;
+                invoke('pause');
+            };
+            p.resume = function () {
+                paused = false;
+                invoke('resume');
+            };
+            p.cancel = function () {
+                cancelled = true;
+                invoke('cancel');
+            };
+            return p;
+        },
+        setSource: function (s) {
+            source = s;
+            if (cancelled) {
+                invoke('cancel');
+            } else if (paused) {
+                invoke('pause');
+            }
+            return s;
+        }
+    };
 }
 
 /**
- * Get a property from an object. The premise is that the object should only have one property
- * @method getAProperty
+ * Invokes a function and gives its result as a Deferred promise. The function can return a Deferred promise,
+ *  a native Promise or a plain value, or throw an exception
+ * @method callFunction
  * @private
- * @param obj {object}
- * @returns {object}
+ * @param {function} fn
+ * @param {object} arg
+ * @returns {promise}
  */
-function getAProperty(obj) {
-    let i;
-    for (i in obj) {
-        if (obj.hasOwnProperty(i)) {
-            return obj[i];
+function callFunction(fn, arg) {
+    const def = Deferred();
+    let result;
+    try {
+        result = fn(arg);
+    } catch (err) {
+        def.reject(err);
+        return def.promise();
+    }
+    if (result && _.isFunction(result.then)) {
+        result.then(function (res) {
+                def.resolve(res);
+            },
+            function (err) {
+                def.reject(err);
+            });
+    } else {
+        def.resolve(result);
+    }
+    return def.promise();
+}
+
+/**
+ * Gets the milliseconds to wait before next attempt, with exponential backoff and jitter
+ * @method getRetryDelay
+ * @private
+ * @param {object} policy
+ * @param {number} attempt number of attempts already done
+ * @returns {number}
+ */
+function getRetryDelay(policy, attempt) {
+    const delay = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(2, attempt - 1));
+    return delay * (1 - policy.jitter * Math.random());
+}
+
+/**
+ * Runs an operation applying the retry policy of a DataAccess. The operation is not retried if a transaction is
+ *  open, since the transaction has been aborted by the error.
+ * The promise is resolved with the operation result and a second argument {attempts: number, retries: number}.
+ *  On failure, attempts is also set in the error, when it is an object.
+ * @method withRetry
+ * @private
+ * @param {DataAccess} DA
+ * @param {function} operation function returning a Deferred promise
+ * @returns {promise}
+ */
+function withRetry(DA, operation) {
+    const def = Deferred(),
+        policy = DA.retryPolicy;
+    let attempt = 0;
+
+    function run() {
+        attempt += 1;
+        operation()
+            .done(function (res) {
+                def.resolve(res, {attempts: attempt, retries: attempt - 1});
+            })
+            .fail(function (err) {
+                if (!policy || attempt >= policy.maxAttempts || DA.inTransaction || !policy.isRetryable(err)) {
+                    if (_.isObject(err)) {
+                        err.attempts = attempt;
+                    }
+                    def.reject(err);
+                    return;
+                }
+                setTimeout(run, getRetryDelay(policy, attempt));
+            });
+    }
+
+    run();
+    return def.promise();
+}
+
+/**
+ * Gets the user an environment refers to
+ * @method getEnvironmentUser
+ * @private
+ * @param {DataAccess} DA
+ * @param {Environment} [environment]
+ * @returns {string|null}
+ */
+function getEnvironmentUser(DA, environment) {
+    if (environment) {
+        if (_.isFunction(environment.sys)) {
+            return environment.sys('user');
+        }
+        if (environment.user !== undefined) {
+            return environment.user;
         }
     }
-    return undefined;
+    return DA.externalUser;
 }
 
+/**
+ * Gets the tenant an environment refers to, taken from the field given in DA.tenant
+ * @method getEnvironmentTenant
+ * @private
+ * @param {DataAccess} DA
+ * @param {Environment} [environment]
+ * @returns {object|undefined}
+ */
+function getEnvironmentTenant(DA, environment) {
+    if (!environment) {
+        return undefined;
+    }
+    if (_.isFunction(environment.sys)) {
+        return environment.sys(DA.tenant.field);
+    }
+    return environment[DA.tenant.field];
+}
 
+/**
+ * Gets the tenant of the user reading or writing a table, or undefined if the table is not scoped by tenant
+ *  or options.allTenants is true
+ * @method getTenant
+ * @private
+ * @param {DataAccess} DA
+ * @param {string} tableName
+ * @param {object} options
+ * @param {Environment} [options.environment]
+ * @param {boolean} [options.allTenants=false]
+ * @returns {object|undefined}
+ * @throws {SecurityError} if the table is scoped and the environment has no tenant
+ */
+function getTenant(DA, tableName, options) {
+    if (!DA.tenant || options.allTenants || !_.includes(DA.tenant.tables, tableName)) {
+        return undefined;
+    }
+    const tenant = getEnvironmentTenant(DA, options.environment);
+    if (tenant === undefined || tenant === null) {
+        throw new errors.SecurityError('No tenant given to access table ' + tableName, {tableName: tableName});
+    }
+    return tenant;
+}
 
+/**
+ * Joins to a filter the condition restricting a table to the rows of the tenant of the user
+ * @method scopeFilter
+ * @private
+ * @param {DataAccess} DA
+ * @param {sqlFun} filter
+ * @param {string} tableName
+ * @param {object} options see getTenant
+ * @param {string} [qualifier] alias qualifying the tenant column, needed when tables are joined
+ * @returns {sqlFun} filter itself if the table is not scoped
+ * @throws {SecurityError} if the table is scoped and the environment has no tenant
+ */
+function scopeFilter(DA, filter, tableName, options, qualifier) {
+    const tenant = getTenant(DA, tableName, options);
+    if (tenant === undefined) {
+        return filter;
+    }
+    const condition = $dq.eq(qualifier ? qualifier + '.' + DA.tenant.column : DA.tenant.column, tenant);
+    return filter ? $dq.and(filter, condition) : condition;
+}
 
+/**
+ * Gets the tenant to write in the tenant column of a row, checking that the row does not belong to
+ *  another tenant
+ * @method getTenantToWrite
+ * @private
+ * @param {DataAccess} DA
+ * @param {string} tableName
+ * @param {object} row values written, the tenant column can be missing or null
+ * @param {object} options see getTenant
+ * @returns {object|undefined} undefined if the table is not scoped
+ * @throws {SecurityError} if the environment has no tenant or the row belongs to another tenant
+ */
+function getTenantToWrite(DA, tableName, row, options) {
+    const tenant = getTenant(DA, tableName, options);
+    if (tenant === undefined) {
+        return undefined;
+    }
+    const value = row[DA.tenant.column];
+    if (value !== undefined && value !== null && value !== tenant) {
+        throw new errors.SecurityError('The user is not allowed to write rows of another tenant in table ' +
+            tableName, {tableName: tableName});
+    }
+    return tenant;
+}
 
+/**
+ * Gets the values of the stamp columns of a table written by an insert or an update. Columns of tables whose
+ *  stamp columns are given by convention are read from the schema the first time.
+ * @method getStampValues
+ * @private
+ * @param {DataAccess} DA
+ * @param {string} tableName
+ * @param {string} operation insert|update
+ * @param {Environment} [environment]
+ * @returns {promise} promise to an object {columnName: value}, empty if the table has no stamp column
+ */
+function getStampValues(DA, tableName, operation, environment) {
+    const stamps = DA.stampColumns,
+        def = Deferred();
+    if (!stamps) {
+        return def.resolve({}).promise();
+    }
 
+    function resolve() {
+        def.resolve(stamps.getValues(stamps.getColumns(tableName), operation, getEnvironmentUser(DA, environment),
+            new Date()));
+    }
 
+    if (!stamps.needsColumns(tableName)) {
+        resolve();
+        return def.promise();
+    }
+    DA.describeTable(tableName)
+        .done(function (table) {
+            stamps.setTableColumns(tableName, _.map(table.columns, 'name'));
+            resolve();
+        })
+        .fail(function (err) {
+            def.reject(err);
+        });
+    return def.promise();
+}
 
+/**
+ * Gets the current time and the user to write in the stamp columns of an added or modified DataRow, without
+ *  changing the DataRow
+ * @method getRowStamps
+ * @private
+ * @param {DataAccess} DA
+ * @param {DataRow} r
+ * @param {string} user
+ * @param {Date} now
+ * @returns {object} values by column name, empty if the row has no stamp columns
+ */
+function getRowStamps(DA, r, user, now) {
+    const row = r.getRow(),
+        stamps = DA.stampColumns;
+    if (!stamps || (row.state !== rowState.added && row.state !== rowState.modified)) {
+        return {};
+    }
+    return stamps.getValues(stamps.getColumns(row.table.name, _.keys(row.table.columns)),
+        row.state === rowState.added ? 'insert' : 'update', user, now);
+}
 
 /**
- * Merge a row into a table discarding any previous row with same primary key when present
- * @method mergeRowIntoTable
- * @param {DataTable} table
- * @param {object} r
+ * Gets the primary key columns of an audited table, from the audit configuration or else from the schema
+ * @method getAuditKey
+ * @private
+ * @param {DataAccess} DA
+ * @param {string} tableName
+ * @returns {promise} promise to the names of the key columns
  */
-function mergeRowIntoTable(table, r) {
-    const rFound = _.filter(table.rows, _.pick(r, table.key()));
-    if (rFound.length > 0) {
-        rFound[0].getRow().detach();
+function getAuditKey(DA, tableName) {
+    const keys = DA.audit.keys;
+    if (keys[tableName]) {
+        return Deferred().resolve(keys[tableName]).promise();
     }
-    table.load(r, false);
+    return DA.describeTable(tableName)
+        .then(function (table) {
+            keys[tableName] = table.primaryKey;
+            return table.primaryKey;
+        });
 }
 
 /**
- * Counts row from a table
- * @method selectCount
- * @param {object} options
- * @param {string} options.tableName
- * @param {sqlFun} [options.filter=null]
- * @param {Environment} options.environment
- * @param {boolean} [options.applySecurity=true]
- * @returns {object}
+ * Writes audit entries to the sink of the audit, or else to its audit table
+ * @method writeAudit
+ * @private
+ * @param {DataAccess} DA
+ * @param {object[]} entries
+ * @returns {promise}
  */
-DataAccess.prototype.selectCount = function (options) {
-    const def = Deferred(),
-        that = this,
-        opt = _.defaults(options, {applySecurity: true, filter: null});
-    this.getFilterSecured(opt.filter, opt.applySecurity, opt.tableName, opt.environment)
-        .then(function (filterSec) {
-            if (filterSec.isFalse) {
-                def.resolve(0);
-                return;
-            }
-            opt.filter = filterSec;
-                const selCmd = that.sqlConn.getSelectCount(opt);
-                that.runCmd(selCmd)
-                .done(function (count) {
-                    def.resolve(count);
+function writeAudit(DA, entries) {
+    const audit = DA.audit,
+        def = Deferred();
+    if (entries.length === 0) {
+        return def.resolve().promise();
+    }
+    if (audit.sink) {
+        return callFunction(function () {
+            return audit.sink.write(entries, DA);
+        });
+    }
+    async.eachSeries(entries, function (entry, callback) {
+            const row = audit.toAuditRow(entry);
+            DA.doGenericUpdate(DA.sqlConn.getInsertCommand(audit.tableName, _.keys(row), _.values(row)))
+                .done(function () {
+                    callback(null);
                 })
                 .fail(function (err) {
-                    def.reject(err);
+                    callback(err);
                 });
         },
         function (err) {
-            def.reject(err);
-        }
-    );
-
+            if (err) {
+                def.reject(err);
+                return;
+            }
+            def.resolve();
+        });
     return def.promise();
-};
+}
 
+/**
+ * Runs a command changing a table and, if the table is audited, writes its audit entries in the same
+ *  transaction. The rows to be changed are read before running the command, to get their old values.
+ * Entries are only written if the command affects some row.
+ * @method runAudited
+ * @private
+ * @param {DataAccess} DA
+ * @param {string} tableName
+ * @param {Environment} [environment]
+ * @param {sqlFun|null} filter condition on the rows changed, null for inserts
+ * @param {function} run function returning a promise to the result of the command
+ * @param {function} getEntries function (keyColumns, oldRows, user) giving the audit entries
+ * @returns {promise} promise to the result of the command
+ */
+function runAudited(DA, tableName, environment, filter, run, getEntries) {
+    if (!DA.audit || !DA.audit.isAudited(tableName)) {
+        return run();
+    }
+    return DA.transaction(isolationLevels.readCommitted, function () {
+        let keyColumns,
+            oldRows;
+        return getAuditKey(DA, tableName)
+            .then(function (key) {
+                keyColumns = key;
+                if (!filter || filter.isFalse) {
+                    return [];
+                }
+                return DA.select({tableName: tableName, filter: filter, applySecurity: false, allTenants: true});
+            })
+            .then(function (rows) {
+                oldRows = rows;
+                return run();
+            })
+            .then(function (val) {
+                if (!val || !val.rowcount) {
+                    return val;
+                }
+                return writeAudit(DA, getEntries(keyColumns, oldRows, getEnvironmentUser(DA, environment)))
+                    .then(function () {
+                        return val;
+                    });
+            });
+    });
+}
 
 /**
- * Executes a query and returns:
- * if raw= true : a series of {meta} , {rows}, {rows}.. {meta}
- * if raw= false: a series of {tableName, set, rows} packets
- * @method doMultiPacketSelect
+ * Counts the rows contained in a result or in a notification given by the driver
+ * @method countRows
  * @private
- * @param {Connection} conn
- * @param {number} packetSize limit to the size of {rows} array, 0 means no limit
- * @param {string}cmd
- * @param {string[]} aliasList
- * @param {boolean} raw
- * {meta} is an array of column enriched with a property tableName taken from the aliasList
+ * @param {object} r
+ * @returns {number}
  */
-function doMultiSelect(conn, packetSize, cmd, aliasList, raw) {
-    const def = Deferred(),
-        currTableInfo = {},
-        currSet = -1;
+function countRows(r) {
+    if (!r) {
+        return 0;
+    }
+    if (_.isArray(r)) {
+        return r.length;
+    }
+    if (_.isNumber(r.rowcount)) {
+        return r.rowcount;
+    }
+    if (r.row) {
+        return 1;
+    }
+    if (_.isArray(r.rows)) {
+        return r.rows.length;
+    }
+    return 0;
+}
 
-    function notifyPacket(packet) {
-        if (raw) {
-            def.notify({meta: currTableInfo.meta, tableName: currTableInfo.tableName, rows: packet.rows});
-        } else {
-            packet.tableName = aliasList[packet.set];
-            def.notify(packet);
-        }
+/**
+ * Invokes a hook, ignoring its exceptions so that a faulty hook can't break a query
+ * @method invokeHook
+ * @private
+ * @param {function} [hook]
+ * @param {object} event
+ */
+function invokeHook(hook, event) {
+    if (!hook) {
+        return;
+    }
+    try {
+        hook(event);
+    } catch (e) {
+        //hooks are only observers
     }
-    conn.queryPackets(cmd, raw, packetSize)
-        .progress(function (r) {
-            if (r.meta) {
-                currTableInfo.meta = r.meta;
-                currTableInfo.tableName = aliasList[r.set];
-            } else {
-                notifyPacket(r);
-            }
-        })
-        .done(function () {
-            def.resolve();
-        })
-        .fail(function (err) {
-            def.reject(err);
-        });
-    return def.promise();
 }
 
 /**
- * Transforms raw data into plain objects
- * @method objectify
- * @param {Array} colNames
- * @param {Array} rows
- * @returns {Array}
+ * Runs a command invoking the hooks of a DataAccess (see DataAccess.hooks).
+ * Every hook receives the same event object, enriched while the command proceeds.
+ * @method traceQuery
+ * @private
+ * @param {DataAccess} DA
+ * @param {object} info
+ * @param {string} info.kind query|update|sp
+ * @param {string} info.sql command given to the driver, or stored procedure name
+ * @param {object[]} [info.params] parameters of the command
+ * @param {string} [info.tableName]
+ * @param {Environment} [info.environment]
+ * @param {function} run function starting the command and returning its promise
+ * @returns {promise} the same promise returned by run
  */
-function objectify(colNames, rows) {
-    //noinspection JSUnresolvedVariable
-    if (colNames.meta) {
-        //noinspection JSUnresolvedVariable
-        return objectify(colNames.meta, colNames.rows);
+function traceQuery(DA, info, run) {
+    const hooks = DA.hooks;
+    if (!hooks) {
+        return run();
     }
-    return _.map(rows, function (el) {
-        const obj = {};
-        _.each(colNames, function (value, index) {
-            obj[value] = el[index];
+    const event = _.assign({user: getEnvironmentUser(DA, info.environment), rowCount: 0}, info),
+        start = Date.now();
+    if (info.sql instanceof SqlCommand) {
+        event.sql = info.sql.sql;
+        event.params = info.sql.params;
+    }
+    invokeHook(hooks.onQueryStart, event);
+    const res = run();
+    res.progress(function (r) {
+        event.rowCount += countRows(r);
+    })
+        .done(function (result) {
+            event.elapsed = Date.now() - start;
+            event.rowCount += countRows(result);
+            invokeHook(hooks.onQueryEnd, event);
+        })
+        .fail(function (err) {
+            event.elapsed = Date.now() - start;
+            event.error = err;
+            invokeHook(hooks.onError, event);
         });
-        return obj;
-    });
+    return res;
 }
 
+/**
+ * Descriptions of the write operations asked to the security provider
+ * @private
+ * @property {object} writeOperations
+ */
+const writeOperations = {
+    I: 'insert into',
+    U: 'update',
+    D: 'delete from'
+};
+
+/**
+ * Gets the filter of an update or delete merged with the security condition for the operation and, for tables
+ *  scoped by tenant, with the condition on the tenant of the user.
+ * The promise is rejected with a SecurityError if the user can't change any row of the table.
+ * @method secureWrite
+ * @private
+ * @param {DataAccess} DA
+ * @param {string} tableName
+ * @param {sqlFun} filter
+ * @param {object} options
+ * @param {Environment} [options.environment]
+ * @param {boolean} [options.applySecurity=true]
+ * @param {boolean} [options.allTenants=false]
+ * @param {string} opKind U|D
+ * @returns {promise}
+ */
+function secureWrite(DA, tableName, filter, options, opKind) {
+    const def = Deferred();
+    let scoped;
+    try {
+        scoped = scopeFilter(DA, filter, tableName, options);
+    } catch (err) {
+        def.reject(err);
+        return def.promise();
+    }
+    DA.getFilterSecured(scoped, options.applySecurity !== false, tableName, options.environment, opKind)
+        .done(function (filterSec) {
+            if (filterSec && filterSec.isFalse && !(filter && filter.isFalse)) {
+                def.reject(new errors.SecurityError('The user is not allowed to ' + writeOperations[opKind] +
+                    ' table ' + tableName, {tableName: tableName, filter: filter}));
+                return;
+            }
+            def.resolve(filterSec);
+        })
+        .fail(function (err) {
+            def.reject(err);
+        });
+    return def.promise();
+}
+
+/**
+ * Checks the rows to insert against the security condition for inserts.
+ * The promise is rejected with a SecurityError if some row does not satisfy the condition.
+ * @method checkInsertSecurity
+ * @private
+ * @param {DataAccess} DA
+ * @param {string} tableName
+ * @param {object[]} rows
+ * @param {object} options
+ * @param {Environment} [options.environment]
+ * @param {boolean} [options.applySecurity=true]
+ * @returns {promise}
+ */
+function checkInsertSecurity(DA, tableName, rows, options) {
+    const def = Deferred();
+    DA.getFilterSecured(null, options.applySecurity !== false, tableName, options.environment, 'I')
+        .done(function (condition) {
+            if (!condition || condition.isTrue) {
+                def.resolve();
+                return;
+            }
+            if (condition.isFalse || !_.every(rows, function (row) {
+                    return condition(row, options.environment);
+                })) {
+                def.reject(new errors.SecurityError('The row does not satisfy the security condition to ' +
+                    writeOperations.I + ' table ' + tableName + ': ' + condition,
+                    {tableName: tableName, filter: condition}));
+                return;
+            }
+            def.resolve();
+        })
+        .fail(function (err) {
+            def.reject(err);
+        });
+    return def.promise();
+}
+
+/**
+ * Gets the rows of a bulk insert as objects having exactly the columns to insert, checked against the security
+ *  condition for inserts. Columns missing from a row, or undefined, are left out of it so that they get their
+ *  default values. If the table is scoped by tenant, the tenant of the user is written in the tenant column,
+ *  and stamp columns of the table are filled as doSingleInsert does.
+ * @method getRowsToInsert
+ * @private
+ * @param {DataAccess} DA
+ * @param {string} tableName
+ * @param {object[]} rows
+ * @param {string[]} columns
+ * @param {object} options see bulkInsert
+ * @returns {promise} promise to object[]
+ */
+function getRowsToInsert(DA, tableName, rows, columns, options) {
+    const toInsert = _.map(rows, function (r) {
+        return _.omitBy(_.pick(r, columns), _.isUndefined);
+    });
+    try {
+        _.forEach(toInsert, function (row) {
+            const tenant = getTenantToWrite(DA, tableName, row, options);
+            if (tenant !== undefined) {
+                row[DA.tenant.column] = tenant;
+            }
+        });
+    } catch (err) {
+        return Deferred().reject(err).promise();
+    }
+    return getStampValues(DA, tableName, 'insert', options.environment)
+        .then(function (stamps) {
+            _.forEach(toInsert, function (row) {
+                _.assign(row, stamps);
+            });
+            return checkInsertSecurity(DA, tableName, toInsert, options);
+        })
+        .then(function () {
+            return toInsert;
+        });
+}
+
+/**
+ * Gets the commands inserting the rows of a bulk insert. Consecutive rows having the same columns are inserted
+ *  by a single command, unless its sql text is longer than maxLength characters: then rows are halved until the
+ *  commands are short enough or have a single row.
+ * Commands that are not sql text are never split.
+ * @method getInsertBatches
+ * @private
+ * @param {DataAccess} DA
+ * @param {string} tableName
+ * @param {object[]} rows objects having exactly the columns to insert, see getRowsToInsert
+ * @param {number} maxLength 0 means no limit
+ * @returns {object[]} list of {rows: object[], cmd: sqlCommand}
+ */
+function getInsertBatches(DA, tableName, rows, maxLength) {
+    const groups = [];
+    _.forEach(rows, function (row) {
+        const columns = _.keys(row),
+            last = _.last(groups);
+        if (last && _.isEqual(last.columns, columns)) {
+            last.rows.push(row);
+        } else {
+            groups.push({columns: columns, rows: [row]});
+        }
+    });
+    return _.flatMap(groups, function (group) {
+        return splitCommand(group.rows, maxLength, function (someRows) {
+            const valuesList = _.map(someRows, _.values);
+            if (_.isFunction(DA.sqlConn.getBulkInsertCommand)) {
+                return DA.sqlConn.getBulkInsertCommand(tableName, group.columns, valuesList);
+            }
+            return DA.sqlConn.appendCommands(_.map(valuesList, function (values) {
+                return DA.sqlConn.getInsertCommand(tableName, group.columns, values);
+            }));
+        });
+    });
+}
+
+/**
+ * Gets the command writing some rows, a single one unless its sql text is longer than maxLength characters: then
+ *  rows are halved until the commands are short enough or have a single row.
+ * Commands that are not sql text are never split.
+ * @method splitCommand
+ * @private
+ * @param {object[]} rows
+ * @param {number} maxLength 0 means no limit
+ * @param {function} getCommand function (rows) giving the command writing rows
+ * @returns {object[]} list of {rows: object[], cmd: sqlCommand}
+ */
+function splitCommand(rows, maxLength, getCommand) {
+    const cmd = getCommand(rows);
+    if (!maxLength || rows.length < 2 || !_.isString(cmd) || cmd.length <= maxLength) {
+        return [{rows: rows, cmd: cmd}];
+    }
+    const half = Math.ceil(rows.length / 2);
+    return splitCommand(_.take(rows, half), maxLength, getCommand)
+        .concat(splitCommand(_.drop(rows, half), maxLength, getCommand));
+}
+
+/**
+ * Checks if rows of a table can be written with the native upsert of the driver, that can't apply the
+ *  conditions on single rows that are needed when inserts or updates of the table are restricted by security
+ *  or the table is scoped by tenant, does not tell the old values of the rows needed by the audit trail and
+ *  can't tell creation stamp columns, written only by inserts, from the others
+ * @method canUpsertNatively
+ * @private
+ * @param {DataAccess} DA
+ * @param {string} tableName
+ * @param {object} options see doUpsert
+ * @returns {promise} promise to a boolean
+ */
+function canUpsertNatively(DA, tableName, options) {
+    let tenant;
+    try {
+        tenant = getTenant(DA, tableName, options);
+    } catch (err) {
+        return Deferred().reject(err).promise();
+    }
+    if (!_.isFunction(DA.sqlConn.getUpsertCommand) || tenant !== undefined ||
+            (DA.audit && DA.audit.isAudited(tableName))) {
+        return Deferred().resolve(false).promise();
+    }
+    const applySecurity = options.applySecurity !== false;
+    let insertCondition;
+    return DA.getFilterSecured(null, applySecurity, tableName, options.environment, 'I')
+        .then(function (condition) {
+            insertCondition = condition;
+            return getStampValues(DA, tableName, 'insert', options.environment);
+        })
+        .then(function (stamps) {
+            if (!_.isEmpty(stamps)) {
+                return false;
+            }
+            return DA.getFilterSecured(null, applySecurity, tableName, options.environment, 'U')
+                .then(function (updateCondition) {
+                    return (!insertCondition || insertCondition.isTrue) &&
+                        (!updateCondition || updateCondition.isTrue);
+                });
+        });
+}
+
+/**
+ * Inserts a row or, if a row with the same key values exists, updates it, see doUpsert.
+ * Without native upsert the row is written with doSingleUpdate and doSingleInsert, so that security, tenant
+ *  scoping, the audit trail and stamp columns are applied. If no row is updated but a row with the same key
+ *  exists, hidden by the security condition or belonging to another tenant, the promise is rejected with a
+ *  SecurityError instead of inserting.
+ * @method upsertRow
+ * @private
+ * @param {DataAccess} DA
+ * @param {object} options see doUpsert
+ * @param {boolean} native true to use the native upsert of the driver
+ * @returns {promise} promise to {inserted: number, updated: number}
+ */
+function upsertRow(DA, options, native) {
+    const def = Deferred(),
+        info = {tableName: options.tableName, environment: options.environment};
+
+    if (native) {
+        DA.doGenericUpdate(DA.sqlConn.getUpsertCommand(getUpsertOptions(options)), info)
+            .done(function (res) {
+                def.resolve({inserted: res.inserted || 0, updated: res.updated || 0});
+            })
+            .fail(function (err) {
+                def.reject(err);
+            });
+        return def.promise();
+    }
+
+    const row = _.zipObject(options.columns, options.values),
+        updateColumns = _.difference(options.columns, options.keyColumns),
+        writeOptions = _.pick(options, ['environment', 'applySecurity', 'allTenants']),
+        columns = updateColumns.length > 0 ? updateColumns : options.keyColumns,
+        keyFilter = $dq.and(_.map(options.keyColumns, function (k) {
+            return $dq.eq(k, row[k]);
+        }));
+
+    function update() {
+        return DA.doSingleUpdate(_.assign({
+            table: options.tableName,
+            filter: keyFilter,
+            columns: columns,
+            values: _.map(columns, function (c) {
+                return row[c];
+            })
+        }, writeOptions));
+    }
+
+    function insert() {
+        DA.doSingleInsert(options.tableName, options.columns, options.values, writeOptions)
+            .done(function () {
+                def.resolve({inserted: 1, updated: 0});
+            })
+            .fail(function (insertErr) {
+                update()
+                    .done(function () {
+                        def.resolve({inserted: 0, updated: 1});
+                    })
+                    .fail(function () {
+                        def.reject(insertErr);
+                    });
+            });
+    }
+
+    update()
+        .done(function () {
+            def.resolve({inserted: 0, updated: 1});
+        })
+        .fail(function (err) {
+            if (!(err instanceof errors.NoRowAffectedError)) {
+                def.reject(err);
+                return;
+            }
+            DA.selectCount({tableName: options.tableName, filter: keyFilter, applySecurity: false, allTenants: true,
+                environment: options.environment})
+                .done(function (n) {
+                    if (n > 0) {
+                        def.reject(new errors.SecurityError('The user is not allowed to update the row of table ' +
+                            options.tableName, {tableName: options.tableName, filter: keyFilter}));
+                        return;
+                    }
+                    insert();
+                })
+                .fail(function (countErr) {
+                    def.reject(countErr);
+                });
+        });
+    return def.promise();
+}
+
+/**
+ * Gets the command reading the value of readSingleValue
+ * @method getValueCommand
+ * @private
+ * @param {DataAccess} DA
+ * @param {object} options see readSingleValue
+ * @returns {string|object}
+ */
+function getValueCommand(DA, options) {
+    const opt = _.defaults({}, options, {columns: [DA.getFormatter().toSql(options.expr, options.environment)]});
+    return DA.sqlConn.getSelectCommand(opt);
+}
+
+/**
+ * Invalidates in the query cache the tables written in the transaction just ended
+ * @method invalidateWrittenTables
+ * @private
+ * @param {DataAccess} DA
+ */
+function invalidateWrittenTables(DA) {
+    const tables = DA.writtenTables;
+    DA.writtenTables = [];
+    _.forEach(tables, function (tableName) {
+        DA.invalidateCache(tableName);
+    });
+}
+
+/**
+ * Gets the text of a part of the key of a cached value, with the values taken from the environment substituted.
+ * Filters are converted by the formatter of the driver and commands built by the driver as objects are described
+ *  by their fields.
+ * @method getCacheKeyPart
+ * @private
+ * @param {DataAccess} DA
+ * @param {*} part
+ * @param {Environment} [environment]
+ * @returns {string|undefined} undefined if the part depends on the environment and can't be converted to text
+ */
+function getCacheKeyPart(DA, part, environment) {
+    let convertible = true;
+
+    function filterToString(filter) {
+        const sql = DA.getFormatter().toSql(filter, environment);
+        if (_.isString(sql)) {
+            return sql;
+        }
+        if (environment) {
+            convertible = false;
+        }
+        return String(filter);
+    }
+
+    if (part instanceof SqlCommand) {
+        return part.sql + ' ' + JSON.stringify(part.params);
+    }
+    if (_.isFunction(part)) {
+        const text = filterToString(part);
+        return convertible ? text : undefined;
+    }
+    if (!_.isObject(part)) {
+        return String(part);
+    }
+    const text = JSON.stringify(part, function (name, value) {
+        if (name === 'environment' || name === 'toString') {
+            return undefined;
+        }
+        return _.isFunction(value) ? filterToString(value) : value;
+    });
+    return convertible ? text : undefined;
+}
+
+/**
+ * Reads a value through the query cache of a DataAccess. The cache is skipped if there is none, inside
+ *  transactions, for tables that are not cached and when the key depends on the environment in a way that can't be
+ *  converted to text. If the cache can't be read, the value is read from the database.
+ * Values read while one of the tables is invalidated, because it has been written meanwhile, are not stored.
+ * @method readCached
+ * @private
+ * @param {DataAccess} DA
+ * @param {string[]} tableNames tables the value is read from
+ * @param {Array} keyParts command, filter and anything else telling apart the value, see getCacheKeyPart
+ * @param {Environment} [environment] environment the key parts are evaluated against
+ * @param {function} read function returning a promise to the value, resolved with (value, retryInfo)
+ * @returns {promise} promise resolved with (value, retryInfo), where retryInfo is {attempts: 0, retries: 0} for
+ *  values taken from the cache
+ */
+function readCached(DA, tableNames, keyParts, environment, read) {
+    const cache = DA.queryCache;
+    if (!cache || DA.transactionLevel > 0 || cache.getTtl(tableNames) <= 0) {
+        return read();
+    }
+    const parts = _.map(keyParts, function (part) {
+        return getCacheKeyPart(DA, part, environment);
+    });
+    if (_.includes(parts, undefined)) {
+        return read();
+    }
+    const def = Deferred(),
+        key = parts.join('\n');
+
+    function readAndStore() {
+        const generation = cache.getGeneration(tableNames);
+        read()
+            .done(function (value, retryInfo) {
+                cache.set(tableNames, key, value, generation);
+                def.resolve(value, retryInfo);
+            })
+            .fail(function (err) {
+                def.reject(err);
+            });
+    }
+
+    cache.get(key)
+        .done(function (cached) {
+            if (cached !== undefined) {
+                def.resolve(cached, {attempts: 0, retries: 0});
+                return;
+            }
+            readAndStore();
+        })
+        .fail(function () {
+            readAndStore();
+        });
+    return def.promise();
+}
+
+/**
+ * Runs an operation in a transaction, forwarding its notifications
+ * @method runInTransaction
+ * @private
+ * @param {DataAccess} DA
+ * @param {string} isolationLevel
+ * @param {function} operation function (DataAccess) returning a Deferred promise
+ * @returns {promise}
+ */
+function runInTransaction(DA, isolationLevel, operation) {
+    const def = Deferred();
+    DA.transaction(isolationLevel, function (conn) {
+        return operation(conn)
+            .progress(function (info) {
+                def.notify(info);
+            });
+    })
+        .done(function (res) {
+            def.resolve(res);
+        })
+        .fail(function (err) {
+            def.reject(err);
+        });
+    return def.promise();
+}
+
+/**
+ * Gets the text of a script, see runScript
+ * @method readScript
+ * @private
+ * @param {string|object} script text of the script or {file: string}
+ * @returns {promise} promise to the text of the script
+ */
+function readScript(script) {
+    const def = Deferred();
+    if (_.isString(script)) {
+        return def.resolve(script).promise();
+    }
+    fs.readFile(script.file, function (err, data) {
+        if (err) {
+            def.reject(new errors.DataAccessError('Error reading script ' + script.file + ':' + err, {cause: err}));
+            return;
+        }
+        def.resolve(data.toString());
+    });
+    return def.promise();
+}
+
+/**
+ * Runs script batches one after the other, see runScript
+ * @method runBatches
+ * @private
+ * @param {DataAccess} DA
+ * @param {object[]} batches array of {sql, line}
+ * @param {boolean} stopOnError
+ * @returns {promise}
+ */
+function runBatches(DA, batches, stopOnError) {
+    const def = Deferred(),
+        outcome = {results: [], errors: []};
+
+    function runBatch(index) {
+        if (index === batches.length) {
+            def.resolve(outcome);
+            return;
+        }
+        const b = batches[index];
+        DA.doGenericUpdate(b.sql)
+            .done(function (result) {
+                outcome.results.push({line: b.line, result: result});
+                def.notify({batch: index + 1, total: batches.length, line: b.line, result: result});
+                runBatch(index + 1);
+            })
+            .fail(function (err) {
+                def.notify({batch: index + 1, total: batches.length, line: b.line, error: err});
+                if (stopOnError) {
+                    err.line = b.line;
+                    def.reject(err);
+                    return;
+                }
+                outcome.errors.push({line: b.line, sql: b.sql, error: err});
+                runBatch(index + 1);
+            });
+    }
+
+    runBatch(0);
+    return def.promise();
+}
+
+/**
+ * Gets the options for the getUpsertCommand of the driver, that like getUpdateCommand expects table in place of
+ *  tableName
+ * @method getUpsertOptions
+ * @private
+ * @param {object} options see doUpsert
+ * @returns {object}
+ */
+function getUpsertOptions(options) {
+    return _.assign(_.omit(options, 'tableName'), {table: options.tableName});
+}
+
+/**
+ * Replaces the ? placeholders of a sql command with the quoted values of the parameters.
+ * Question marks inside quoted strings or identifiers and inside line (--) or block comments are left untouched.
+ * A backslash escapes the next character in quoted text only if the backslashEscapes property of the formatter
+ *  is true, as for MySQL; doubled quotes are always read as escaped ones.
+ * @method inlineParameters
+ * @private
+ * @param {string} sql
+ * @param {object[]} params
+ * @param {object} formatter formatter of the driver, giving quote and backslashEscapes
+ * @returns {string}
+ */
+function inlineParameters(sql, params, formatter) {
+    const backslashEscapes = formatter.backslashEscapes === true;
+    let result = '',
+        used = 0,
+        i = 0;
+
+    //index of the first character after the quoted text, comment or character starting at start
+    function skip(start) {
+        const c = sql[start];
+        if (c === "'" || c === '"' || c === '`') {
+            let k = start + 1;
+            while (k < sql.length && sql[k] !== c) {
+                k += backslashEscapes && sql[k] === '\\' ? 2 : 1;
+            }
+            return Math.min(k + 1, sql.length);
+        }
+        if (c === '-' && sql[start + 1] === '-') {
+            const end = sql.indexOf('\n', start);
+            return end < 0 ? sql.length : end + 1;
+        }
+        if (c === '/' && sql[start + 1] === '*') {
+            const end = sql.indexOf('*/', start + 2);
+            return end < 0 ? sql.length : end + 2;
+        }
+        return start + 1;
+    }
+
+    while (i < sql.length) {
+        if (sql[i] === '?') {
+            if (used >= params.length) {
+                throw new errors.DataAccessError('Missing value for parameter ' + (used + 1), {sql: sql});
+            }
+            result += formatter.quote(params[used]);
+            used += 1;
+            i += 1;
+        } else {
+            const next = skip(i);
+            result += sql.substring(i, next);
+            i = next;
+        }
+    }
+    if (used < params.length) {
+        throw new errors.DataAccessError('Too many parameters: ' + params.length + ' given, ' + used + ' expected',
+            {sql: sql});
+    }
+    return result;
+}
+
+/**
+ * Gets the command to give to the driver for a sql text and its parameters: a SqlCommand if the driver supports
+ *  parameters, otherwise the sql with the values quoted in place of the placeholders
+ * @method getDriverCommand
+ * @private
+ * @param {DataAccess} DA
+ * @param {string|SqlCommand} sql
+ * @param {object[]} [params]
+ * @returns {string|SqlCommand}
+ */
+function getDriverCommand(DA, sql, params) {
+    if (!(sql instanceof SqlCommand) && _.isEmpty(params)) {
+        return sql;
+    }
+    const cmd = sql instanceof SqlCommand ? sql : new SqlCommand(sql, params);
+    if (DA.sqlConn.supportsParameters) {
+        return cmd;
+    }
+    return inlineParameters(cmd.sql, cmd.params, DA.getFormatter());
+}
+
+/**
+ * Gets the command to insert a row. If the driver supports parameters and does not give a SqlCommand itself,
+ *  the values are bound to the placeholders of a SqlCommand in place of being quoted into the sql text.
+ * @method getInsertCommand
+ * @private
+ * @param {DataAccess} DA
+ * @param {string} table
+ * @param {string[]} columns
+ * @param {object[]} values
+ * @returns {string|SqlCommand|object}
+ */
+function getInsertCommand(DA, table, columns, values) {
+    const cmd = DA.sqlConn.getInsertCommand(table, columns, values);
+    if (!DA.sqlConn.supportsParameters || cmd instanceof SqlCommand) {
+        return cmd;
+    }
+    return new SqlCommand('insert into ' + table + '(' + columns.join(',') + ') values (' +
+        _.map(columns, _.constant('?')).join(',') + ')', values);
+}
+
+/**
+ * Gets the command to update rows. If the driver supports parameters and does not give a SqlCommand itself,
+ *  the values written are bound to the placeholders of a SqlCommand, while the filter is translated by the
+ *  formatter of the driver.
+ * @method getUpdateCommand
+ * @private
+ * @param {DataAccess} DA
+ * @param {object} options options of the getUpdateCommand of the driver
+ * @param {string} options.table
+ * @param {sqlFun} [options.filter]
+ * @param {string[]} options.columns
+ * @param {object[]} options.values
+ * @param {Environment} [options.environment]
+ * @returns {string|SqlCommand|object}
+ */
+function getUpdateCommand(DA, options) {
+    const cmd = DA.sqlConn.getUpdateCommand(options);
+    if (!DA.sqlConn.supportsParameters || cmd instanceof SqlCommand) {
+        return cmd;
+    }
+    const assignments = _.map(options.columns, function (column) {
+        return column + ' = ?';
+    });
+    let sql = 'update ' + options.table + ' set ' + assignments.join(',');
+    if (options.filter) {
+        sql += ' where ' + DA.getFormatter().toSql(options.filter, options.environment);
+    }
+    return new SqlCommand(sql, options.values);
+}
+
+/**
+ * Gets the command to run a sql text built by the driver: if the driver supports prepared statements, a SqlCommand
+ *  without parameters, so that it is run with the statement taken from the statement cache (see runQueryBatch)
+ * @method getPreparedCommand
+ * @private
+ * @param {DataAccess} DA
+ * @param {string|SqlCommand|object} cmd
+ * @returns {string|SqlCommand|object}
+ */
+function getPreparedCommand(DA, cmd) {
+    if (_.isString(cmd) && _.isFunction(DA.sqlConn.prepare)) {
+        return new SqlCommand(cmd);
+    }
+    return cmd;
+}
+
+/**
+ * Runs a command with queryBatch or, if it is a SqlCommand and the driver supports prepared statements,
+ *  with the statement taken from the statement cache
+ * @method runQueryBatch
+ * @private
+ * @param {DataAccess} DA
+ * @param {string|SqlCommand} cmd
+ * @param {boolean} [raw=false]
+ * @returns {promise}
+ */
+function runQueryBatch(DA, cmd, raw) {
+    const sqlConn = DA.sqlConn;
+    if (!(cmd instanceof SqlCommand) || !_.isFunction(sqlConn.prepare)) {
+        return sqlConn.queryBatch(cmd, raw);
+    }
+    return DA.statementCache.run(cmd.sql, function () {
+        return sqlConn.prepare(cmd.sql);
+    }, function (stmt) {
+        return stmt.execute(cmd.params, raw);
+    });
+}
+
+/**
+ * Gets a copy of the options of a select with the filter and the joins secured by secureSelect
+ * @method getSecuredOptions
+ * @private
+ * @param {object} options see select
+ * @param {sqlFun} filter
+ * @param {object[]} [joins]
+ * @returns {object}
+ */
+function getSecuredOptions(options, filter, joins) {
+    const secured = _.assign({}, options, {filter: filter});
+    if (joins) {
+        secured.joins = joins;
+    }
+    return secured;
+}
+
+/**
+ * Applies security to the options of a select: the security condition of the main table is joined to the
+ *  filter, while the security condition of every joined table is joined to its on condition, so that left joins
+ *  keep the rows of the main table. options is left untouched: the secured joins are given with the filter and
+ *  commands should be built with getSecuredOptions.
+ * Tables scoped by tenant are restricted to the rows of the tenant of the user in the same way.
+ * Joins, groupBy and having are only accepted if the driver declares supportsJoins.
+ * Explicit requests of columns hidden by the column permissions of the tables read are rejected with a
+ *  SecurityError.
+ * @method secureSelect
+ * @private
+ * @param {DataAccess} DA
+ * @param {object} options see select
+ * @returns {promise} promise resolved with the secured filter, the ColumnPermissions to apply to the
+ *  results, or null, and the secured joins, or undefined if options has no joins
+ */
+function secureSelect(DA, options) {
+    const def = Deferred();
+    if ((!_.isEmpty(options.joins) || options.groupBy || options.having) && !DA.sqlConn.supportsJoins) {
+        def.reject(new errors.DriverError('The driver does not support joins, group by and having',
+            {tableName: options.tableName}));
+        return def.promise();
+    }
+    let filter,
+        scopedJoins;
+    try {
+        filter = scopeFilter(DA, options.filter, options.tableName, options,
+            _.isEmpty(options.joins) ? null : options.tableAlias || options.tableName);
+        scopedJoins = _.map(options.joins, function (join) {
+            return _.assign({}, join,
+                {on: scopeFilter(DA, join.on, join.tableName, options, join.alias || join.tableName)});
+        });
+    } catch (err) {
+        def.reject(err);
+        return def.promise();
+    }
+    DA.getFilterSecured(filter, options.applySecurity, options.tableName, options.environment)
+        .done(function (filterSec) {
+            async.map(scopedJoins, function (join, callback) {
+                    DA.getFilterSecured(join.on, options.applySecurity, join.tableName, options.environment)
+                        .done(function (on) {
+                            callback(null, _.assign({}, join, {on: on}));
+                        })
+                        .fail(function (err) {
+                            callback(err);
+                        });
+                },
+                function (err, joins) {
+                    if (err) {
+                        def.reject(err);
+                        return;
+                    }
+                    getColumnPermissions(DA, [options.tableName].concat(_.map(options.joins, 'tableName')),
+                        options.applySecurity, options.environment)
+                        .done(function (permissions) {
+                            const err = checkHiddenColumns(permissions, options.columns, options.tableName);
+                            if (err) {
+                                def.reject(err);
+                                return;
+                            }
+                            def.resolve(filterSec, permissions, options.joins ? joins : undefined);
+                        })
+                        .fail(function (err) {
+                            def.reject(err);
+                        });
+                });
+        })
+        .fail(function (err) {
+            def.reject(err);
+        });
+    return def.promise();
+}
+
+/**
+ * Gets the column permissions of some tables read together, merging those given by the security provider
+ *  for each table. The promise is resolved with null if there is no restriction on the columns.
+ * @method getColumnPermissions
+ * @private
+ * @param {DataAccess} DA
+ * @param {string[]} tableNames
+ * @param {boolean} applySecurity
+ * @param {Environment} [environment]
+ * @returns {promise} promise to a ColumnPermissions or null
+ */
+function getColumnPermissions(DA, tableNames, applySecurity, environment) {
+    const def = Deferred();
+    if (!applySecurity || !DA.security || !DA.security.columnPermissions) {
+        def.resolve(null);
+        return def.promise();
+    }
+    async.map(tableNames, function (tableName, callback) {
+            let rules;
+            try {
+                rules = DA.security.columnPermissions(tableName, environment);
+            } catch (err) {
+                callback(err);
+                return;
+            }
+            Deferred.when(rules)
+                .done(function (r) {
+                    callback(null, new ColumnPermissions(r));
+                })
+                .fail(function (err) {
+                    callback(err);
+                });
+        },
+        function (err, list) {
+            if (err) {
+                def.reject(new errors.SecurityError('Error getting column permissions for table ' +
+                    tableNames.join(',') + ':' + err, {tableName: tableNames[0], cause: err}));
+                return;
+            }
+            const permissions = _.reduce(list, function (merged, p) {
+                return merged.merge(p);
+            });
+            def.resolve(permissions.isEmpty() ? null : permissions);
+        });
+    return def.promise();
+}
+
+/**
+ * Checks that no hidden column is explicitly asked
+ * @method checkHiddenColumns
+ * @private
+ * @param {ColumnPermissions|null} permissions
+ * @param {string|Array} columns see select
+ * @param {string} tableName
+ * @returns {SecurityError|null}
+ */
+function checkHiddenColumns(permissions, columns, tableName) {
+    const hidden = permissions ? permissions.getHiddenColumns(columns) : [];
+    if (hidden.length === 0) {
+        return null;
+    }
+    return new errors.SecurityError('The user is not allowed to read columns ' + hidden.join(',') + ' of table ' +
+        tableName, {tableName: tableName});
+}
+
+/**
+ * Removes hidden columns and masks values in data read, either raw ({meta, rows}) or as a list of objects
+ * @method applyColumnPermissions
+ * @private
+ * @param {ColumnPermissions|null} permissions
+ * @param {object|object[]} data
+ * @param {boolean} raw
+ * @returns {object|object[]} data itself if there is no permission to apply, new data otherwise
+ */
+function applyColumnPermissions(permissions, data, raw) {
+    if (!permissions) {
+        return data;
+    }
+    if (raw) {
+        return {meta: permissions.applyToMeta(data.meta), rows: permissions.applyToRaw(data.meta, data.rows)};
+    }
+    return _.map(data, function (row) {
+        return permissions.applyToObject(row);
+    });
+}
+
+/**
+ * Gets a function that applies column permissions to the {meta} and {row} data given by the driver queryLines
+ * @method getLineTranslator
+ * @private
+ * @param {ColumnPermissions|null} permissions
+ * @param {boolean} raw
+ * @returns {function}
+ */
+function getLineTranslator(permissions, raw) {
+    let meta = null;
+    return function (r) {
+        if (!permissions) {
+            return r;
+        }
+        if (r.meta) {
+            meta = r.meta;
+            return _.assign({}, r, {meta: permissions.applyToMeta(r.meta)});
+        }
+        return _.assign({}, r, {
+            row: raw ? permissions.applyToRaw(meta, [r.row])[0] : permissions.applyToObject(r.row)
+        });
+    };
+}
+
+/**
+ * Splits an order by clause like 'name asc, idcustomer desc' into a list of {field, desc}
+ * @method parseOrderBy
+ * @private
+ * @param {string} orderBy
+ * @returns {object[]}
+ */
+function parseOrderBy(orderBy) {
+    return _.map(orderBy.split(','), function (part) {
+        const tokens = _.trim(part).split(/\s+/);
+        return {field: tokens[0], desc: tokens.length > 1 && tokens[1].toLowerCase() === 'desc'};
+    });
+}
+
+/**
+ * Builds the cursor pointing after a row. Dates are tagged so that they can be restored as dates.
+ * @method encodeCursor
+ * @private
+ * @param {object[]} sortKeys as returned by parseOrderBy
+ * @param {object} row
+ * @returns {string}
+ */
+function encodeCursor(sortKeys, row) {
+    const values = _.map(sortKeys, function (k) {
+        const v = row[k.field];
+        return _.isDate(v) ? {date: v.toISOString()} : v;
+    });
+    return Buffer.from(JSON.stringify({keys: _.map(sortKeys, 'field'), values: values})).toString('base64');
+}
+
+/**
+ * Gets the sort-key values stored in a cursor
+ * @method decodeCursor
+ * @private
+ * @param {string} cursor
+ * @param {object[]} sortKeys as returned by parseOrderBy
+ * @returns {object[]|null} null if the cursor is not valid for sortKeys
+ */
+function decodeCursor(cursor, sortKeys) {
+    let decoded;
+    try {
+        decoded = JSON.parse(Buffer.from(cursor, 'base64').toString());
+    } catch (e) {
+        return null;
+    }
+    if (!decoded || !_.isEqual(decoded.keys, _.map(sortKeys, 'field'))) {
+        return null;
+    }
+    return _.map(decoded.values, function (v) {
+        return v && v.date ? new Date(v.date) : v;
+    });
+}
+
+/**
+ * Gets the condition selecting rows following the ones having the given sort-key values:
+ *  (k1 > v1) or (k1 = v1 and k2 > v2) or ..., using < for descending keys
+ * @method getSeekCondition
+ * @private
+ * @param {object[]} sortKeys as returned by parseOrderBy
+ * @param {object[]} values
+ * @returns {sqlFun}
+ */
+function getSeekCondition(sortKeys, values) {
+    return $dq.or(_.map(sortKeys, function (k, index) {
+        const conditions = _.map(_.take(sortKeys, index), function (prev, prevIndex) {
+            return $dq.eq(prev.field, values[prevIndex]);
+        });
+        conditions.push(k.desc ? $dq.lt(k.field, values[index]) : $dq.gt(k.field, values[index]));
+        return $dq.and(conditions);
+    }));
+}
+
+/**
+ * Standard sql commands to manage savepoints, used when the driver does not provide getSavepointCommand
+ * @private
+ * @property {object} savepointCommands
+ */
+const savepointCommands = {
+    save: function (name) {
+        return 'SAVEPOINT ' + name;
+    },
+    release: function (name) {
+        return 'RELEASE SAVEPOINT ' + name;
+    },
+    rollback: function (name) {
+        return 'ROLLBACK TO SAVEPOINT ' + name;
+    }
+};
+
+/**
+ * Gets the command to set, release or roll back to a savepoint. Drivers can provide their own syntax implementing
+ *  getSavepointCommand(kind, name), returning null when a command is not needed (for example release in Sql Server)
+ * @method getSavepointCommand
+ * @private
+ * @param {SqlDriver} sqlConn
+ * @param {string} kind save|release|rollback
+ * @param {string} name
+ * @returns {string|null}
+ */
+function getSavepointCommand(sqlConn, kind, name) {
+    if (_.isFunction(sqlConn.getSavepointCommand)) {
+        return sqlConn.getSavepointCommand(kind, name);
+    }
+    return savepointCommands[kind](name);
+}
+
+/**
+ * Get an object from an object or array. If param is an array, its first element is taken
+ * @method getObjectOrFirstRow
+ * @private
+ * @param res {object|Array}
+ * @returns {object}
+ */
+function getObjectOrFirstRow(res) {
+    if (_.isArray(res)) {
+        if (res.length > 0) {
+            return res[0];
+        }
+        return null;
+    }
+    return res;
+}
+
+/**
+ * Get an object from an object or array. If param is an array, its last element is taken
+ * @method getObjectOrLastRow
+ * @private
+ * @param res {object|Array}
+ * @returns {object}
+ */
+function getObjectOrLastRow(res) {
+    if (_.isArray(res)) {
+        if (res.length > 0) {
+            return res[res.length - 1];
+        }
+        return null;
+    }
+    return res;
+}
+
+/**
+ * Get a property from an object. The premise is that the object should only have one property
+ * @method getAProperty
+ * @private
+ * @param obj {object}
+ * @returns {object}
+ */
+function getAProperty(obj) {
+    let i;
+    for (i in obj) {
+        if (obj.hasOwnProperty(i)) {
+            return obj[i];
+        }
+    }
+    return undefined;
+}
+
+
+/**
+ * Merge a row into a table discarding any previous row with same primary key when present
+ * @method mergeRowIntoTable
+ * @param {DataTable} table
+ * @param {object} r
+ */
+function mergeRowIntoTable(table, r) {
+    const rFound = _.filter(table.rows, _.pick(r, table.key()));
+    if (rFound.length > 0) {
+        rFound[0].getRow().detach();
+    }
+    table.load(r, false);
+}
+
+/**
+ * Gets the names of the tables of a DataSet sorted so that every parent table comes before its child tables
+ * @method getSortedTableNames
+ * @private
+ * @param {DataSet} ds
+ * @returns {string[]}
+ */
+function getSortedTableNames(ds) {
+    const sorted = [],
+        visited = {};
+
+    function visit(tableName) {
+        if (visited[tableName]) {
+            return;
+        }
+        visited[tableName] = true;
+        _.forEach(ds.relations, function (rel) {
+            if (rel.childTable === tableName && rel.parentTable !== tableName) {
+                visit(rel.parentTable);
+            }
+        });
+        sorted.push(tableName);
+    }
+
+    _.forEach(_.keys(ds.tables), visit);
+    return sorted;
+}
+
+/**
+ * Gets all modified rows of a DataSet in the order they must be posted to the database:
+ *  first deleted rows, children before parents, then added and modified rows, parents before children
+ * @method getSortedChanges
+ * @private
+ * @param {DataSet} ds
+ * @returns {object[]}
+ */
+function getSortedChanges(ds) {
+    const tableNames = getSortedTableNames(ds),
+        deleted = [],
+        others = [];
+    _.forEachRight(tableNames, function (tableName) {
+        _.forEach(ds.tables[tableName].getChanges(), function (r) {
+            if (r.getRow().state === rowState.deleted) {
+                deleted.push(r);
+            }
+        });
+    });
+    _.forEach(tableNames, function (tableName) {
+        _.forEach(ds.tables[tableName].getChanges(), function (r) {
+            if (r.getRow().state !== rowState.deleted) {
+                others.push(r);
+            }
+        });
+    });
+    return deleted.concat(others);
+}
+
+/**
+ * Counts row from a table. If the driver supports prepared statements, the command is run with the statement cache.
+ * @method selectCount
+ * @param {object} options
+ * @param {string} options.tableName
+ * @param {sqlFun} [options.filter=null]
+ * @param {Environment} options.environment
+ * @param {boolean} [options.applySecurity=true]
+ * @param {boolean} [options.allTenants=false] if true, rows of any tenant are read
+ * @returns {object}
+ */
+DataAccess.prototype.selectCount = function (options) {
+    const def = Deferred(),
+        that = this,
+        opt = _.defaults(options, {applySecurity: true, filter: null});
+    secureSelect(this, opt)
+        .then(function (filterSec, permissions, joins) {
+            if (filterSec && filterSec.isFalse) {
+                def.resolve(0);
+                return;
+            }
+            opt.filter = filterSec;
+                const selCmd = getPreparedCommand(that,
+                    that.sqlConn.getSelectCount(getSecuredOptions(opt, filterSec, joins)));
+                withRetry(that, function () {
+                    return that.myReadFirstValue(selCmd, {tableName: opt.tableName, environment: opt.environment});
+                })
+                .done(function (count, retryInfo) {
+                    def.resolve(count, retryInfo);
+                })
+                .fail(function (err) {
+                    def.reject(err);
+                });
+        },
+        function (err) {
+            def.reject(err);
+        }
+    );
+
+    return def.promise();
+};
+
+
+/**
+ * Reads a page of rows using keyset pagination: instead of skipping rows, the next page is read with a
+ *  condition on the sort-key values of the last row read, given as an opaque cursor.
+ * orderBy should include a unique key, otherwise rows with the same sort-key values could be skipped, and sort
+ *  columns should not be null. Sort columns missing from columns are added to them.
+ * Since the cursor holds the values of the sort columns, the promise is rejected with a SecurityError if some of
+ *  them is hidden or masked by the column permissions of the user.
+ * The promise is resolved with {rows: object[], cursor: string|null, [total]: number} where cursor is null
+ *  when there are no more rows and total, the number of rows satisfying the filter, is given only if withTotal
+ *  is true.
+ * @method selectPage
+ * @param {object} options
+ * @param {string} options.tableName
+ * @param {string} options.orderBy like 'name asc, idcustomer desc'
+ * @param {number} options.pageSize
+ * @param {string} [options.after] cursor returned reading the previous page, if not given the first page is read
+ * @param {string|Array} [options.columns='*'] column names comma separated, or an array of column names and
+ *  {expr: sqlFun, alias: string} objects
+ * @param {sqlFun} [options.filter=null]
+ * @param {boolean} [options.applySecurity=true] if true, security condition is appended to filter
+ * @param {boolean} [options.allTenants=false] if true, rows of any tenant are read
+ * @param {boolean} [options.withTotal=false]
+ * @param {Environment} [options.environment]
+ * @returns {promise}
+ */
+DataAccess.prototype.selectPage = function (options) {
+    const def = Deferred(),
+        that = this,
+        sortKeys = parseOrderBy(options.orderBy);
+    let seek = null;
+
+    if (options.after) {
+        const values = decodeCursor(options.after, sortKeys);
+        if (!values) {
+            def.reject(new errors.DataAccessError('Invalid cursor for ordering ' + options.orderBy,
+                {tableName: options.tableName}));
+            return def.promise();
+        }
+        seek = getSeekCondition(sortKeys, values);
+    }
+
+    let columns = options.columns || '*';
+    if (columns !== '*') {
+        const items = _.isString(columns) ? _.map(columns.split(','), _.trim) : columns,
+            names = _.map(items, function (item) {
+                return _.isString(item) ? item : item.alias;
+            });
+        columns = items.concat(_.difference(_.map(sortKeys, 'field'), names));
+        if (_.isString(options.columns)) {
+            columns = columns.join(',');
+        }
+    }
+
+    getColumnPermissions(this, [options.tableName], options.applySecurity !== false, options.environment)
+        .then(function (permissions) {
+            const protectedKeys = permissions ? _.filter(_.map(sortKeys, 'field'), function (field) {
+                return permissions.rules[field] !== undefined;
+            }) : [];
+            if (protectedKeys.length > 0) {
+                return Deferred().reject(new errors.SecurityError('The user is not allowed to page table ' +
+                    options.tableName + ' by columns ' + protectedKeys.join(','), {tableName: options.tableName}))
+                    .promise();
+            }
+            return that.select({
+                tableName: options.tableName,
+                columns: columns,
+                filter: seek && options.filter ? $dq.and(options.filter, seek) : (seek || options.filter || null),
+                orderBy: options.orderBy,
+                top: options.pageSize + 1,
+                applySecurity: options.applySecurity,
+                allTenants: options.allTenants,
+                environment: options.environment
+            });
+        })
+        .then(function (res) {
+            const rows = _.isArray(res) ? _.take(res, options.pageSize) : [],
+                page = {
+                    rows: rows,
+                    cursor: res.length > options.pageSize ? encodeCursor(sortKeys, _.last(rows)) : null
+                };
+            if (!options.withTotal) {
+                return page;
+            }
+            return that.selectCount({
+                tableName: options.tableName,
+                filter: options.filter || null,
+                applySecurity: options.applySecurity,
+                allTenants: options.allTenants,
+                environment: options.environment
+            })
+                .then(function (total) {
+                    page.total = total;
+                    return page;
+                });
+        })
+        .done(function (page) {
+            def.resolve(page);
+        })
+        .fail(function (err) {
+            def.reject(err);
+        });
+    return def.promise();
+};
+
+
+/**
+ * Reads the description of the tables of the database, see the Schema module for its structure.
+ * If the driver has a getSchema(options) function, returning a promise to the description, it is used,
+ *  otherwise the description is read from INFORMATION_SCHEMA views.
+ * @method getSchema
+ * @param {object} [options]
+ * @param {string[]} [options.tables] if given, only those tables are described
+ * @param {string} [options.schema] schema to read, if not given it is the current database
+ * @returns {promise} promise to {tables: TableDescription[]}
+ */
+DataAccess.prototype.getSchema = function (options) {
+    const opt = options || {};
+    if (typeof this.sqlConn.getSchema === 'function') {
+        return ensureOpen(this, function (conn) {
+            return conn.sqlConn.getSchema(opt);
+        });
+    }
+    return schema.readInformationSchema(this, opt);
+};
+
+/**
+ * Reads the description of a table, see the Schema module for its structure.
+ * The promise is rejected with a DataAccessError if the table does not exist.
+ * @method describeTable
+ * @param {string} tableName
+ * @param {object} [options]
+ * @param {string} [options.schema] schema of the table, if not given it is the current database
+ * @returns {promise} promise to a TableDescription
+ */
+DataAccess.prototype.describeTable = function (tableName, options) {
+    const def = Deferred();
+    this.getSchema(_.assign({}, options, {tables: [tableName]}))
+        .done(function (s) {
+            const t = _.find(s.tables, {name: tableName});
+            if (!t) {
+                def.reject(new errors.DataAccessError('Table ' + tableName + ' not found',
+                    {tableName: tableName}));
+                return;
+            }
+            def.resolve(t);
+        })
+        .fail(function (err) {
+            def.reject(err);
+        });
+    return def.promise();
+};
+
+/**
+ * Creates a DataSet reading its tables, columns, keys and relations from the database
+ * @method createDataSet
+ * @param {object} [options]
+ * @param {string[]} [options.tables] tables to create, if not given all tables of the schema are created
+ * @param {string} [options.schema] schema to read, if not given it is the current database
+ * @param {string} [options.name] name of the DataSet
+ * @returns {promise} promise to a DataSet
+ */
+DataAccess.prototype.createDataSet = function (options) {
+    const def = Deferred(),
+        opt = options || {};
+    this.getSchema(_.omit(opt, 'name'))
+        .done(function (s) {
+            def.resolve(schema.toDataSet(s, opt.name));
+        })
+        .fail(function (err) {
+            def.reject(err);
+        });
+    return def.promise();
+};
+
+
+/**
+ * Executes a query and returns:
+ * if raw= true : a series of {meta} , {rows}, {rows}.. {meta}
+ * if raw= false: a series of {tableName, set, rows} packets
+ * @method doMultiPacketSelect
+ * @private
+ * @param {Connection} conn
+ * @param {number} packetSize limit to the size of {rows} array, 0 means no limit
+ * @param {object} multiCmd {cmd, aliasList, permissions} as given by getMultiSelectCommand
+ * @param {boolean} raw
+ * {meta} is an array of column enriched with a property tableName taken from the aliasList
+ */
+function doMultiSelect(conn, packetSize, multiCmd, raw) {
+    const def = Deferred(),
+        control = getDriverControl(),
+        translate = getPacketTranslator(multiCmd.aliasList, raw, multiCmd.permissions);
+
+    control.setSource(conn.queryPackets(multiCmd.cmd, raw, packetSize))
+        .progress(function (r) {
+            const packet = translate(r);
+            if (packet) {
+                def.notify(packet);
+            }
+        })
+        .done(function () {
+            def.resolve();
+        })
+        .fail(function (err) {
+            def.reject(err);
+        });
+    return control.attach(def.promise());
+}
+
+/**
+ * Gets a function that transforms the data given by the driver queryPackets into the packets given by multiSelect.
+ * The function returns null when the data read is a {meta} header, that is only used to describe following rows
+ * @method getPacketTranslator
+ * @private
+ * @param {string[]} aliasList
+ * @param {boolean} raw
+ * @param {Array} [permissions] ColumnPermissions, or null, to apply to each result set
+ * @returns {function}
+ */
+function getPacketTranslator(aliasList, raw, permissions) {
+    const currTableInfo = {};
+    return function (r) {
+        if (r.meta) {
+            currTableInfo.meta = r.meta;
+            currTableInfo.tableName = aliasList[r.set];
+            currTableInfo.permissions = permissions ? permissions[r.set] : null;
+            return null;
+        }
+        if (raw) {
+            const data = applyColumnPermissions(currTableInfo.permissions, {meta: currTableInfo.meta, rows: r.rows},
+                true);
+            return {meta: data.meta, tableName: currTableInfo.tableName, rows: data.rows};
+        }
+        r.tableName = aliasList[r.set];
+        r.rows = applyColumnPermissions(currTableInfo.permissions, r.rows, false);
+        return r;
+    };
+}
+
+/**
+ * Gets the command to run a list of select as a single batch, together with the list of the table names
+ *  and of the column permissions of the results, in the same order.
+ * Explicit requests of hidden columns are rejected with a SecurityError.
+ * @method getMultiSelectCommand
+ * @private
+ * @param {DataAccess} DA
+ * @param {object} options
+ * @param {Select[]} options.selectList
+ * @param {boolean} options.applySecurity
+ * @param {boolean} [options.allTenants=false]
+ * @param {Environment} [options.environment]
+ * @returns {promise} promise to {cmd: string, aliasList: string[], permissions: Array}
+ */
+function getMultiSelectCommand(DA, options) {
+    const def = Deferred(),
+        selList = multiSelect.groupSelect(options.selectList);
+
+    // gets the security filter for each Select in the list
+    async.map(selList, function (select, callback) {
+            let filter,
+                filterSec;
+            try {
+                filter = scopeFilter(DA, select.getFilter(), select.tableName, options);
+            } catch (err) {
+                callback(err);
+                return;
+            }
+            DA.getFilterSecured(filter, options.applySecurity, select.tableName, options.environment)
+                .then(function (f) {
+                    filterSec = f;
+                    return getColumnPermissions(DA, [select.tableName], options.applySecurity, options.environment);
+                })
+                .done(function (permissions) {
+                    const err = checkHiddenColumns(permissions, select.columns, select.tableName);
+                    if (err) {
+                        callback(err);
+                        return;
+                    }
+                    callback(null,
+                        {
+                            alias: select.alias,
+                            permissions: permissions,
+                            sql: DA.sqlConn.getSelectCommand({
+                                tableName: select.tableName,
+                                columns: select.columns,
+                                filter: filterSec,
+                                top: select.top(),
+                                environment: options.environment
+                            })
+                        });
+                })
+                .fail(function (err) {
+                    callback(err);
+                });
+        },
+        function (err, resultList) {
+            if (err) {
+                def.reject(err);
+                return;
+            }
+            // resultList is an array of {alias, sql} couples
+            //obtains cmd as a concatenation of all sql fields in result list
+            def.resolve({
+                cmd: DA.sqlConn.appendCommands(_.map(resultList, 'sql')),
+                aliasList: _.map(resultList, 'alias'),
+                permissions: _.map(resultList, 'permissions')
+            });
+        }
+    );
+    return def.promise();
+}
+
+/**
+ * Transforms raw data into plain objects
+ * @method objectify
+ * @param {Array} colNames
+ * @param {Array} rows
+ * @returns {Array}
+ */
+function objectify(colNames, rows) {
+    //noinspection JSUnresolvedVariable
+    if (colNames.meta) {
+        //noinspection JSUnresolvedVariable
+        return objectify(colNames.meta, colNames.rows);
+    }
+    return _.map(rows, function (el) {
+        const obj = {};
+        _.each(colNames, function (value, index) {
+            obj[value] = el[index];
+        });
+        return obj;
+    });
+}
+
+
+/**
+ * Converts a Deferred promise into a native Promise
+ * @method toPromise
+ * @private
+ * @param {promise} p
+ * @returns {Promise}
+ */
+function toPromise(p) {
+    return new Promise(function (resolve, reject) {
+        p.done(resolve).fail(reject);
+    });
+}
+
+/**
+ * Converts a Deferred promise into a native Promise resolved with the array of all notified values,
+ *  followed by the resolved value if it is not undefined
+ * @method toCollectedPromise
+ * @private
+ * @param {promise} p
+ * @returns {Promise}
+ */
+function toCollectedPromise(p) {
+    const collected = [];
+    return new Promise(function (resolve, reject) {
+        p.progress(function (data) {
+            collected.push(data);
+        })
+            .done(function (data) {
+                if (data !== undefined) {
+                    collected.push(data);
+                }
+                resolve(collected);
+            })
+            .fail(reject);
+    });
+}
+
+/**
+ * Maximum number of values queued by an async iterable before pausing the driver, see toAsyncIterable
+ * @private
+ * @property {number} iterableHighWaterMark
+ */
+const iterableHighWaterMark = 16;
+
+/**
+ * Converts a Deferred promise into an async iterable over the notified values. Values notified while nobody is
+ *  waiting for them are queued, the iteration ends when the promise is resolved and throws when it is rejected.
+ * When iterableHighWaterMark values are queued the promise is paused, and it is resumed when the queue is
+ *  consumed, if it has pause and resume functions (see createReadStream); otherwise values are queued anyway.
+ * When the consumer stops iterating early, queued and further values are discarded, the promise is cancelled if it
+ *  has a cancel function and resumed, so that a command that can't be cancelled is drained and the connection is
+ *  released when it ends.
+ * @method toAsyncIterable
+ * @private
+ * @param {promise} p
+ * @returns {AsyncIterable}
+ */
+function toAsyncIterable(p) {
+    let queue = [],
+        waiting = [],
+        finished = false,
+        failed = false,
+        paused = false,
+        error = null;
+
+    function resume() {
+        if (paused) {
+            paused = false;
+            p.resume();
+        }
+    }
+
+    p.progress(function (data) {
+        if (finished) {
+            return;
+        }
+        if (waiting.length > 0) {
+            waiting.shift().resolve({value: data, done: false});
+            return;
+        }
+        queue.push(data);
+        if (queue.length >= iterableHighWaterMark && !paused && _.isFunction(p.pause) && _.isFunction(p.resume)) {
+            paused = true;
+            p.pause();
+        }
+    })
+        .done(function () {
+            finished = true;
+            _.forEach(waiting, function (w) {
+                w.resolve({value: undefined, done: true});
+            });
+            waiting = [];
+        })
+        .fail(function (err) {
+            failed = true;
+            error = err;
+            _.forEach(waiting, function (w) {
+                w.reject(err);
+            });
+            waiting = [];
+        });
+
+    const iterator = {
+        next: function () {
+            if (queue.length > 0) {
+                const value = queue.shift();
+                if (queue.length < iterableHighWaterMark / 2) {
+                    resume();
+                }
+                return Promise.resolve({value: value, done: false});
+            }
+            if (failed) {
+                return Promise.reject(error);
+            }
+            if (finished) {
+                return Promise.resolve({value: undefined, done: true});
+            }
+            resume();
+            return new Promise(function (resolve, reject) {
+                waiting.push({resolve: resolve, reject: reject});
+            });
+        },
+        //invoked when the consumer stops iterating early: further data is discarded
+        return: function () {
+            const running = !finished && !failed;
+            finished = true;
+            queue = [];
+            if (running) {
+                if (_.isFunction(p.cancel)) {
+                    p.cancel();
+                }
+                resume();
+            }
+            return Promise.resolve({value: undefined, done: true});
+        }
+    };
+    iterator[Symbol.asyncIterator] = function () {
+        return iterator;
+    };
+    return iterator;
+}
+
+
+/**
+ * Promise-native version of a DataAccess, it is available as DataAccess.promises.
+ * Functions giving a single result return native Promises, functions giving data as a sequence of notifications
+ *  return async iterables, to be used in for await loops.
+ * @class PromiseDataAccess
+ */
+
+/**
+ * @constructor
+ * @param {DataAccess} DA
+ */
+function PromiseDataAccess(DA) {
+    /**
+     * @private
+     * @property {DataAccess} DA
+     */
+    this.DA = DA;
+}
+
+PromiseDataAccess.prototype = {
+    constructor: PromiseDataAccess,
+
+    /**
+     * @method open
+     * @returns {Promise}
+     */
+    open: function () {
+        return toPromise(this.DA.open());
+    },
+
+    /**
+     * @method close
+     * @returns {Promise}
+     */
+    close: function () {
+        return toPromise(this.DA.close());
+    },
+
+    /**
+     * @method readSingleValue
+     * @param {object} options see DataAccess.readSingleValue
+     * @returns {Promise}
+     */
+    readSingleValue: function (options) {
+        return toPromise(this.DA.readSingleValue(options));
+    },
+
+    /**
+     * @method readLastValue
+     * @param {string|SqlCommand} query
+     * @param {object[]} [params]
+     * @returns {Promise}
+     */
+    readLastValue: function (query, params) {
+        return toPromise(this.DA.readLastValue(query, params));
+    },
+
+    /**
+     * @method runCmd
+     * @param {string|SqlCommand} cmd
+     * @param {object[]} [params]
+     * @returns {Promise}
+     */
+    runCmd: function (cmd, params) {
+        return toPromise(this.DA.runCmd(cmd, params));
+    },
+
+    /**
+     * @method runSql
+     * @param {string|SqlCommand} cmd
+     * @param {object[]} [params] can be omitted
+     * @param {boolean} [raw=false]
+     * @returns {Promise}
+     */
+    runSql: function (cmd, params, raw) {
+        return toPromise(this.DA.runSql(cmd, params, raw));
+    },
+
+    /**
+     * Starts building a query whose results are native Promises, streams and async iterables
+     * @method from
+     * @param {string} tableName
+     * @returns {QueryBuilder}
+     */
+    from: function (tableName) {
+        return new QueryBuilder(this, tableName);
+    },
+
+    /**
+     * Gets a statement whose execute and executeValue return native Promises
+     * @method prepare
+     * @param {string} sql
+     * @returns {object} {sql, execute(params, raw), executeValue(params)}
+     */
+    prepare: function (sql) {
+        const stmt = this.DA.prepare(sql);
+        return {
+            sql: sql,
+            execute: function (params, raw) {
+                return toPromise(stmt.execute(params, raw));
+            },
+            executeValue: function (params) {
+                return toPromise(stmt.executeValue(params));
+            }
+        };
+    },
+
+    /**
+     * @method doSingleDelete
+     * @param {object} options see DataAccess.doSingleDelete
+     * @returns {Promise}
+     */
+    doSingleDelete: function (options) {
+        return toPromise(this.DA.doSingleDelete(options));
+    },
+
+    /**
+     * @method doSingleInsert
+     * @param {string} table
+     * @param {string[]} columns
+     * @param {object[]} values
+     * @param {object} [options] see DataAccess.doSingleInsert
+     * @returns {Promise}
+     */
+    doSingleInsert: function (table, columns, values, options) {
+        return toPromise(this.DA.doSingleInsert(table, columns, values, options));
+    },
+
+    /**
+     * @method doSingleUpdate
+     * @param {object} options see DataAccess.doSingleUpdate
+     * @returns {Promise}
+     */
+    doSingleUpdate: function (options) {
+        return toPromise(this.DA.doSingleUpdate(options));
+    },
+
+    /**
+     * Calls a stored procedure, the promise is resolved with the array of all tables returned
+     * @method callSP
+     * @param {string} spName
+     * @param {object[]} paramList
+     * @param {boolean} [raw=false]
+     * @returns {Promise}
+     */
+    callSP: function (spName, paramList, raw) {
+        return toCollectedPromise(this.DA.callSP(spName, paramList, raw));
+    },
+
+    /**
+     * Calls a stored procedure, the promise is resolved with the array of all tables returned
+     * @method callSPWithNamedParams
+     * @param {string} spName
+     * @param {sqlParam[]} paramList
+     * @param {boolean} [raw=false]
+     * @returns {Promise}
+     */
+    callSPWithNamedParams: function (spName, paramList, raw) {
+        return toCollectedPromise(this.DA.callSPWithNamedParams(spName, paramList, raw));
+    },
+
+    /**
+     * @method select
+     * @param {object} opt see DataAccess.select
+     * @param {boolean} [raw=false]
+     * @returns {Promise}
+     */
+    select: function (opt, raw) {
+        return toPromise(this.DA.select(opt, raw));
+    },
+
+    /**
+     * @method selectCount
+     * @param {object} options see DataAccess.selectCount
+     * @returns {Promise}
+     */
+    selectCount: function (options) {
+        return toPromise(this.DA.selectCount(options));
+    },
+
+    /**
+     * @method selectIntoTable
+     * @param {object} options see DataAccess.selectIntoTable
+     * @returns {Promise}
+     */
+    selectIntoTable: function (options) {
+        return toPromise(this.DA.selectIntoTable(options));
+    },
+
+    /**
+     * Iterates over {meta} and then over every {row} read
+     * @method selectRows
+     * @param {object} opt see DataAccess.selectRows
+     * @param {boolean} [raw=false]
+     * @returns {AsyncIterable}
+     */
+    selectRows: function (opt, raw) {
+        return toAsyncIterable(this.DA.selectRows(opt, raw));
+    },
+
+    /**
+     * Same as DataAccess.selectStream, streams are already native
+     * @method selectStream
+     * @param {object} opt see DataAccess.selectStream
+     * @param {boolean} [raw=false]
+     * @returns {Readable}
+     */
+    selectStream: function (opt, raw) {
+        return this.DA.selectStream(opt, raw);
+    },
+
+    /**
+     * Iterates over every packet read
+     * @method queryPackets
+     * @param {object} opt see DataAccess.queryPackets
+     * @param {number} packetSize
+     * @param {boolean} [raw=false]
+     * @returns {AsyncIterable}
+     */
+    queryPackets: function (opt, packetSize, raw) {
+        return toAsyncIterable(this.DA.queryPackets(opt, packetSize, raw));
+    },
+
+    /**
+     * If options.packetSize is given, returns an async iterable over every packet read, otherwise a Promise
+     *  resolved with the array of all tables read, each like {tableName, rows}
+     * @method multiSelect
+     * @param {object} options see DataAccess.multiSelect
+     * @returns {AsyncIterable|Promise}
+     */
+    multiSelect: function (options) {
+        if (options.packetSize) {
+            return toAsyncIterable(this.DA.multiSelect(options));
+        }
+        return toCollectedPromise(this.DA.multiSelect(options));
+    },
+
+    /**
+     * @method mergeMultiSelect
+     * @param {Select[]} selectList
+     * @param {DataSet} ds
+     * @param {Environment} [environment]
+     * @returns {Promise}
+     */
+    mergeMultiSelect: function (selectList, ds, environment) {
+        return toPromise(this.DA.mergeMultiSelect(selectList, ds, environment));
+    },
+
+    /**
+     * @method saveDataSet
+     * @param {DataSet} ds
+     * @param {object} [options] see DataAccess.saveDataSet
+     * @returns {Promise}
+     */
+    saveDataSet: function (ds, options) {
+        return toPromise(this.DA.saveDataSet(ds, options));
+    },
+
+    /**
+     * @method bulkInsert
+     * @param {string} tableName
+     * @param {object[]} rows
+     * @param {object} [options] see DataAccess.bulkInsert
+     * @returns {Promise}
+     */
+    bulkInsert: function (tableName, rows, options) {
+        return toPromise(this.DA.bulkInsert(tableName, rows, options));
+    },
+
+    /**
+     * @method doUpsert
+     * @param {object} options see DataAccess.doUpsert
+     * @returns {Promise}
+     */
+    doUpsert: function (options) {
+        return toPromise(this.DA.doUpsert(options));
+    },
+
+    /**
+     * @method bulkUpsert
+     * @param {string} tableName
+     * @param {object[]} rows
+     * @param {object} options see DataAccess.bulkUpsert
+     * @returns {Promise}
+     */
+    bulkUpsert: function (tableName, rows, options) {
+        return toPromise(this.DA.bulkUpsert(tableName, rows, options));
+    },
+
+    /**
+     * @method selectPage
+     * @param {object} options see DataAccess.selectPage
+     * @returns {Promise}
+     */
+    selectPage: function (options) {
+        return toPromise(this.DA.selectPage(options));
+    },
+
+    /**
+     * @method invalidateCache
+     * @param {string} [tableName]
+     */
+    invalidateCache: function (tableName) {
+        this.DA.invalidateCache(tableName);
+    },
+
+    /**
+     * @method runScript
+     * @param {string|object} script text of the script or {file: string}
+     * @param {object} [options] see DataAccess.runScript
+     * @returns {Promise}
+     */
+    runScript: function (script, options) {
+        return toPromise(this.DA.runScript(script, options));
+    },
+
+    /**
+     * @method getSchema
+     * @param {object} [options] see DataAccess.getSchema
+     * @returns {Promise}
+     */
+    getSchema: function (options) {
+        return toPromise(this.DA.getSchema(options));
+    },
+
+    /**
+     * @method describeTable
+     * @param {string} tableName
+     * @param {object} [options] see DataAccess.describeTable
+     * @returns {Promise}
+     */
+    describeTable: function (tableName, options) {
+        return toPromise(this.DA.describeTable(tableName, options));
+    },
+
+    /**
+     * @method createDataSet
+     * @param {object} [options] see DataAccess.createDataSet
+     * @returns {Promise}
+     */
+    createDataSet: function (options) {
+        return toPromise(this.DA.createDataSet(options));
+    },
+
+    /**
+     * @method beginTransaction
+     * @param {string} isolationLevel
+     * @returns {Promise}
+     */
+    beginTransaction: function (isolationLevel) {
+        return toPromise(this.DA.beginTransaction(isolationLevel));
+    },
+
+    /**
+     * @method commit
+     * @returns {Promise}
+     */
+    commit: function () {
+        return toPromise(this.DA.commit());
+    },
+
+    /**
+     * @method transaction
+     * @param {string} isolationLevel
+     * @param {function} fn async function (DataAccess)
+     * @param {object} [options]
+     * @returns {Promise}
+     */
+    transaction: function (isolationLevel, fn, options) {
+        return toPromise(this.DA.transaction(isolationLevel, fn, options));
+    },
+
+    /**
+     * @method rollback
+     * @returns {Promise}
+     */
+    rollback: function () {
+        return toPromise(this.DA.rollback());
+    }
+};
+
 
 module.exports = {
     DataAccess: DataAccess,
+    PromiseDataAccess: PromiseDataAccess,
+    SqlCommand: SqlCommand,
+    PreparedStatement: PreparedStatement,
+    StatementCache: StatementCache,
+    QueryBuilder: QueryBuilder,
+    QueryCache: queryCache.QueryCache,
+    MemoryCacheStore: queryCache.MemoryCacheStore,
+    toDataTable: schema.toDataTable,
+    toDataSet: schema.toDataSet,
+    splitScript: sqlScript.splitScript,
+    Migrator: migrator.Migrator,
+    loadMigrations: migrator.loadMigrations,
+    ColumnPermissions: ColumnPermissions,
+    Audit: Audit,
+    StampColumns: StampColumns,
     objectify: objectify,
-    isolationLevels: isolationLevels
+    isolationLevels: isolationLevels,
+    defaultRetryPolicy: defaultRetryPolicy,
+    isTransientError: isTransientError,
+    errorCodes: errors.errorCodes,
+    DataAccessError: errors.DataAccessError,
+    NoRowAffectedError: errors.NoRowAffectedError,
+    ConcurrencyError: errors.ConcurrencyError,
+    ConnectionError: errors.ConnectionError,
+    SecurityError: errors.SecurityError,
+    DriverError: errors.DriverError,
+    MigrationError: errors.MigrationError
 };
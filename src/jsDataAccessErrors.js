@@ -0,0 +1,152 @@
+/*global sqlFun */
+/*jslint nomen: true*/
+
+/**
+ * Error classes given by DataAccess when a command fails
+ * @module DataAccessErrors
+ */
+
+
+/**
+ * Stable codes of the errors, suited to be compared or logged
+ * @enum errorCodes
+ * @static
+ * @property errorCodes
+ * @type {object}
+ */
+const errorCodes = {
+    noRowAffected: 'NO_ROW_AFFECTED',
+    concurrency: 'CONCURRENCY',
+    connection: 'CONNECTION',
+    security: 'SECURITY',
+    driver: 'DRIVER',
+    migration: 'MIGRATION'
+};
+
+
+/**
+ * Base class of all errors given by DataAccess
+ * @class DataAccessError
+ */
+
+/**
+ * @constructor
+ * @param {string} message
+ * @param {object} [details]
+ * @param {string} [details.sql] the command that was running
+ * @param {string} [details.tableName] the table involved
+ * @param {sqlFun} [details.filter] the filter used to locate rows
+ * @param {object} [details.cause] the original error given by the driver
+ */
+function DataAccessError(message, details) {
+    const d = details || {};
+    this.message = message;
+    this.sql = d.sql;
+    this.tableName = d.tableName;
+    this.filter = d.filter;
+    this.cause = d.cause;
+    if (Error.captureStackTrace) {
+        Error.captureStackTrace(this, this.constructor);
+    } else {
+        this.stack = (new Error(message)).stack;
+    }
+}
+
+DataAccessError.prototype = Object.create(Error.prototype);
+DataAccessError.prototype.constructor = DataAccessError;
+DataAccessError.prototype.name = 'DataAccessError';
+DataAccessError.prototype.code = 'DATA_ACCESS';
+
+
+/**
+ * Creates an error class deriving from DataAccessError
+ * @method defineError
+ * @private
+ * @param {string} name
+ * @param {string} code
+ * @returns {function}
+ */
+function defineError(name, code) {
+    function SpecificError(message, details) {
+        DataAccessError.call(this, message, details);
+    }
+
+    SpecificError.prototype = Object.create(DataAccessError.prototype);
+    SpecificError.prototype.constructor = SpecificError;
+    SpecificError.prototype.name = name;
+    SpecificError.prototype.code = code;
+    return SpecificError;
+}
+
+
+/**
+ * A command that should have affected some row did not affect any
+ * @class NoRowAffectedError
+ * @extends DataAccessError
+ */
+const NoRowAffectedError = defineError('NoRowAffectedError', errorCodes.noRowAffected);
+
+/**
+ * A row was not found with the values read before: someone else has changed or deleted it in the while
+ * @class ConcurrencyError
+ * @extends DataAccessError
+ */
+const ConcurrencyError = defineError('ConcurrencyError', errorCodes.concurrency);
+
+/**
+ * It was not possible to open the connection to the database
+ * @class ConnectionError
+ * @extends DataAccessError
+ */
+const ConnectionError = defineError('ConnectionError', errorCodes.connection);
+
+/**
+ * Security information could not be read or the user is not allowed to do the operation
+ * @class SecurityError
+ * @extends DataAccessError
+ */
+const SecurityError = defineError('SecurityError', errorCodes.security);
+
+/**
+ * The database driver reported an error running a command
+ * @class DriverError
+ * @extends DataAccessError
+ */
+const DriverError = defineError('DriverError', errorCodes.driver);
+
+/**
+ * Migrations could not be run: they are locked by someone else, applied scripts were changed or the
+ *  requested target does not exist
+ * @class MigrationError
+ * @extends DataAccessError
+ */
+const MigrationError = defineError('MigrationError', errorCodes.migration);
+
+
+/**
+ * Wraps an error given by the driver into a DriverError. DataAccessError are returned unchanged.
+ * @method toDriverError
+ * @param {object} err
+ * @param {object} [details] see DataAccessError
+ * @returns {DataAccessError}
+ */
+function toDriverError(err, details) {
+    if (err instanceof DataAccessError) {
+        return err;
+    }
+    const d = Object.assign({}, details, {cause: err});
+    return new DriverError(d.sql ? 'executing ' + d.sql + ' ' + err : String(err), d);
+}
+
+
+module.exports = {
+    errorCodes: errorCodes,
+    DataAccessError: DataAccessError,
+    NoRowAffectedError: NoRowAffectedError,
+    ConcurrencyError: ConcurrencyError,
+    ConnectionError: ConnectionError,
+    SecurityError: SecurityError,
+    DriverError: DriverError,
+    MigrationError: MigrationError,
+    toDriverError: toDriverError
+};
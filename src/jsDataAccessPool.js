@@ -0,0 +1,479 @@
+/*global securityProvider,SqlDriver,Environment */
+/*jslint nomen: true*/
+
+/**
+ * provides a pool of DataAccess sharing the same connection parameters and security information
+ * @module DataAccessPool
+ */
+const Deferred = require("JQDeferred");
+const _ = require('lodash');
+const DataAccess = require('./jsDataAccess').DataAccess;
+const ConnectionError = require('./jsDataAccessErrors').ConnectionError;
+
+
+/**
+ * A DataAccessPool keeps a set of DataAccess open on the same database, lending them to callers that need
+ *  to run commands concurrently. Every DataAccess of the pool is obtained cloning a template connection,
+ *  while the security provider is invoked only once and its result is shared among all DataAccess.
+ * @class DataAccessPool
+ */
+
+/**
+ * @constructor
+ * @param {object} options
+ * @param {Connection} options.sqlConn template connection, every DataAccess of the pool will use a clone of it
+ * @param {securityProvider} [options.securityProv] invoked once with the first DataAccess created, that the pool
+ *  can later destroy: the security object must not keep it to read data after its promise is resolved
+ * @param {number} [options.min=0] number of DataAccess kept open even if unused
+ * @param {number} [options.max=10] maximum number of DataAccess open at the same time
+ * @param {number} [options.idleTimeout=30000] milliseconds after which an unused DataAccess is destroyed
+ * @param {number} [options.acquireTimeout=10000] milliseconds after which a pending acquire is rejected
+ * @param {string} [options.validationQuery] command run on a DataAccess before lending it, if it fails
+ *  the DataAccess is discarded and another one is taken
+ */
+function DataAccessPool(options) {
+    const that = this;
+
+    this.options = _.defaults({}, options, {
+        min: 0,
+        max: 10,
+        idleTimeout: 30000,
+        acquireTimeout: 10000,
+        validationQuery: null
+    });
+
+    /**
+     * DataAccess ready to be lent, as {DA: DataAccess, timer: timeout}
+     * @private
+     * @property {object[]} idle
+     */
+    this.idle = [];
+
+    /**
+     * Pending acquire requests, as {def: Deferred, timer: timeout}
+     * @private
+     * @property {object[]} waiting
+     */
+    this.waiting = [];
+
+    /**
+     * DataAccess currently lent, that can be given back with release
+     * @private
+     * @property {Set} lent
+     */
+    this.lent = new Set();
+
+    /**
+     * Number of DataAccess created (or being created) and not yet destroyed
+     * @private
+     * @property {number} count
+     */
+    this.count = 0;
+
+    this.destroyed = false;
+
+    /**
+     * Promise to the security object shared among all DataAccess of the pool
+     * @private
+     * @property {promise} securityPromise
+     */
+    this.securityPromise = null;
+    this.myLastError = null;
+
+    _.times(this.options.min, function () {
+        that.createDataAccess()
+            .done(function (DA) {
+                that.makeIdle(DA);
+            })
+            .fail(function (err) {
+                that.myLastError = err;
+            });
+    });
+}
+
+DataAccessPool.prototype = {
+    constructor: DataAccessPool,
+
+    /**
+     * Number of DataAccess currently managed by the pool, both lent and idle
+     * @public
+     * @property {number} size
+     */
+    get size() {
+        return this.count;
+    },
+
+    /**
+     * Number of DataAccess ready to be lent
+     * @public
+     * @property {number} available
+     */
+    get available() {
+        return this.idle.length;
+    },
+
+    /**
+     * Number of acquire requests waiting for a DataAccess
+     * @public
+     * @property {number} pending
+     */
+    get pending() {
+        return this.waiting.length;
+    },
+
+    /**
+     * get last error occurred creating DataAccess in background
+     * @public
+     * @method secureGetLastError
+     * @returns {object|null}
+     */
+    secureGetLastError: function () {
+        return this.myLastError;
+    },
+
+    /**
+     * Gets the security object, asking the security provider only the first time.
+     * The DataAccess given to the provider can be discarded by the pool later, see the securityProv option.
+     * @method getSecurity
+     * @private
+     * @param {DataAccess} DA
+     * @param {formatter} formatter
+     * @returns {promise}
+     */
+    getSecurity: function (DA, formatter) {
+        const that = this;
+        if (!this.securityPromise) {
+            this.securityPromise = this.options.securityProv(DA, formatter);
+            this.securityPromise.fail(function () {
+                that.securityPromise = null; //next DataAccess will try again
+            });
+        }
+        return this.securityPromise;
+    },
+
+    /**
+     * Creates a new DataAccess cloning the template connection
+     * @method createDataAccess
+     * @private
+     * @returns {promise} promise to DataAccess
+     */
+    createDataAccess: function () {
+        const that = this,
+            def = Deferred();
+        this.count += 1;
+        new DataAccess({
+            sqlConn: this.options.sqlConn.clone(),
+            persisting: true,
+            securityProv: this.options.securityProv ?
+                    function (conn, formatter) {
+                        return that.getSecurity(conn, formatter);
+                    } :
+                    undefined,
+            doneCallBack: function (DA) {
+                def.resolve(DA);
+            },
+            errCallBack: function (err) {
+                that.count -= 1;
+                def.reject(err);
+            }
+        });
+        return def.promise();
+    },
+
+    /**
+     * Destroys a DataAccess of the pool without replacing it
+     * @method forget
+     * @private
+     * @param {DataAccess} DA
+     */
+    forget: function (DA) {
+        this.count -= 1;
+        this.lent.delete(DA);
+        DA.destroy();
+    },
+
+    /**
+     * Destroys a DataAccess of the pool. If there are pending requests, a new DataAccess is created in its place
+     *  for the first of them, and it is also created if the pool has less than options.min DataAccess.
+     * @method discard
+     * @private
+     * @param {DataAccess} DA
+     */
+    discard: function (DA) {
+        const that = this;
+        this.forget(DA);
+        if (this.destroyed || this.count >= this.options.max ||
+                (this.waiting.length === 0 && this.count >= this.options.min)) {
+            return;
+        }
+        this.createDataAccess()
+            .done(function (newDA) {
+                that.handOver(newDA);
+            })
+            .fail(function (err) {
+                that.myLastError = err;
+                const waiter = that.waiting.shift();
+                if (waiter) {
+                    clearTimeout(waiter.timer);
+                    waiter.def.reject(err);
+                }
+            });
+    },
+
+    /**
+     * Gives a DataAccess to the first pending request or, if there is none, puts it in the idle list
+     * @method handOver
+     * @private
+     * @param {DataAccess} DA
+     */
+    handOver: function (DA) {
+        const waiter = this.waiting.shift();
+        if (!waiter) {
+            this.makeIdle(DA);
+            return;
+        }
+        clearTimeout(waiter.timer);
+        this.lend(waiter.def, DA);
+    },
+
+    /**
+     * Resolves an acquire request with a DataAccess, recording it as lent
+     * @method lend
+     * @private
+     * @param {Deferred} def
+     * @param {DataAccess} DA
+     */
+    lend: function (def, DA) {
+        this.lent.add(DA);
+        def.resolve(DA);
+    },
+
+    /**
+     * Puts a DataAccess in the idle list or, after validating it, gives it to the first pending request
+     * @method makeIdle
+     * @private
+     * @param {DataAccess} DA
+     */
+    makeIdle: function (DA) {
+        const that = this;
+        if (this.destroyed) {
+            this.discard(DA);
+            return;
+        }
+        if (this.waiting.length > 0) {
+            this.validate(DA)
+                .done(function () {
+                    that.handOver(DA);
+                })
+                .fail(function () {
+                    that.discard(DA);
+                });
+            return;
+        }
+        const item = {DA: DA, timer: null};
+        item.timer = setTimeout(function () {
+            if (that.count <= that.options.min) {
+                return;
+            }
+            _.pull(that.idle, item);
+            that.discard(DA);
+        }, this.options.idleTimeout);
+        if (item.timer.unref) {
+            item.timer.unref();
+        }
+        this.idle.push(item);
+    },
+
+    /**
+     * Checks that a DataAccess is still usable running the validation query, if any
+     * @method validate
+     * @private
+     * @param {DataAccess} DA
+     * @returns {promise}
+     */
+    validate: function (DA) {
+        if (!this.options.validationQuery) {
+            return Deferred().resolve(DA).promise();
+        }
+        const def = Deferred();
+        DA.runCmd(this.options.validationQuery)
+            .done(function () {
+                def.resolve(DA);
+            })
+            .fail(function (err) {
+                def.reject(err);
+            });
+        return def.promise();
+    },
+
+    /**
+     * Gets a DataAccess from the pool. If none is available and the pool is full, waits until one is released
+     *  or options.acquireTimeout expires. The DataAccess must be given back with release.
+     * @method acquire
+     * @returns {promise} promise to DataAccess
+     */
+    acquire: function () {
+        const that = this,
+            def = Deferred();
+
+        if (this.destroyed) {
+            def.reject(new ConnectionError('The pool has been destroyed'));
+            return def.promise();
+        }
+
+        if (this.idle.length > 0) {
+            const item = this.idle.pop();
+            clearTimeout(item.timer);
+            this.validate(item.DA)
+                .done(function (DA) {
+                    that.lend(def, DA);
+                })
+                .fail(function () {
+                    that.forget(item.DA);
+                    that.acquire()
+                        .done(function (DA) {
+                            def.resolve(DA);
+                        })
+                        .fail(function (err) {
+                            def.reject(err);
+                        });
+                });
+            return def.promise();
+        }
+
+        if (this.count < this.options.max) {
+            this.createDataAccess()
+                .done(function (DA) {
+                    that.lend(def, DA);
+                })
+                .fail(function (err) {
+                    def.reject(err);
+                });
+            return def.promise();
+        }
+
+        const waiter = {def: def, timer: null};
+        waiter.timer = setTimeout(function () {
+            _.pull(that.waiting, waiter);
+            def.reject(new ConnectionError('Timeout acquiring a DataAccess from the pool'));
+        }, this.options.acquireTimeout);
+        this.waiting.push(waiter);
+        return def.promise();
+    },
+
+    /**
+     * Gives back a DataAccess obtained with acquire. A DataAccess given back with a transaction still open is
+     *  rolled back and discarded, as is one still open by the caller (DataAccess of the pool are persisting, so
+     *  they are at nesting level 1 when no one has opened them).
+     * Throws a ConnectionError if DA is not currently lent by the pool, for example when it is released twice.
+     * @method release
+     * @param {DataAccess} DA
+     */
+    release: function (DA) {
+        const that = this;
+        if (!this.lent.has(DA)) {
+            throw new ConnectionError('The DataAccess is not lent by the pool, it could have been released already');
+        }
+        this.lent.delete(DA);
+        if (DA.transactionLevel > 0) {
+            DA.rollback()
+                .always(function () {
+                    that.discard(DA);
+                });
+            return;
+        }
+        if (DA.nesting > 1) {
+            this.discard(DA);
+            return;
+        }
+        this.makeIdle(DA);
+    },
+
+    /**
+     * Acquires a DataAccess, opens it, invokes fn and then closes and releases the DataAccess, as soon as the
+     *  promise returned by fn is settled. The connection is released even if fn throws.
+     * @method withConnection
+     * @param {function} fn function (DataAccess) returning a promise (either Deferred or native)
+     * @returns {promise} promise settled as the one returned by fn
+     */
+    withConnection: function (fn) {
+        const that = this,
+            def = Deferred();
+        this.acquire()
+            .done(function (DA) {
+                function finish(settle) {
+                    DA.close()
+                        .always(function () {
+                            that.release(DA);
+                            settle();
+                        });
+                }
+
+                DA.open()
+                    .done(function () {
+                        let result;
+                        try {
+                            result = fn(DA);
+                        } catch (err) {
+                            finish(function () {
+                                def.reject(err);
+                            });
+                            return;
+                        }
+                        if (!result || !_.isFunction(result.then)) {
+                            finish(function () {
+                                def.resolve(result);
+                            });
+                            return;
+                        }
+                        result.then(function (res) {
+                                finish(function () {
+                                    def.resolve(res);
+                                });
+                            },
+                            function (err) {
+                                finish(function () {
+                                    def.reject(err);
+                                });
+                            });
+                    })
+                    .fail(function (err) {
+                        that.discard(DA);
+                        def.reject(err);
+                    });
+            })
+            .fail(function (err) {
+                def.reject(err);
+            });
+        return def.promise();
+    },
+
+    /**
+     * Destroys all idle DataAccess and rejects pending requests. DataAccess lent at this time are destroyed
+     *  as soon as they are released.
+     * @method destroy
+     */
+    destroy: function () {
+        const that = this;
+        this.destroyed = true;
+        _.forEach(this.waiting, function (waiter) {
+            clearTimeout(waiter.timer);
+            waiter.def.reject(new ConnectionError('The pool has been destroyed'));
+        });
+        this.waiting = [];
+        _.forEach(this.idle, function (item) {
+            clearTimeout(item.timer);
+            that.discard(item.DA);
+        });
+        this.idle = [];
+    },
+
+    toString: function () {
+        return 'DataAccessPool';
+    }
+};
+
+
+module.exports = {
+    DataAccessPool: DataAccessPool
+};
@@ -0,0 +1,1106 @@
+/*global sqlFun,Environment */
+/*jslint nomen: true*/
+
+/**
+ * provides a SqlDriver that keeps data in memory, in plain javascript arrays, so that DataAccess can be used
+ *  (and tested) without a database server
+ * @module MemoryDriver
+ */
+const Deferred = require("JQDeferred");
+const _ = require('lodash');
+
+
+/**
+ * A set of tables and stored procedures kept in memory. Many connections can share the same MemoryDatabase.
+ * @class MemoryDatabase
+ */
+
+/**
+ * @constructor
+ */
+function MemoryDatabase() {
+    /**
+     * tables of the database, as {tableName: {columns: string[], key: string[], rows: object[]}}
+     * @public
+     * @property {object} tables
+     */
+    this.tables = {};
+
+    /**
+     * stored procedures, as {spName: function}
+     * @public
+     * @property {object} procedures
+     */
+    this.procedures = {};
+
+    /**
+     * foreign keys, as {name, parentTable, parentColumns: string[], childTable, childColumns: string[]}
+     * @public
+     * @property {object[]} relations
+     */
+    this.relations = [];
+}
+
+MemoryDatabase.prototype = {
+    constructor: MemoryDatabase,
+
+    /**
+     * Creates a table, replacing any existing one with the same name
+     * @method addTable
+     * @param {string} tableName
+     * @param {object[]} [rows] initial content of the table
+     * @param {string[]} [columns] column names, if not given they are taken from the fields of the first row
+     * @param {string[]} [key] primary key columns, inserting two rows with the same key fails
+     * @returns {MemoryDatabase} this
+     */
+    addTable: function (tableName, rows, columns, key) {
+        const data = _.map(rows || [], _.clone);
+        this.tables[tableName] = {
+            columns: columns || (data.length > 0 ? _.keys(data[0]) : []),
+            key: key || [],
+            rows: data
+        };
+        return this;
+    },
+
+    /**
+     * Gets the rows of a table
+     * @method getRows
+     * @param {string} tableName
+     * @returns {object[]}
+     */
+    getRows: function (tableName) {
+        return this.getTable(tableName).rows;
+    },
+
+    /**
+     * Gets a table, throwing an exception if it does not exist
+     * @method getTable
+     * @private
+     * @param {string} tableName
+     * @returns {object}
+     */
+    getTable: function (tableName) {
+        const t = this.tables[tableName];
+        if (!t) {
+            throw new Error('Table ' + tableName + ' does not exist');
+        }
+        return t;
+    },
+
+    /**
+     * Defines a stored procedure. The function is invoked as fn(paramList, database) where paramList is the array
+     *  of sqlParam given to callSPWithNamedParams, and must return an array of tables, each being an array of objects.
+     *  Output parameters are set assigning their outValue field.
+     * @method addProcedure
+     * @param {string} spName
+     * @param {function} fn
+     * @returns {MemoryDatabase} this
+     */
+    addProcedure: function (spName, fn) {
+        this.procedures[spName] = fn;
+        return this;
+    },
+
+    /**
+     * Declares a foreign key, that is only used to describe the schema and is not checked on updates
+     * @method addRelation
+     * @param {string} name
+     * @param {string} parentTable
+     * @param {string[]} parentColumns
+     * @param {string} childTable
+     * @param {string[]} childColumns
+     * @returns {MemoryDatabase} this
+     */
+    addRelation: function (name, parentTable, parentColumns, childTable, childColumns) {
+        this.relations.push({
+            name: name,
+            parentTable: parentTable,
+            parentColumns: parentColumns,
+            childTable: childTable,
+            childColumns: childColumns
+        });
+        return this;
+    },
+
+    /**
+     * Describes the tables, see the Schema module. Column types are guessed from the values stored in them.
+     * @method describe
+     * @param {string[]} [tableNames] if given, only those tables are described
+     * @returns {object} {tables: TableDescription[]}
+     */
+    describe: function (tableNames) {
+        const that = this;
+        const names = _.filter(_.keys(this.tables), function (name) {
+            return !tableNames || _.includes(tableNames, name);
+        });
+        return {
+            tables: _.map(names, function (name) {
+                const t = that.tables[name];
+                return {
+                    name: name,
+                    kind: 'table',
+                    columns: _.map(t.columns, function (c) {
+                        return {
+                            name: c,
+                            type: getValueType(_.find(_.map(t.rows, c), function (v) {
+                                return v !== null && v !== undefined;
+                            })),
+                            nullable: !_.includes(t.key, c),
+                            isKey: _.includes(t.key, c)
+                        };
+                    }),
+                    primaryKey: _.clone(t.key),
+                    foreignKeys: _.map(_.filter(that.relations, {childTable: name}), function (r) {
+                        return {
+                            name: r.name,
+                            columns: _.clone(r.childColumns),
+                            parentTable: r.parentTable,
+                            parentColumns: _.clone(r.parentColumns)
+                        };
+                    }),
+                    indexes: t.key.length > 0 ? [{name: 'PRIMARY', columns: _.clone(t.key), unique: true}] : []
+                };
+            })
+        };
+    }
+};
+
+
+/**
+ * Gets the database type of a value stored in a table
+ * @method getValueType
+ * @private
+ * @param {*} value
+ * @returns {string}
+ */
+function getValueType(value) {
+    if (_.isInteger(value)) {
+        return 'int';
+    }
+    if (_.isNumber(value)) {
+        return 'double';
+    }
+    if (_.isBoolean(value)) {
+        return 'bit';
+    }
+    if (_.isDate(value)) {
+        return 'datetime';
+    }
+    return 'varchar';
+}
+
+
+/**
+ * Creates a command understood by the memory driver. Commands are objects instead of sql strings, their toString
+ *  gives a readable description used in error messages.
+ * @method memoryCommand
+ * @private
+ * @param {string} kind select|count|insert|update|delete|upsert|batch|savepoint
+ * @param {object} props
+ * @returns {object}
+ */
+function memoryCommand(kind, props) {
+    const cmd = _.assign({kind: kind}, props);
+    cmd.toString = function () {
+        if (kind === 'batch') {
+            return _.map(cmd.commands, String).join(';');
+        }
+        if (kind === 'savepoint') {
+            return 'savepoint ' + cmd.action + ' ' + cmd.name;
+        }
+        if (kind === 'select') {
+            return describeSelect(cmd);
+        }
+        return kind + ' ' + cmd.tableName + (cmd.filter ? ' where ' + cmd.filter : '');
+    };
+    return cmd;
+}
+
+
+/**
+ * Gets a readable description of a select command, telling apart commands that give different results
+ * @method describeSelect
+ * @private
+ * @param {object} cmd
+ * @returns {string}
+ */
+function describeSelect(cmd) {
+    const columns = _.isArray(cmd.columns) ? _.map(cmd.columns, function (c) {
+            return _.isString(c) ? c : c.expr + ' as ' + c.alias;
+        }).join(',') : (cmd.columns || '*'),
+        joins = _.map(cmd.joins, function (j) {
+            return ' ' + (j.type || 'inner') + ' join ' + j.tableName + (j.alias ? ' ' + j.alias : '') + ' on ' + j.on;
+        }).join('');
+    return 'select ' + (cmd.top ? 'top ' + cmd.top + ' ' : '') + columns + ' from ' + cmd.tableName +
+        (cmd.tableAlias ? ' ' + cmd.tableAlias : '') + joins +
+        (cmd.filter ? ' where ' + cmd.filter : '') +
+        (cmd.groupBy ? ' group by ' + cmd.groupBy : '') +
+        (cmd.having ? ' having ' + cmd.having : '') +
+        (cmd.orderBy ? ' order by ' + cmd.orderBy : '');
+}
+
+
+/**
+ * Formatter of the memory driver. Expressions are not translated into sql, they are kept as they are and
+ *  evaluated when the command is run.
+ * @class MemoryFormatter
+ */
+const memoryFormatter = {
+    /**
+     * @method toSql
+     * @param {sqlFun|object} expr
+     * @param {Environment} [environment]
+     * @returns {object}
+     */
+    toSql: function (expr, environment) {
+        return {expr: expr, environment: environment};
+    },
+
+    /**
+     * true since values are quoted as json strings, where a backslash escapes the next character
+     * @property {boolean} backslashEscapes
+     */
+    backslashEscapes: true,
+
+    /**
+     * @method quote
+     * @param {object} value
+     * @returns {string}
+     */
+    quote: function (value) {
+        return JSON.stringify(value);
+    }
+};
+
+
+/**
+ * Evaluates a filter on a row
+ * @method matches
+ * @private
+ * @param {sqlFun} filter
+ * @param {object} row
+ * @param {Environment} environment
+ * @returns {boolean}
+ */
+function matches(filter, row, environment) {
+    if (filter === null || filter === undefined) {
+        return true;
+    }
+    if (_.isFunction(filter)) {
+        return !!filter(row, environment);
+    }
+    return !!filter;
+}
+
+/**
+ * Normalizes a column list given as '*', a comma separated string or an array
+ * @method getColumnList
+ * @private
+ * @param {string|Array} columns
+ * @param {string[]} allColumns
+ * @returns {Array}
+ */
+function getColumnList(columns, allColumns) {
+    if (columns === undefined || columns === null || columns === '*') {
+        return allColumns;
+    }
+    if (_.isString(columns)) {
+        return _.map(columns.split(','), _.trim);
+    }
+    return columns;
+}
+
+/**
+ * Sorts rows following an order by clause like 'name asc, idcustomer desc'
+ * @method sortRows
+ * @private
+ * @param {object[]} rows
+ * @param {string} [orderBy]
+ * @returns {object[]}
+ */
+function sortRows(rows, orderBy) {
+    if (!orderBy) {
+        return rows;
+    }
+    const fields = [],
+        orders = [];
+    _.forEach(orderBy.split(','), function (part) {
+        const tokens = _.trim(part).split(/\s+/);
+        fields.push(tokens[0]);
+        orders.push(tokens[1] && tokens[1].toLowerCase() === 'desc' ? 'desc' : 'asc');
+    });
+    return _.orderBy(rows, fields, orders);
+}
+
+/**
+ * Gets a copy of a row having every field both as it is and qualified with a table alias, like alias.field
+ * @method qualifyRow
+ * @private
+ * @param {object} r
+ * @param {string} alias
+ * @param {string[]} columns
+ * @returns {object}
+ */
+function qualifyRow(r, alias, columns) {
+    const o = {};
+    _.forEach(columns, function (c) {
+        const value = r ? r[c] : null;
+        o[c] = value === undefined ? null : value;
+        o[alias + '.' + c] = o[c];
+    });
+    return o;
+}
+
+/**
+ * Gets the rows of the main table combined with the rows of joined tables. Every row has all fields qualified
+ *  with the alias of their table, unqualified names refer to the first table having that column.
+ * @method getJoinedRows
+ * @private
+ * @param {MemoryDatabase} db
+ * @param {object} cmd
+ * @returns {object[]}
+ */
+function getJoinedRows(db, cmd) {
+    const table = db.getTable(cmd.tableName);
+    if (!cmd.joins || cmd.joins.length === 0) {
+        return table.rows;
+    }
+    let rows = _.map(table.rows, function (r) {
+        return qualifyRow(r, cmd.tableAlias || cmd.tableName, table.columns);
+    });
+    _.forEach(cmd.joins, function (join) {
+        const joinTable = db.getTable(join.tableName),
+            alias = join.alias || join.tableName;
+        rows = _.flatMap(rows, function (r) {
+            const matching = [];
+            _.forEach(joinTable.rows, function (jr) {
+                const merged = _.defaults({}, r, qualifyRow(jr, alias, joinTable.columns));
+                if (matches(join.on, merged, cmd.environment)) {
+                    matching.push(merged);
+                }
+            });
+            if (matching.length === 0 && join.type === 'left') {
+                matching.push(_.defaults({}, r, qualifyRow(null, alias, joinTable.columns)));
+            }
+            return matching;
+        });
+    });
+    return rows;
+}
+
+/**
+ * Evaluates a column on a row, or on a group of rows when the column is an aggregate
+ * @method getColumnValue
+ * @private
+ * @param {string|object} col field name or {expr, [alias], [environment]}
+ * @param {object[]} group rows of the group, the first is used for non aggregate columns
+ * @param {Environment} environment
+ * @returns {object}
+ */
+function getColumnValue(col, group, environment) {
+    if (_.isString(col)) {
+        return group.length > 0 ? group[0][col] : null;
+    }
+    if (col.expr.isAggregate) {
+        return col.expr(group, col.environment || environment);
+    }
+    return group.length > 0 ? col.expr(group[0], col.environment || environment) : null;
+}
+
+/**
+ * Gets the result of a select command as {columns: string[], rows: object[]}
+ * @method runSelect
+ * @private
+ * @param {MemoryDatabase} db
+ * @param {object} cmd
+ * @returns {object}
+ */
+function runSelect(db, cmd) {
+    const table = db.getTable(cmd.tableName),
+        columns = getColumnList(cmd.columns, table.columns),
+        groupBy = cmd.groupBy ? getColumnList(cmd.groupBy, []) : [];
+    let rows = _.filter(getJoinedRows(db, cmd), function (r) {
+        return matches(cmd.filter, r, cmd.environment);
+    });
+
+    if (cmd.kind === 'count') {
+        return {columns: ['count'], rows: [{count: rows.length}]};
+    }
+
+    const names = _.map(columns, function (col, index) {
+        if (_.isString(col)) {
+            return _.last(col.split('.'));
+        }
+        return col.alias || 'expr' + index;
+    });
+
+    function project(group) {
+        const o = {};
+        _.forEach(columns, function (col, index) {
+            o[names[index]] = getColumnValue(col, group, cmd.environment);
+        });
+        return o;
+    }
+
+    const grouped = groupBy.length > 0 || _.some(columns, function (col) {
+        return !_.isString(col) && col.expr.isAggregate;
+    });
+
+    if (!grouped) {
+        rows = sortRows(rows, cmd.orderBy);
+        if (cmd.top) {
+            rows = _.take(rows, parseInt(cmd.top, 10));
+        }
+        return {
+            columns: names,
+            rows: _.map(rows, function (r) {
+                return project([r]);
+            })
+        };
+    }
+
+    const groups = groupBy.length > 0 ?
+            _.values(_.groupBy(rows, function (r) {
+                return JSON.stringify(_.map(groupBy, function (g) {
+                    return r[g];
+                }));
+            })) :
+            [rows];
+    let result = [];
+    _.forEach(groups, function (group) {
+        const o = project(group);
+        if (cmd.having) {
+            const ok = cmd.having.isAggregate ?
+                    cmd.having(group, cmd.environment) :
+                    matches(cmd.having, _.assign({}, group[0], o), cmd.environment);
+            if (!ok) {
+                return;
+            }
+        }
+        result.push(o);
+    });
+    result = sortRows(result, cmd.orderBy && _.map(cmd.orderBy.split(','), function (part) {
+        return _.last(_.trim(part).split('.'));
+    }).join(','));
+    if (cmd.top) {
+        result = _.take(result, parseInt(cmd.top, 10));
+    }
+    return {columns: names, rows: result};
+}
+
+/**
+ * Converts a result set into the format given to DataAccess
+ * @method formatResult
+ * @private
+ * @param {object} result {columns: string[], rows: object[]}
+ * @param {boolean} raw
+ * @returns {object[]|object} array of objects or, if raw, {meta: string[], rows: Array[]}
+ */
+function formatResult(result, raw) {
+    if (!raw) {
+        return result.rows;
+    }
+    return {
+        meta: result.columns,
+        rows: _.map(result.rows, function (r) {
+            return _.map(result.columns, function (c) {
+                return r[c];
+            });
+        })
+    };
+}
+
+
+/**
+ * A connection to a MemoryDatabase, implementing the same contract of the other SqlDriver.
+ * Commands built by getSelectCommand, getInsertCommand and so on are objects, not sql strings: sql text given
+ *  to runSql or run is not supported and gives an error.
+ * @class Connection
+ */
+
+/**
+ * @constructor
+ * @param {object} [options]
+ * @param {MemoryDatabase} [options.database] if not given, a new empty database is created
+ */
+function Connection(options) {
+    const opt = options || {};
+    this.options = opt;
+    this.database = opt.database || new MemoryDatabase();
+    this.isOpen = false;
+
+    /**
+     * functions undoing the changes made by this connection in the current transaction, in the order changes
+     *  were made, or null if there is no transaction. Rolling back only undoes the changes of this connection,
+     *  so that changes committed in the while by other connections to the same database are kept.
+     * @private
+     * @property {function[]|null} undoLog
+     */
+    this.undoLog = null;
+
+    /**
+     * savepoints set in the current transaction, as {name, position} where position is the length of the undo
+     *  log when the savepoint was set
+     * @private
+     * @property {object[]} savepoints
+     */
+    this.savepoints = [];
+}
+
+Connection.prototype = {
+    constructor: Connection,
+
+    /**
+     * getSelectCommand accepts joins, groupBy and having
+     * @public
+     * @property {boolean} supportsJoins
+     */
+    supportsJoins: true,
+
+    /**
+     * Creates a new connection to the same database
+     * @method clone
+     * @returns {Connection}
+     */
+    clone: function () {
+        return new Connection(_.assign({}, this.options, {database: this.database}));
+    },
+
+    /**
+     * @method open
+     * @returns {promise} promise to this connection
+     */
+    open: function () {
+        this.isOpen = true;
+        return Deferred().resolve(this).promise();
+    },
+
+    /**
+     * @method close
+     * @returns {promise}
+     */
+    close: function () {
+        this.isOpen = false;
+        return Deferred().resolve().promise();
+    },
+
+    /**
+     * @method destroy
+     */
+    destroy: function () {
+        this.isOpen = false;
+        this.undoLog = null;
+        this.savepoints = [];
+    },
+
+    /**
+     * @method getFormatter
+     * @returns {object}
+     */
+    getFormatter: function () {
+        return memoryFormatter;
+    },
+
+    /**
+     * @method getSelectCommand
+     * @param {object} options
+     * @param {string} options.tableName
+     * @param {string|Array} options.columns names, also qualified like alias.field, or {expr, alias}
+     * @param {sqlFun} [options.filter]
+     * @param {string} [options.top]
+     * @param {string} [options.orderBy]
+     * @param {string} [options.tableAlias]
+     * @param {object[]} [options.joins] {tableName, [alias], [type], on}
+     * @param {string|string[]} [options.groupBy]
+     * @param {sqlFun} [options.having]
+     * @param {Environment} [options.environment]
+     * @returns {object}
+     */
+    getSelectCommand: function (options) {
+        return memoryCommand('select', _.pick(options, ['tableName', 'columns', 'filter', 'top', 'orderBy',
+            'tableAlias', 'joins', 'groupBy', 'having', 'environment']));
+    },
+
+    /**
+     * @method getSelectCount
+     * @param {object} options
+     * @param {string} options.tableName
+     * @param {sqlFun} [options.filter]
+     * @param {Environment} [options.environment]
+     * @returns {object}
+     */
+    getSelectCount: function (options) {
+        return memoryCommand('count', _.pick(options, ['tableName', 'filter', 'tableAlias', 'joins',
+            'environment']));
+    },
+
+    /**
+     * @method getInsertCommand
+     * @param {string} table
+     * @param {string[]} columns
+     * @param {object[]} values
+     * @returns {object}
+     */
+    getInsertCommand: function (table, columns, values) {
+        return memoryCommand('insert', {tableName: table, row: _.zipObject(columns, values)});
+    },
+
+    /**
+     * @method getUpdateCommand
+     * @param {object} options
+     * @param {string} options.table
+     * @param {sqlFun} options.filter
+     * @param {string[]} options.columns
+     * @param {object[]} options.values
+     * @param {Environment} [options.environment]
+     * @returns {object}
+     */
+    getUpdateCommand: function (options) {
+        return memoryCommand('update', {
+            tableName: options.table,
+            filter: options.filter,
+            changes: _.zipObject(options.columns, options.values),
+            environment: options.environment
+        });
+    },
+
+    /**
+     * @method getDeleteCommand
+     * @param {object} options
+     * @param {string} options.tableName
+     * @param {sqlFun} options.filter
+     * @param {Environment} [options.environment]
+     * @returns {object}
+     */
+    getDeleteCommand: function (options) {
+        return memoryCommand('delete', _.pick(options, ['tableName', 'filter', 'environment']));
+    },
+
+    /**
+     * Gets a command that inserts a row or, if a row with the same key exists, updates it.
+     * Its updateBatch result is like {rowcount, inserted, updated}
+     * @method getUpsertCommand
+     * @param {object} options
+     * @param {string} options.table
+     * @param {string[]} options.keyColumns
+     * @param {string[]} options.columns
+     * @param {object[]} options.values
+     * @param {Environment} [options.environment]
+     * @returns {object}
+     */
+    getUpsertCommand: function (options) {
+        return memoryCommand('upsert', {
+            tableName: options.table,
+            keyColumns: options.keyColumns,
+            row: _.zipObject(options.columns, options.values)
+        });
+    },
+
+    /**
+     * Gets a command to set, release or roll back to a savepoint
+     * @method getSavepointCommand
+     * @param {string} kind save|release|rollback
+     * @param {string} name
+     * @returns {object}
+     */
+    getSavepointCommand: function (kind, name) {
+        return memoryCommand('savepoint', {action: kind, name: name});
+    },
+
+    /**
+     * @method appendCommands
+     * @param {object[]} cmdList
+     * @returns {object}
+     */
+    appendCommands: function (cmdList) {
+        return memoryCommand('batch', {commands: cmdList});
+    },
+
+    /**
+     * Runs a command and gives its result
+     * @method execute
+     * @private
+     * @param {object} cmd
+     * @returns {object} {columns, rows} for select and count, {rowcount} for other commands
+     */
+    execute: function (cmd) {
+        if (!cmd || !cmd.kind) {
+            throw new Error('The memory driver does not support sql text: ' + cmd);
+        }
+        const that = this,
+            db = this.database;
+        switch (cmd.kind) {
+            case 'select':
+            case 'count':
+                return runSelect(db, cmd);
+            case 'insert':
+                return this.executeInsert(cmd);
+            case 'update': {
+                let n = 0;
+                _.forEach(db.getRows(cmd.tableName), function (r) {
+                    if (matches(cmd.filter, r, cmd.environment)) {
+                        that.updateRow(r, cmd.changes);
+                        n += 1;
+                    }
+                });
+                return {rowcount: n};
+            }
+            case 'delete':
+                return this.executeDelete(cmd);
+            case 'upsert': {
+                const existing = _.find(db.getRows(cmd.tableName), _.pick(cmd.row, cmd.keyColumns));
+                if (existing) {
+                    this.updateRow(existing, cmd.row);
+                    return {rowcount: 1, inserted: 0, updated: 1};
+                }
+                return _.assign(this.executeInsert(cmd), {inserted: 1, updated: 0});
+            }
+            case 'savepoint':
+                return this.executeSavepoint(cmd);
+            default:
+                throw new Error('Unknown command ' + cmd.kind);
+        }
+    },
+
+    /**
+     * @method executeInsert
+     * @private
+     * @param {object} cmd
+     * @returns {object}
+     */
+    executeInsert: function (cmd) {
+        const table = this.database.getTable(cmd.tableName);
+        if (table.key.length > 0) {
+            const keyValues = _.pick(cmd.row, table.key);
+            if (_.some(table.rows, keyValues)) {
+                throw new Error('Duplicate key ' + JSON.stringify(keyValues) + ' in table ' + cmd.tableName);
+            }
+        }
+        const row = _.clone(cmd.row);
+        table.rows.push(row);
+        this.logUndo(function () {
+            _.pull(table.rows, row);
+        });
+        return {rowcount: 1};
+    },
+
+    /**
+     * @method executeDelete
+     * @private
+     * @param {object} cmd
+     * @returns {object}
+     */
+    executeDelete: function (cmd) {
+        const rows = this.database.getRows(cmd.tableName),
+            removed = [];
+        _.forEach(rows, function (r, index) {
+            if (matches(cmd.filter, r, cmd.environment)) {
+                removed.push({row: r, index: index});
+            }
+        });
+        _.pullAll(rows, _.map(removed, 'row'));
+        this.logUndo(function () {
+            _.forEach(removed, function (r) {
+                rows.splice(Math.min(r.index, rows.length), 0, r.row);
+            });
+        });
+        return {rowcount: removed.length};
+    },
+
+    /**
+     * Assigns new values to the fields of a row
+     * @method updateRow
+     * @private
+     * @param {object} row
+     * @param {object} changes
+     */
+    updateRow: function (row, changes) {
+        const old = _.clone(row);
+        _.assign(row, changes);
+        this.logUndo(function () {
+            _.forEach(_.keys(row), function (field) {
+                delete row[field];
+            });
+            _.assign(row, old);
+        });
+    },
+
+    /**
+     * Adds a function undoing a change to the undo log, if there is a transaction
+     * @method logUndo
+     * @private
+     * @param {function} undo
+     */
+    logUndo: function (undo) {
+        if (this.undoLog) {
+            this.undoLog.push(undo);
+        }
+    },
+
+    /**
+     * Undoes the changes logged after a position of the undo log, from the last to the first
+     * @method undoTo
+     * @private
+     * @param {number} position
+     */
+    undoTo: function (position) {
+        while (this.undoLog.length > position) {
+            this.undoLog.pop()();
+        }
+    },
+
+    /**
+     * @method executeSavepoint
+     * @private
+     * @param {object} cmd
+     * @returns {object}
+     */
+    executeSavepoint: function (cmd) {
+        if (!this.undoLog) {
+            throw new Error('Savepoints can only be used in a transaction');
+        }
+        if (cmd.action === 'save') {
+            this.savepoints.push({name: cmd.name, position: this.undoLog.length});
+            return {rowcount: 0};
+        }
+        const index = _.findLastIndex(this.savepoints, {name: cmd.name});
+        if (index < 0) {
+            throw new Error('Savepoint ' + cmd.name + ' does not exist');
+        }
+        if (cmd.action === 'rollback') {
+            this.undoTo(this.savepoints[index].position);
+        }
+        this.savepoints.splice(index);
+        return {rowcount: 0};
+    },
+
+    /**
+     * Runs all commands of a (possibly batch) command, giving the list of the results
+     * @method executeAll
+     * @private
+     * @param {object} cmd
+     * @returns {object[]}
+     */
+    executeAll: function (cmd) {
+        const that = this;
+        if (cmd && cmd.kind === 'batch') {
+            return _.flatMap(cmd.commands, function (c) {
+                return that.executeAll(c);
+            });
+        }
+        return [this.execute(cmd)];
+    },
+
+    /**
+     * Runs a command asynchronously, giving a promise to the result of fn(results)
+     * @method runAsync
+     * @private
+     * @param {object} cmd
+     * @param {function} fn function (results, deferred)
+     * @returns {promise}
+     */
+    runAsync: function (cmd, fn) {
+        const that = this,
+            def = Deferred();
+        setImmediate(function () {
+            let results;
+            try {
+                results = that.executeAll(cmd);
+            } catch (err) {
+                def.reject(err);
+                return;
+            }
+            fn(results, def);
+        });
+        return def.promise();
+    },
+
+    /**
+     * Runs a command returning result sets. Every result set but the last is notified, the last is resolved.
+     * @method queryBatch
+     * @param {object} query
+     * @param {boolean} [raw=false]
+     * @returns {promise}
+     */
+    queryBatch: function (query, raw) {
+        return this.runAsync(query, function (results, def) {
+            const sets = _.filter(results, 'columns');
+            _.forEach(_.initial(sets), function (set) {
+                def.notify(formatResult(set, raw));
+            });
+            def.resolve(sets.length > 0 ? formatResult(_.last(sets), raw) : []);
+        });
+    },
+
+    /**
+     * Runs a command notifying {meta} and then every {row} read
+     * @method queryLines
+     * @param {object} query
+     * @param {boolean} [raw=false]
+     * @returns {promise}
+     */
+    queryLines: function (query, raw) {
+        return this.runAsync(query, function (results, def) {
+            _.forEach(_.filter(results, 'columns'), function (set) {
+                const formatted = formatResult(set, raw);
+                def.notify({meta: set.columns});
+                _.forEach(raw ? formatted.rows : formatted, function (r) {
+                    def.notify({row: r});
+                });
+            });
+            def.resolve();
+        });
+    },
+
+    /**
+     * Runs a command notifying, for every result set, {meta, set} and then packets {rows, set}
+     * @method queryPackets
+     * @param {object} query
+     * @param {boolean} [raw=false]
+     * @param {number} [packSize=0] maximum number of rows in a packet, 0 means no limit
+     * @returns {promise}
+     */
+    queryPackets: function (query, raw, packSize) {
+        return this.runAsync(query, function (results, def) {
+            _.forEach(_.filter(results, 'columns'), function (set, setNumber) {
+                const formatted = formatResult(set, raw),
+                    rows = raw ? formatted.rows : formatted;
+                def.notify({meta: set.columns, set: setNumber});
+                if (rows.length === 0) {
+                    return;
+                }
+                _.forEach(packSize ? _.chunk(rows, packSize) : [rows], function (packet) {
+                    def.notify({rows: packet, set: setNumber});
+                });
+            });
+            def.resolve();
+        });
+    },
+
+    /**
+     * Runs a command that modifies data
+     * @method updateBatch
+     * @param {object} query
+     * @returns {promise} promise to {rowcount: number}, with inserted and updated counts if upserts were run
+     */
+    updateBatch: function (query) {
+        return this.runAsync(query, function (results, def) {
+            const res = {rowcount: _.sumBy(results, 'rowcount')};
+            if (_.some(results, 'inserted') || _.some(results, 'updated')) {
+                res.inserted = _.sumBy(results, 'inserted') || 0;
+                res.updated = _.sumBy(results, 'updated') || 0;
+            }
+            def.resolve(res);
+        });
+    },
+
+    /**
+     * Runs a script. Sql text is not supported by the memory driver, so this always fails
+     * @method run
+     * @param {string} script
+     * @returns {promise}
+     */
+    run: function (script) {
+        return Deferred().reject(new Error('The memory driver does not support sql scripts')).promise();
+    },
+
+    /**
+     * Calls a stored procedure defined with MemoryDatabase.addProcedure. Every table returned but the last
+     *  is notified, the last is resolved.
+     * @method callSPWithNamedParams
+     * @param {object} options
+     * @param {string} options.spName
+     * @param {sqlParam[]} options.paramList
+     * @param {boolean} [options.raw=false]
+     * @returns {promise}
+     */
+    callSPWithNamedParams: function (options) {
+        const that = this,
+            def = Deferred();
+        setImmediate(function () {
+            const sp = that.database.procedures[options.spName];
+            if (!sp) {
+                def.reject(new Error('Stored procedure ' + options.spName + ' does not exist'));
+                return;
+            }
+            let tables;
+            try {
+                tables = sp(options.paramList, that.database) || [];
+            } catch (err) {
+                def.reject(err);
+                return;
+            }
+            const sets = _.map(tables, function (rows) {
+                return formatResult({columns: rows.length > 0 ? _.keys(rows[0]) : [], rows: rows}, options.raw);
+            });
+            _.forEach(_.initial(sets), function (set) {
+                def.notify(set);
+            });
+            def.resolve(_.last(sets));
+        });
+        return def.promise();
+    },
+
+    /**
+     * Describes the tables of the database, see MemoryDatabase.describe
+     * @method getSchema
+     * @param {object} options
+     * @param {string[]} [options.tables] if given, only those tables are described
+     * @returns {promise}
+     */
+    getSchema: function (options) {
+        const that = this,
+            def = Deferred();
+        setImmediate(function () {
+            def.resolve(that.database.describe(options.tables));
+        });
+        return def.promise();
+    },
+
+    /**
+     * Starts a transaction. Changes are immediately visible to other connections, but rolling back undoes
+     *  the changes made by this connection only. Changes made by stored procedures are not undone.
+     * @method beginTransaction
+     * @param {string} isolationLevel ignored
+     * @returns {promise}
+     */
+    beginTransaction: function (isolationLevel) {
+        this.undoLog = [];
+        this.savepoints = [];
+        return Deferred().resolve().promise();
+    },
+
+    /**
+     * @method commit
+     * @returns {promise}
+     */
+    commit: function () {
+        if (!this.undoLog) {
+            return Deferred().reject(new Error('No transaction to commit')).promise();
+        }
+        this.undoLog = null;
+        this.savepoints = [];
+        return Deferred().resolve().promise();
+    },
+
+    /**
+     * @method rollBack
+     * @returns {promise}
+     */
+    rollBack: function () {
+        if (!this.undoLog) {
+            return Deferred().reject(new Error('No transaction to roll back')).promise();
+        }
+        this.undoTo(0);
+        this.undoLog = null;
+        this.savepoints = [];
+        return Deferred().resolve().promise();
+    }
+};
+
+
+module.exports = {
+    Connection: Connection,
+    MemoryDatabase: MemoryDatabase
+};
@@ -0,0 +1,546 @@
+/*global DataAccess */
+/*jslint nomen: true*/
+
+/**
+ * provides versioned schema migrations run through a DataAccess, with a history table recording the applied ones
+ * @module Migrator
+ */
+const Deferred = require("JQDeferred");
+const _ = require('lodash');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const errors = require('./jsDataAccessErrors');
+
+/**
+ * @private
+ * @property {jsDataQuery} $dq
+ */
+const $dq = require('jsDataQuery');
+
+
+/**
+ * Applies and reverts migrations. A migration is an object like
+ *  {version: string, name: string, up: string|function, down: string|function}
+ *  where up and down are sql scripts or functions (DataAccess) returning a promise, either Deferred or native.
+ * Sql scripts are run with DataAccess.runScript, so they can be made of many batches separated by GO lines.
+ * Every migration is run in a transaction together with the update of the history table. Applied migrations are
+ *  recorded with a checksum of their up script, and nothing is run if an applied script was changed since.
+ * While migrating, a row is kept in the lock table so that two processes can't migrate the same database together.
+ * History and lock tables are created if they do not exist, also when another process is creating them in the
+ *  same time. Their DDL uses varchar, int and, for dates, the dateTimeType option, that should be changed on
+ *  databases not having a datetime type, like PostgreSQL (timestamp) or Oracle (date). Otherwise the tables can be
+ *  created in advance.
+ * @class Migrator
+ */
+
+/**
+ * @constructor
+ * @param {DataAccess} DA
+ * @param {object} options
+ * @param {object[]} [options.migrations] migrations to run
+ * @param {string} [options.directory] folder to load migrations from when options.migrations is not given,
+ *  see loadMigrations
+ * @param {string} [options.historyTable='migrations']
+ * @param {string} [options.lockTable] default is historyTable + '_lock'
+ * @param {string} [options.owner] written in the lock table, default is host name and process id
+ * @param {string} [options.isolationLevel='READ_COMMITTED'] isolation level of the transactions
+ * @param {string} [options.dateTimeType='datetime'] sql type of the date columns of history and lock tables
+ */
+function Migrator(DA, options) {
+    const opt = options || {},
+        migrations = opt.migrations || (opt.directory ? loadMigrations(opt.directory) : []);
+    this.DA = DA;
+    this.migrations = _.map(migrations, normalizeMigration)
+        .sort(function (a, b) {
+            return compareVersions(a.version, b.version);
+        });
+    this.historyTable = opt.historyTable || 'migrations';
+    this.lockTable = opt.lockTable || this.historyTable + '_lock';
+    this.owner = opt.owner || os.hostname() + ':' + process.pid;
+    this.isolationLevel = opt.isolationLevel || 'READ_COMMITTED';
+    this.dateTimeType = opt.dateTimeType || 'datetime';
+}
+
+Migrator.prototype = {
+    constructor: Migrator,
+
+    /**
+     * Gets the state of every migration, as {version, name, applied, appliedAt, changed} where changed is true
+     *  if the migration was applied with a different script. Applied versions that are not among the migrations
+     *  are listed with an empty name.
+     * @method getStatus
+     * @returns {promise}
+     */
+    getStatus: function () {
+        const that = this,
+            def = Deferred();
+        readHistory(this, false)
+            .done(function (history) {
+                const status = _.map(that.migrations, function (m) {
+                    const h = history[m.version];
+                    return {
+                        version: m.version,
+                        name: m.name,
+                        applied: h !== undefined,
+                        appliedAt: h ? h.appliedat : null,
+                        changed: h !== undefined && h.checksum !== m.checksum
+                    };
+                });
+                _.forEach(history, function (h, version) {
+                    if (!_.find(that.migrations, {version: version})) {
+                        status.push({version: version, name: '', applied: true, appliedAt: h.appliedat,
+                            changed: false});
+                    }
+                });
+                def.resolve(status.sort(function (a, b) {
+                    return compareVersions(a.version, b.version);
+                }));
+            })
+            .fail(function (err) {
+                def.reject(err);
+            });
+        return def.promise();
+    },
+
+    /**
+     * Brings the database to a version: applied migrations following target are reverted, newest first, then
+     *  migrations up to target that are not applied are applied, oldest first.
+     * The promise is resolved with the steps run, as {version, name, direction: 'up'|'down', sql} where sql is
+     *  the script run or null for function migrations.
+     * @method migrate
+     * @param {string} [target] if not given, all migrations are applied
+     * @param {object} [options]
+     * @param {boolean} [options.dryRun=false] if true, the steps are given without running them
+     * @returns {promise}
+     */
+    migrate: function (target, options) {
+        const that = this;
+        if (target !== undefined && target !== null && !_.find(this.migrations, {version: String(target)})) {
+            return Deferred().reject(new errors.MigrationError('There is no migration with version ' + target))
+                .promise();
+        }
+        return run(this, function (history) {
+            const limit = target === undefined || target === null ? null : String(target),
+                follows = function (version) {
+                    return limit !== null && compareVersions(version, limit) > 0;
+                },
+                down = _.filter(_.keys(history), follows).sort(compareVersions).reverse(),
+                up = _.filter(that.migrations, function (m) {
+                    return history[m.version] === undefined && !follows(m.version);
+                });
+            return _.map(down, function (version) {
+                return getStep(that, version, 'down');
+            }).concat(_.map(up, function (m) {
+                return getStep(that, m.version, 'up');
+            }));
+        }, options);
+    },
+
+    /**
+     * Reverts the last applied migrations, newest first.
+     * The promise is resolved with the steps run, see migrate.
+     * @method rollback
+     * @param {number} [steps=1] number of migrations to revert
+     * @param {object} [options]
+     * @param {boolean} [options.dryRun=false] if true, the steps are given without running them
+     * @returns {promise}
+     */
+    rollback: function (steps, options) {
+        const that = this;
+        return run(this, function (history) {
+            return _.map(_.take(_.keys(history).sort(compareVersions).reverse(), steps || 1), function (version) {
+                return getStep(that, version, 'down');
+            });
+        }, options);
+    },
+
+    /**
+     * Removes the lock, to be used when a process died while migrating
+     * @method releaseLock
+     * @returns {promise}
+     */
+    releaseLock: function () {
+        return this.DA.doSingleDelete({tableName: this.lockTable, filter: $dq.eq('idlock', 1), applySecurity: false});
+    }
+};
+
+
+/**
+ * Loads migrations from a folder. Every file name starts with the version followed by _ or - and the name,
+ *  and is either a module exporting {up, down}, like 003_add_customer.js, or a sql script, like
+ *  003_add_customer.up.sql and 003_add_customer.down.sql
+ * @method loadMigrations
+ * @param {string} directory
+ * @returns {object[]}
+ */
+function loadMigrations(directory) {
+    const migrations = {};
+    _.forEach(fs.readdirSync(directory), function (file) {
+        const parts = /^(\d+)[_\-](.*?)(\.up\.sql|\.down\.sql|\.js)$/.exec(file);
+        if (!parts) {
+            return;
+        }
+        const m = migrations[parts[1]] || {version: parts[1], name: parts[2]},
+            fileName = path.resolve(directory, file);
+        migrations[parts[1]] = m;
+        if (parts[3] === '.js') {
+            _.assign(m, _.pick(require(fileName), ['up', 'down']));
+        } else {
+            m[parts[3] === '.up.sql' ? 'up' : 'down'] = fs.readFileSync(fileName).toString();
+        }
+    });
+    return _.values(migrations);
+}
+
+/**
+ * Compares two versions, considering numbers in them by value so that 10 follows 9
+ * @method compareVersions
+ * @private
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function compareVersions(a, b) {
+    return String(a).localeCompare(String(b), 'en', {numeric: true});
+}
+
+/**
+ * Gets the checksum of a script
+ * @method getChecksum
+ * @private
+ * @param {string|function} script
+ * @returns {string}
+ */
+function getChecksum(script) {
+    return crypto.createHash('sha256').update(String(script).replace(/\r\n/g, '\n')).digest('hex');
+}
+
+/**
+ * Gets a copy of a migration with a string version and the checksum of its up script
+ * @method normalizeMigration
+ * @private
+ * @param {object} m
+ * @returns {object}
+ */
+function normalizeMigration(m) {
+    return {
+        version: String(m.version),
+        name: m.name || '',
+        up: m.up,
+        down: m.down,
+        checksum: getChecksum(m.up)
+    };
+}
+
+/**
+ * Gets a step of the migration plan
+ * @method getStep
+ * @private
+ * @param {Migrator} migrator
+ * @param {string} version
+ * @param {string} direction up|down
+ * @returns {object} {version, name, direction, sql}
+ */
+function getStep(migrator, version, direction) {
+    const m = _.find(migrator.migrations, {version: version});
+    if (!m) {
+        throw new errors.MigrationError('Migration ' + version + ' is applied but it is unknown');
+    }
+    if (!m[direction]) {
+        throw new errors.MigrationError('Migration ' + version + ' has no ' + direction + ' script');
+    }
+    return {
+        version: version,
+        name: m.name,
+        direction: direction,
+        sql: _.isString(m[direction]) ? m[direction] : null
+    };
+}
+
+/**
+ * Creates history and lock tables if they do not exist
+ * @method createTables
+ * @private
+ * @param {Migrator} migrator
+ * @returns {promise}
+ */
+function createTables(migrator) {
+    const DA = migrator.DA,
+        def = Deferred();
+    DA.getSchema({tables: [migrator.historyTable, migrator.lockTable]})
+        .then(function (schema) {
+            const existing = _.map(schema.tables, 'name');
+            let chain = Deferred().resolve().promise();
+            if (!_.includes(existing, migrator.historyTable)) {
+                chain = chain.then(function () {
+                    return createTable(migrator, migrator.historyTable, 'version varchar(50) NOT NULL, ' +
+                        'name varchar(200), checksum varchar(64), appliedat ' + migrator.dateTimeType +
+                        ', PRIMARY KEY (version)');
+                });
+            }
+            if (!_.includes(existing, migrator.lockTable)) {
+                chain = chain.then(function () {
+                    return createTable(migrator, migrator.lockTable, 'idlock int NOT NULL, owner varchar(200), ' +
+                        'lockedat ' + migrator.dateTimeType + ', PRIMARY KEY (idlock)');
+                });
+            }
+            return chain;
+        })
+        .done(function () {
+            def.resolve();
+        })
+        .fail(function (err) {
+            def.reject(err);
+        });
+    return def.promise();
+}
+
+/**
+ * Creates a table. If the creation fails because someone else has created the table after it was looked for,
+ *  the promise is resolved anyway.
+ * @method createTable
+ * @private
+ * @param {Migrator} migrator
+ * @param {string} tableName
+ * @param {string} columns definition of the columns and of the primary key
+ * @returns {promise}
+ */
+function createTable(migrator, tableName, columns) {
+    const DA = migrator.DA,
+        def = Deferred();
+    DA.runCmd('CREATE TABLE ' + tableName + ' (' + columns + ')')
+        .done(function () {
+            def.resolve();
+        })
+        .fail(function (err) {
+            DA.getSchema({tables: [tableName]})
+                .done(function (schema) {
+                    if (schema.tables.length === 0) {
+                        def.reject(err);
+                        return;
+                    }
+                    def.resolve();
+                })
+                .fail(function () {
+                    def.reject(err);
+                });
+        });
+    return def.promise();
+}
+
+/**
+ * Reads the history table, giving an object where keys are the applied versions and values the history rows.
+ * If the table does not exist, an empty object is given.
+ * @method readHistory
+ * @private
+ * @param {Migrator} migrator
+ * @param {boolean} exists true if the history table is known to exist
+ * @returns {promise}
+ */
+function readHistory(migrator, exists) {
+    const DA = migrator.DA,
+        def = Deferred();
+    (exists ? Deferred().resolve({tables: [{name: migrator.historyTable}]}).promise() :
+        DA.getSchema({tables: [migrator.historyTable]}))
+        .then(function (schema) {
+            if (schema.tables.length === 0) {
+                return [];
+            }
+            return DA.select({tableName: migrator.historyTable, columns: '*', applySecurity: false});
+        })
+        .done(function (rows) {
+            def.resolve(_.keyBy(rows, function (r) {
+                return String(r.version);
+            }));
+        })
+        .fail(function (err) {
+            def.reject(err);
+        });
+    return def.promise();
+}
+
+/**
+ * Gets an error if some applied migration was changed
+ * @method verifyChecksums
+ * @private
+ * @param {Migrator} migrator
+ * @param {object} history
+ * @returns {MigrationError|null}
+ */
+function verifyChecksums(migrator, history) {
+    const changed = _.filter(migrator.migrations, function (m) {
+        return history[m.version] !== undefined && history[m.version].checksum !== m.checksum;
+    });
+    if (changed.length === 0) {
+        return null;
+    }
+    return new errors.MigrationError('Applied migrations were changed: ' + _.map(changed, 'version').join(', '),
+        {tableName: migrator.historyTable});
+}
+
+/**
+ * Writes the lock row, rejecting with a MigrationError if someone else holds it
+ * @method acquireLock
+ * @private
+ * @param {Migrator} migrator
+ * @returns {promise}
+ */
+function acquireLock(migrator) {
+    const DA = migrator.DA,
+        def = Deferred();
+    DA.doSingleInsert(migrator.lockTable, ['idlock', 'owner', 'lockedat'], [1, migrator.owner, new Date()],
+        {applySecurity: false})
+        .done(function () {
+            def.resolve();
+        })
+        .fail(function (err) {
+            DA.select({tableName: migrator.lockTable, columns: '*', applySecurity: false})
+                .done(function (rows) {
+                    if (rows.length === 0) {
+                        def.reject(err);
+                        return;
+                    }
+                    def.reject(new errors.MigrationError('Migrations are locked by ' + rows[0].owner +
+                        ' since ' + rows[0].lockedat, {tableName: migrator.lockTable, cause: err}));
+                })
+                .fail(function () {
+                    def.reject(err);
+                });
+        });
+    return def.promise();
+}
+
+/**
+ * Runs a sql script or a function (DataAccess)
+ * @method runScript
+ * @private
+ * @param {DataAccess} DA
+ * @param {string|function} script
+ * @returns {promise}
+ */
+function runScript(DA, script) {
+    if (_.isString(script)) {
+        return DA.runScript(script);
+    }
+    const def = Deferred();
+    let result;
+    try {
+        result = script(DA);
+    } catch (err) {
+        def.reject(err);
+        return def.promise();
+    }
+    if (result && _.isFunction(result.then)) {
+        result.then(function (res) {
+                def.resolve(res);
+            },
+            function (err) {
+                def.reject(err);
+            });
+    } else {
+        def.resolve(result);
+    }
+    return def.promise();
+}
+
+/**
+ * Runs a step in a transaction, updating the history table
+ * @method runStep
+ * @private
+ * @param {Migrator} migrator
+ * @param {object} step
+ * @returns {promise}
+ */
+function runStep(migrator, step) {
+    const m = _.find(migrator.migrations, {version: step.version});
+    return migrator.DA.transaction(migrator.isolationLevel, function (conn) {
+        return runScript(conn, m[step.direction])
+            .then(function () {
+                if (step.direction === 'up') {
+                    return conn.doSingleInsert(migrator.historyTable, ['version', 'name', 'checksum', 'appliedat'],
+                        [m.version, m.name, m.checksum, new Date()], {applySecurity: false});
+                }
+                return conn.doSingleDelete({tableName: migrator.historyTable, filter: $dq.eq('version', m.version),
+                    applySecurity: false});
+            });
+    });
+}
+
+/**
+ * Reads the history, verifies checksums and runs the steps given by getPlan, holding the lock.
+ * In dry runs, tables are not created and the lock is not taken.
+ * @method run
+ * @private
+ * @param {Migrator} migrator
+ * @param {function} getPlan function (history) returning the steps to run
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun=false]
+ * @returns {promise}
+ */
+function run(migrator, getPlan, options) {
+    const def = Deferred(),
+        dryRun = options && options.dryRun;
+    let locked = false,
+        plan;
+
+    function finish(err) {
+        const release = locked ? migrator.releaseLock() : Deferred().resolve().promise();
+        release.always(function () {
+            if (err) {
+                def.reject(err);
+            } else {
+                def.resolve(plan);
+            }
+        });
+    }
+
+    (dryRun ? Deferred().resolve().promise() : createTables(migrator))
+        .then(function () {
+            if (dryRun) {
+                return;
+            }
+            return acquireLock(migrator)
+                .done(function () {
+                    locked = true;
+                });
+        })
+        .then(function () {
+            return readHistory(migrator, !dryRun);
+        })
+        .then(function (history) {
+            const err = verifyChecksums(migrator, history);
+            if (err) {
+                return Deferred().reject(err).promise();
+            }
+            try {
+                plan = getPlan(history);
+            } catch (planError) {
+                return Deferred().reject(planError).promise();
+            }
+            let chain = Deferred().resolve().promise();
+            if (dryRun) {
+                return chain;
+            }
+            _.forEach(plan, function (step) {
+                chain = chain.then(function () {
+                    return runStep(migrator, step);
+                });
+            });
+            return chain;
+        })
+        .done(function () {
+            finish(null);
+        })
+        .fail(function (err) {
+            finish(err);
+        });
+    return def.promise();
+}
+
+
+module.exports = {
+    Migrator: Migrator,
+    loadMigrations: loadMigrations
+};
@@ -0,0 +1,331 @@
+/*global sqlFun,Environment,DataTable */
+/*jslint nomen: true*/
+
+/**
+ * provides a chainable builder of the options given to select, selectCount, selectStream, queryPackets and
+ *  selectIntoTable
+ * @module QueryBuilder
+ */
+const _ = require('lodash');
+
+/**
+ * @private
+ * @property {jsDataQuery} $dq
+ */
+const $dq = require('jsDataQuery');
+
+
+/**
+ * A query on a table, built calling chainable methods and run calling fetch, count, stream, packets or intoTable.
+ * Every run builds new options, so the same QueryBuilder can be run many times.
+ * @class QueryBuilder
+ * @example DA.from('customer').columns('idcustomer', 'name').where($dq.eq('cat', 2)).orderBy('name').top(10).fetch()
+ */
+
+/**
+ * @constructor
+ * @param {DataAccess|PromiseDataAccess} DA object the query is run on, results are given as DA gives them
+ * @param {string} tableName
+ */
+function QueryBuilder(DA, tableName) {
+    this.DA = DA;
+    this.tableName = tableName;
+    this.columnList = [];
+    this.filters = [];
+    this.orderList = [];
+    this.topValue = null;
+    this.aliasName = null;
+    this.tableAliasName = null;
+    this.joinList = [];
+    this.groupList = [];
+    this.havingFilter = null;
+    this.env = undefined;
+    this.security = true;
+    this.tenants = false;
+}
+
+QueryBuilder.prototype = {
+    constructor: QueryBuilder,
+
+    /**
+     * Adds columns to read, given as many arguments, arrays or comma separated strings.
+     * Expressions are given as {expr: sqlFun, alias: string}.
+     * If never invoked, all columns are read.
+     * @method columns
+     * @param {...string|string[]|object} names
+     * @returns {QueryBuilder} this
+     */
+    columns: function () {
+        const that = this;
+        _.forEach(_.flattenDeep(_.toArray(arguments)), function (c) {
+            if (!_.isString(c)) {
+                that.columnList.push(c);
+                return;
+            }
+            _.forEach(c.split(','), function (name) {
+                that.columnList.push(_.trim(name));
+            });
+        });
+        return this;
+    },
+
+    /**
+     * Sets the alias of the main table, to qualify its columns when tables are joined
+     * @method as
+     * @param {string} alias
+     * @returns {QueryBuilder} this
+     */
+    as: function (alias) {
+        this.tableAliasName = alias;
+        return this;
+    },
+
+    /**
+     * Adds an inner join
+     * @method join
+     * @param {string} tableName
+     * @param {sqlFun} on
+     * @param {string} [alias]
+     * @returns {QueryBuilder} this
+     */
+    join: function (tableName, on, alias) {
+        this.joinList.push({tableName: tableName, alias: alias, type: 'inner', on: on});
+        return this;
+    },
+
+    /**
+     * Adds a left join
+     * @method leftJoin
+     * @param {string} tableName
+     * @param {sqlFun} on
+     * @param {string} [alias]
+     * @returns {QueryBuilder} this
+     */
+    leftJoin: function (tableName, on, alias) {
+        this.joinList.push({tableName: tableName, alias: alias, type: 'left', on: on});
+        return this;
+    },
+
+    /**
+     * Adds columns to group by
+     * @method groupBy
+     * @param {...string} names
+     * @returns {QueryBuilder} this
+     */
+    groupBy: function () {
+        this.groupList = this.groupList.concat(_.flattenDeep(_.toArray(arguments)));
+        return this;
+    },
+
+    /**
+     * Sets the condition on groups
+     * @method having
+     * @param {sqlFun} filter
+     * @returns {QueryBuilder} this
+     */
+    having: function (filter) {
+        this.havingFilter = filter;
+        return this;
+    },
+
+    /**
+     * Adds a condition, conditions given in many calls are joined with and
+     * @method where
+     * @param {sqlFun} filter
+     * @returns {QueryBuilder} this
+     */
+    where: function (filter) {
+        if (filter) {
+            this.filters.push(filter);
+        }
+        return this;
+    },
+
+    /**
+     * Adds sort clauses, like orderBy('name') or orderBy('age desc', 'name')
+     * @method orderBy
+     * @param {...string} clauses
+     * @returns {QueryBuilder} this
+     */
+    orderBy: function () {
+        this.orderList = this.orderList.concat(_.flattenDeep(_.toArray(arguments)));
+        return this;
+    },
+
+    /**
+     * Limits the number of rows read
+     * @method top
+     * @param {number} n
+     * @returns {QueryBuilder} this
+     */
+    top: function (n) {
+        this.topValue = n;
+        return this;
+    },
+
+    /**
+     * Sets the name given to the result, for fetch and packets
+     * @method alias
+     * @param {string} name
+     * @returns {QueryBuilder} this
+     */
+    alias: function (name) {
+        this.aliasName = name;
+        return this;
+    },
+
+    /**
+     * Sets the environment of the current user, used to apply security
+     * @method environment
+     * @param {Environment} environment
+     * @returns {QueryBuilder} this
+     */
+    environment: function (environment) {
+        this.env = environment;
+        return this;
+    },
+
+    /**
+     * Sets whether the security condition is appended to the filter, default is true
+     * @method applySecurity
+     * @param {boolean} apply
+     * @returns {QueryBuilder} this
+     */
+    applySecurity: function (apply) {
+        this.security = apply;
+        return this;
+    },
+
+    /**
+     * Sets whether rows of all tenants are read from tables scoped by tenant, default is false
+     * @method allTenants
+     * @param {boolean} [all=true]
+     * @returns {QueryBuilder} this
+     */
+    allTenants: function (all) {
+        this.tenants = all === undefined ? true : all;
+        return this;
+    },
+
+    /**
+     * Gets the filter joining all the conditions given with where
+     * @method getFilter
+     * @returns {sqlFun|null}
+     */
+    getFilter: function () {
+        if (this.filters.length === 0) {
+            return null;
+        }
+        if (this.filters.length === 1) {
+            return this.filters[0];
+        }
+        return $dq.and(this.filters);
+    },
+
+    /**
+     * Gets the options to give to select and the other DataAccess functions
+     * @method toOptions
+     * @returns {object}
+     */
+    toOptions: function () {
+        let columns = '*';
+        if (this.columnList.length > 0) {
+            columns = _.every(this.columnList, _.isString) ? this.columnList.join(',') : _.clone(this.columnList);
+        }
+        const opt = {
+            tableName: this.tableName,
+            columns: columns,
+            filter: this.getFilter(),
+            applySecurity: this.security,
+            environment: this.env
+        };
+        if (this.tenants) {
+            opt.allTenants = true;
+        }
+        if (this.orderList.length > 0) {
+            opt.orderBy = this.orderList.join(',');
+        }
+        if (this.topValue !== null) {
+            opt.top = this.topValue;
+        }
+        if (this.aliasName) {
+            opt.alias = this.aliasName;
+        }
+        if (this.tableAliasName) {
+            opt.tableAlias = this.tableAliasName;
+        }
+        if (this.joinList.length > 0) {
+            opt.joins = _.clone(this.joinList);
+        }
+        if (this.groupList.length > 0) {
+            opt.groupBy = this.groupList.join(',');
+        }
+        if (this.havingFilter) {
+            opt.having = this.havingFilter;
+        }
+        return opt;
+    },
+
+    /**
+     * Reads the rows, see DataAccess.select
+     * @method fetch
+     * @param {boolean} [raw=false]
+     * @returns {promise}
+     */
+    fetch: function (raw) {
+        return this.DA.select(this.toOptions(), raw);
+    },
+
+    /**
+     * Counts the rows, see DataAccess.selectCount. Columns, order and top are ignored.
+     * @method count
+     * @returns {promise}
+     */
+    count: function () {
+        return this.DA.selectCount(_.pick(this.toOptions(), ['tableName', 'tableAlias', 'joins', 'filter',
+            'applySecurity', 'allTenants', 'environment']));
+    },
+
+    /**
+     * Reads the rows as a stream, see DataAccess.selectStream
+     * @method stream
+     * @param {boolean} [raw=false]
+     * @returns {Readable}
+     */
+    stream: function (raw) {
+        return this.DA.selectStream(this.toOptions(), raw);
+    },
+
+    /**
+     * Reads the rows in packets, see DataAccess.queryPackets
+     * @method packets
+     * @param {number} packetSize
+     * @param {boolean} [raw=false]
+     * @returns {promise}
+     */
+    packets: function (packetSize, raw) {
+        return this.DA.queryPackets(this.toOptions(), packetSize, raw);
+    },
+
+    /**
+     * Reads the rows merging them into a DataTable, see DataAccess.selectIntoTable.
+     * The table read is the one given by table.tableForReading(), if columns were not given the columns of
+     *  the DataTable are read and security is applied if the DataTable does not skip it.
+     * @method intoTable
+     * @param {DataTable} table
+     * @returns {promise}
+     */
+    intoTable: function (table) {
+        const opt = _.omit(this.toOptions(), ['tableName', 'applySecurity', 'alias']);
+        if (this.columnList.length === 0) {
+            delete opt.columns;
+        }
+        opt.table = table;
+        return this.DA.selectIntoTable(opt);
+    }
+};
+
+
+module.exports = {
+    QueryBuilder: QueryBuilder
+};
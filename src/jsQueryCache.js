@@ -0,0 +1,363 @@
+/*global DataAccess */
+/*jslint nomen: true*/
+
+/**
+ * provides a cache of query results, with a time to live for each table and invalidation of the results read from
+ *  a table when it is written
+ * @module QueryCache
+ */
+const Deferred = require("JQDeferred");
+const _ = require('lodash');
+
+
+/**
+ * Default storage of a QueryCache: a least recently used set of values kept in memory.
+ * Any other storage can be given to a QueryCache with the same get, set, delete and clear functions, where get
+ *  can return either the value or a promise to it, Deferred or native, and undefined when the key is missing.
+ * @class MemoryCacheStore
+ */
+
+/**
+ * @constructor
+ * @param {number} [maxSize=1000] maximum number of values kept
+ */
+function MemoryCacheStore(maxSize) {
+    this.maxSize = maxSize === undefined ? 1000 : maxSize;
+
+    /**
+     * {value, expires} by key, from the least to the most recently used
+     * @private
+     * @property {Map} entries
+     */
+    this.entries = new Map();
+}
+
+MemoryCacheStore.prototype = {
+    constructor: MemoryCacheStore,
+
+    /**
+     * Gets a value, or undefined if it is missing or expired
+     * @method get
+     * @param {string} key
+     * @returns {object|undefined}
+     */
+    get: function (key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            return undefined;
+        }
+        this.entries.delete(key);
+        if (entry.expires < Date.now()) {
+            return undefined;
+        }
+        this.entries.set(key, entry);
+        return entry.value;
+    },
+
+    /**
+     * Stores a value, discarding the least recently used one if the store is full
+     * @method set
+     * @param {string} key
+     * @param {object} value
+     * @param {number} ttl milliseconds the value is valid
+     */
+    set: function (key, value, ttl) {
+        this.entries.delete(key);
+        if (this.maxSize === 0) {
+            return;
+        }
+        if (this.entries.size >= this.maxSize) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+        this.entries.set(key, {value: value, expires: Date.now() + ttl});
+    },
+
+    /**
+     * @method delete
+     * @param {string} key
+     */
+    delete: function (key) {
+        this.entries.delete(key);
+    },
+
+    /**
+     * @method clear
+     */
+    clear: function () {
+        this.entries.clear();
+    }
+};
+
+
+/**
+ * A cache of query results. Only results of tables having a time to live are cached, and when a table is
+ *  written all results read from it are discarded.
+ * Values are copied when stored and when read, so that callers can't change cached values.
+ * Keys of values expired or discarded by the store are forgotten when found missing or, at the latest, when the
+ *  next value is stored after they expire.
+ * @class QueryCache
+ */
+
+/**
+ * @constructor
+ * @param {object} [options]
+ * @param {object} [options.tables] time to live in milliseconds by table name, as {tableName: ttl}
+ * @param {number} [options.defaultTtl=0] time to live of tables not listed in options.tables, 0 means not cached
+ * @param {object} [options.store] storage of values, default is a MemoryCacheStore
+ * @param {number} [options.maxSize=1000] maximum number of values kept by the default storage
+ */
+function QueryCache(options) {
+    const opt = options || {};
+    this.tables = opt.tables || {};
+    this.defaultTtl = opt.defaultTtl || 0;
+    this.store = opt.store || new MemoryCacheStore(opt.maxSize);
+
+    /**
+     * keys of the values stored for each table
+     * @private
+     * @property {object} tableKeys
+     */
+    this.tableKeys = {};
+
+    /**
+     * {tables, expires} by key of the values stored, used to forget keys of values expired or discarded by the store
+     * @private
+     * @property {Map} keyInfo
+     */
+    this.keyInfo = new Map();
+
+    /**
+     * time when the first of the values stored expires
+     * @private
+     * @property {number} nextExpiry
+     */
+    this.nextExpiry = Infinity;
+
+    /**
+     * number of invalidations of each table, used to tell if a table has been written while a value was read
+     * @private
+     * @property {object} generations
+     */
+    this.generations = {};
+
+    /**
+     * number of invalidations of all tables at once
+     * @private
+     * @property {number} generation
+     */
+    this.generation = 0;
+
+    this.hits = 0;
+    this.misses = 0;
+    this.invalidations = 0;
+}
+
+QueryCache.prototype = {
+    constructor: QueryCache,
+
+    /**
+     * Gets the time to live of results read from some tables, that is the lowest of their times to live
+     * @method getTtl
+     * @param {string[]} tableNames
+     * @returns {number} 0 if results are not to be cached
+     */
+    getTtl: function (tableNames) {
+        const that = this;
+        return _.min(_.map(tableNames, function (name) {
+            return that.tables[name] !== undefined ? that.tables[name] : that.defaultTtl;
+        })) || 0;
+    },
+
+    /**
+     * Gets a number that changes every time one of some tables is invalidated. It is taken before reading a value
+     *  and given back to set, so that values read while a table was written are not stored.
+     * @method getGeneration
+     * @param {string[]} tableNames
+     * @returns {number}
+     */
+    getGeneration: function (tableNames) {
+        const that = this;
+        return this.generation + _.sum(_.map(tableNames, function (name) {
+            return that.generations[name] || 0;
+        }));
+    },
+
+    /**
+     * Gets a cached value
+     * @method get
+     * @param {string} key
+     * @returns {promise} promise to the value, or to undefined if it is not in the cache
+     */
+    get: function (key) {
+        const that = this,
+            def = Deferred();
+        let value;
+        try {
+            value = this.store.get(key);
+        } catch (err) {
+            value = undefined;
+        }
+        Deferred.when(value && _.isFunction(value.then) ? toDeferred(value) : value)
+            .done(function (v) {
+                if (v === undefined) {
+                    that.misses += 1;
+                    that.forget(key);
+                    def.resolve(undefined);
+                    return;
+                }
+                that.hits += 1;
+                def.resolve(_.cloneDeep(v));
+            })
+            .fail(function () {
+                that.misses += 1;
+                def.resolve(undefined);
+            });
+        return def.promise();
+    },
+
+    /**
+     * Stores a value read from some tables
+     * @method set
+     * @param {string[]} tableNames
+     * @param {string} key
+     * @param {object} value
+     * @param {number} [generation] result of getGeneration taken when the value began to be read: the value is not
+     *  stored if any of the tables has been invalidated since then
+     */
+    set: function (tableNames, key, value, generation) {
+        const that = this,
+            ttl = this.getTtl(tableNames),
+            now = Date.now();
+        if (ttl <= 0) {
+            return;
+        }
+        if (generation !== undefined && generation !== this.getGeneration(tableNames)) {
+            return;
+        }
+        if (now > this.nextExpiry) {
+            this.forgetExpired(now);
+        }
+        this.forget(key);
+        _.forEach(tableNames, function (name) {
+            that.tableKeys[name] = that.tableKeys[name] || new Set();
+            that.tableKeys[name].add(key);
+        });
+        this.keyInfo.set(key, {tables: tableNames, expires: now + ttl});
+        this.nextExpiry = Math.min(this.nextExpiry, now + ttl);
+        this.store.set(key, _.cloneDeep(value), ttl);
+    },
+
+    /**
+     * Removes a key from the keys of the tables its value was read from
+     * @method forget
+     * @private
+     * @param {string} key
+     */
+    forget: function (key) {
+        const that = this,
+            info = this.keyInfo.get(key);
+        if (!info) {
+            return;
+        }
+        this.keyInfo.delete(key);
+        _.forEach(info.tables, function (name) {
+            const keys = that.tableKeys[name];
+            if (!keys) {
+                return;
+            }
+            keys.delete(key);
+            if (keys.size === 0) {
+                delete that.tableKeys[name];
+            }
+        });
+    },
+
+    /**
+     * Forgets the keys of all expired values
+     * @method forgetExpired
+     * @private
+     * @param {number} now
+     */
+    forgetExpired: function (now) {
+        const that = this,
+            expired = [];
+        let nextExpiry = Infinity;
+        this.keyInfo.forEach(function (info, key) {
+            if (info.expires <= now) {
+                expired.push(key);
+            } else {
+                nextExpiry = Math.min(nextExpiry, info.expires);
+            }
+        });
+        _.forEach(expired, function (key) {
+            that.forget(key);
+        });
+        this.nextExpiry = nextExpiry;
+    },
+
+    /**
+     * Discards all values read from a table, or all values if no table is given
+     * @method invalidate
+     * @param {string} [tableName]
+     */
+    invalidate: function (tableName) {
+        const that = this;
+        this.invalidations += 1;
+        if (tableName === undefined) {
+            this.generation += 1;
+            this.tableKeys = {};
+            this.keyInfo.clear();
+            this.nextExpiry = Infinity;
+            this.store.clear();
+            return;
+        }
+        this.generations[tableName] = (this.generations[tableName] || 0) + 1;
+        const keys = this.tableKeys[tableName];
+        if (!keys) {
+            return;
+        }
+        Array.from(keys).forEach(function (key) {
+            that.forget(key);
+            that.store.delete(key);
+        });
+    },
+
+    /**
+     * Gets statistics on cache usage
+     * @method getStats
+     * @returns {object} {hits, misses, invalidations, hitRate}
+     */
+    getStats: function () {
+        const requests = this.hits + this.misses;
+        return {
+            hits: this.hits,
+            misses: this.misses,
+            invalidations: this.invalidations,
+            hitRate: requests === 0 ? 0 : this.hits / requests
+        };
+    }
+};
+
+/**
+ * Converts a native promise into a Deferred one
+ * @method toDeferred
+ * @private
+ * @param {Promise} p
+ * @returns {promise}
+ */
+function toDeferred(p) {
+    const def = Deferred();
+    p.then(function (v) {
+            def.resolve(v);
+        },
+        function (err) {
+            def.reject(err);
+        });
+    return def.promise();
+}
+
+
+module.exports = {
+    QueryCache: QueryCache,
+    MemoryCacheStore: MemoryCacheStore
+};
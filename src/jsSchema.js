@@ -0,0 +1,266 @@
+/*global DataAccess,DataTable,DataSet */
+/*jslint nomen: true*/
+
+/**
+ * provides a driver-neutral description of the database schema and functions to build jsDataSet objects from it
+ * @module Schema
+ */
+const Deferred = require("JQDeferred");
+const _ = require('lodash');
+const jsDataSet = require('jsDataSet');
+
+
+/**
+ * A schema is described by an object like {tables: TableDescription[]} where every TableDescription is like
+ *  {name: string, kind: 'table'|'view', columns: ColumnDescription[], primaryKey: string[],
+ *   foreignKeys: [{name, columns: string[], parentTable: string, parentColumns: string[]}],
+ *   indexes: [{name, columns: string[], unique: boolean}]}
+ *  and every ColumnDescription is like
+ *  {name: string, type: string, nullable: boolean, maxLength: number, precision: number, scale: number,
+ *   defaultValue: string, isKey: boolean}
+ * type is the database type name in lower case, like int or varchar.
+ * @class Schema
+ */
+
+
+/**
+ * ctype of jsDataSet DataColumn for every database type, types not listed are String
+ * @private
+ * @property {object} ctypes
+ */
+const ctypes = {
+    bit: 'Boolean',
+    bool: 'Boolean',
+    boolean: 'Boolean',
+    tinyint: 'Byte',
+    smallint: 'Int16',
+    int: 'Int32',
+    integer: 'Int32',
+    mediumint: 'Int32',
+    bigint: 'Int64',
+    decimal: 'Decimal',
+    numeric: 'Decimal',
+    money: 'Decimal',
+    smallmoney: 'Decimal',
+    float: 'Double',
+    double: 'Double',
+    real: 'Single',
+    date: 'DateTime',
+    datetime: 'DateTime',
+    datetime2: 'DateTime',
+    smalldatetime: 'DateTime',
+    timestamp: 'DateTime',
+    binary: 'Byte[]',
+    varbinary: 'Byte[]',
+    blob: 'Byte[]',
+    image: 'Byte[]'
+};
+
+/**
+ * Gets the jsDataSet ctype for a database type
+ * @method getCType
+ * @param {string} type
+ * @returns {string}
+ */
+function getCType(type) {
+    return ctypes[String(type).toLowerCase()] || 'String';
+}
+
+
+/**
+ * Builds a DataTable from a TableDescription, with its columns and primary key.
+ * If a DataSet is given, the table is created in it.
+ * @method toDataTable
+ * @param {object} tableDescription
+ * @param {DataSet} [ds]
+ * @returns {DataTable}
+ */
+function toDataTable(tableDescription, ds) {
+    const t = ds ? ds.newTable(tableDescription.name) : new jsDataSet.DataTable(tableDescription.name);
+    _.forEach(tableDescription.columns, function (c) {
+        const col = t.setDataColumn(c.name, getCType(c.type));
+        col.allowNull = c.nullable;
+        if (c.maxLength) {
+            col.maxstringlen = c.maxLength;
+        }
+    });
+    if (tableDescription.primaryKey.length > 0) {
+        t.key(tableDescription.primaryKey);
+    }
+    return t;
+}
+
+/**
+ * Builds a DataSet with a DataTable for every table of a schema and a relation for every foreign key
+ *  between tables of the schema
+ * @method toDataSet
+ * @param {object} schema
+ * @param {string} [name='schema']
+ * @returns {DataSet}
+ */
+function toDataSet(schema, name) {
+    const ds = new jsDataSet.DataSet(name || 'schema');
+    _.forEach(schema.tables, function (t) {
+        toDataTable(t, ds);
+    });
+    _.forEach(schema.tables, function (t) {
+        _.forEach(t.foreignKeys, function (fk) {
+            if (ds.tables[fk.parentTable]) {
+                ds.newRelation(fk.name, fk.parentTable, fk.parentColumns, t.name, fk.columns);
+            }
+        });
+    });
+    return ds;
+}
+
+
+/**
+ * Queries run by readInformationSchema, {schema} stands for the schema to read
+ * @private
+ * @property {object} informationSchemaQueries
+ */
+const informationSchemaQueries = {
+    tables: 'SELECT TABLE_NAME, TABLE_TYPE FROM INFORMATION_SCHEMA.TABLES WHERE TABLE_SCHEMA = {schema}',
+    columns: 'SELECT TABLE_NAME, COLUMN_NAME, DATA_TYPE, IS_NULLABLE, CHARACTER_MAXIMUM_LENGTH, ' +
+        'NUMERIC_PRECISION, NUMERIC_SCALE, COLUMN_DEFAULT FROM INFORMATION_SCHEMA.COLUMNS ' +
+        'WHERE TABLE_SCHEMA = {schema} ORDER BY TABLE_NAME, ORDINAL_POSITION',
+    keys: 'SELECT tc.CONSTRAINT_NAME, tc.CONSTRAINT_TYPE, kcu.TABLE_NAME, kcu.COLUMN_NAME, ' +
+        'kcu.REFERENCED_TABLE_NAME, kcu.REFERENCED_COLUMN_NAME ' +
+        'FROM INFORMATION_SCHEMA.TABLE_CONSTRAINTS tc JOIN INFORMATION_SCHEMA.KEY_COLUMN_USAGE kcu ' +
+        'ON kcu.CONSTRAINT_SCHEMA = tc.CONSTRAINT_SCHEMA AND kcu.CONSTRAINT_NAME = tc.CONSTRAINT_NAME ' +
+        'AND kcu.TABLE_NAME = tc.TABLE_NAME ' +
+        'WHERE tc.TABLE_SCHEMA = {schema} ORDER BY kcu.TABLE_NAME, kcu.CONSTRAINT_NAME, kcu.ORDINAL_POSITION',
+    indexes: 'SELECT TABLE_NAME, INDEX_NAME, NON_UNIQUE, COLUMN_NAME FROM INFORMATION_SCHEMA.STATISTICS ' +
+        'WHERE TABLE_SCHEMA = {schema} ORDER BY TABLE_NAME, INDEX_NAME, SEQ_IN_INDEX'
+};
+
+/**
+ * Gets the text of an information schema query
+ * @method getInformationSchemaQuery
+ * @private
+ * @param {string} kind
+ * @param {string} [schema]
+ * @returns {string}
+ */
+function getInformationSchemaQuery(kind, schema) {
+    return informationSchemaQueries[kind].replace('{schema}', schema ? '?' : 'DATABASE()');
+}
+
+/**
+ * Builds a schema description from the rows read from the information schema
+ * @method buildSchema
+ * @private
+ * @param {object} data {tables, columns, keys, indexes} arrays of rows
+ * @param {string[]} [tableNames] if given, only those tables are described
+ * @returns {object}
+ */
+function buildSchema(data, tableNames) {
+    const tables = {};
+    _.forEach(data.tables, function (r) {
+        if (tableNames && !_.includes(tableNames, r.TABLE_NAME)) {
+            return;
+        }
+        tables[r.TABLE_NAME] = {
+            name: r.TABLE_NAME,
+            kind: /view/i.test(r.TABLE_TYPE) ? 'view' : 'table',
+            columns: [],
+            primaryKey: [],
+            foreignKeys: [],
+            indexes: []
+        };
+    });
+    _.forEach(data.columns, function (r) {
+        const t = tables[r.TABLE_NAME];
+        if (!t) {
+            return;
+        }
+        t.columns.push({
+            name: r.COLUMN_NAME,
+            type: String(r.DATA_TYPE).toLowerCase(),
+            nullable: r.IS_NULLABLE === 'YES',
+            maxLength: r.CHARACTER_MAXIMUM_LENGTH,
+            precision: r.NUMERIC_PRECISION,
+            scale: r.NUMERIC_SCALE,
+            defaultValue: r.COLUMN_DEFAULT,
+            isKey: false
+        });
+    });
+    _.forEach(data.keys, function (r) {
+        const t = tables[r.TABLE_NAME];
+        if (!t) {
+            return;
+        }
+        if (r.CONSTRAINT_TYPE === 'PRIMARY KEY') {
+            t.primaryKey.push(r.COLUMN_NAME);
+            _.forEach(_.filter(t.columns, {name: r.COLUMN_NAME}), function (c) {
+                c.isKey = true;
+            });
+            return;
+        }
+        if (r.CONSTRAINT_TYPE === 'FOREIGN KEY') {
+            let fk = _.find(t.foreignKeys, {name: r.CONSTRAINT_NAME});
+            if (!fk) {
+                fk = {name: r.CONSTRAINT_NAME, columns: [], parentTable: r.REFERENCED_TABLE_NAME, parentColumns: []};
+                t.foreignKeys.push(fk);
+            }
+            fk.columns.push(r.COLUMN_NAME);
+            fk.parentColumns.push(r.REFERENCED_COLUMN_NAME);
+        }
+    });
+    _.forEach(data.indexes, function (r) {
+        const t = tables[r.TABLE_NAME];
+        if (!t) {
+            return;
+        }
+        let index = _.find(t.indexes, {name: r.INDEX_NAME});
+        if (!index) {
+            index = {name: r.INDEX_NAME, columns: [], unique: !Number(r.NON_UNIQUE)};
+            t.indexes.push(index);
+        }
+        index.columns.push(r.COLUMN_NAME);
+    });
+    return {tables: _.values(tables)};
+}
+
+/**
+ * Reads the schema from INFORMATION_SCHEMA views. Foreign key targets and indexes are read from
+ *  KEY_COLUMN_USAGE.REFERENCED_TABLE_NAME and STATISTICS, that are MySQL extensions: drivers for other databases
+ *  should implement getSchema.
+ * @method readInformationSchema
+ * @param {DataAccess} DA
+ * @param {object} [options]
+ * @param {string[]} [options.tables] if given, only those tables are described
+ * @param {string} [options.schema] schema to read, if not given it is the current database
+ * @returns {promise} promise to the schema description
+ */
+function readInformationSchema(DA, options) {
+    const opt = options || {},
+        params = opt.schema ? [opt.schema] : [],
+        def = Deferred(),
+        data = {};
+    let chain = Deferred().resolve().promise();
+    _.forEach(_.keys(informationSchemaQueries), function (kind) {
+        chain = chain.then(function () {
+            return DA.runSql(getInformationSchemaQuery(kind, opt.schema), params)
+                .done(function (rows) {
+                    data[kind] = rows;
+                });
+        });
+    });
+    chain
+        .done(function () {
+            def.resolve(buildSchema(data, opt.tables));
+        })
+        .fail(function (err) {
+            def.reject(err);
+        });
+    return def.promise();
+}
+
+
+module.exports = {
+    getCType: getCType,
+    toDataTable: toDataTable,
+    toDataSet: toDataSet,
+    readInformationSchema: readInformationSchema
+};
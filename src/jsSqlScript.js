@@ -0,0 +1,111 @@
+/*jslint nomen: true*/
+
+/**
+ * provides the splitting of sql scripts into batches
+ * @module SqlScript
+ */
+const _ = require('lodash');
+
+
+/**
+ * Splits a script into batches. Batches are separated by lines holding only the separator, optionally followed
+ *  by a semicolon, case insensitive. Separators inside strings, quoted identifiers and comments are ignored.
+ * Quotes in strings can be doubled and, if backslashEscapes is true as in MySQL, escaped with a backslash.
+ * Empty batches are skipped.
+ * @method splitScript
+ * @param {string} script
+ * @param {string} [separator='GO']
+ * @param {boolean} [backslashEscapes=false] true if a backslash escapes the next character in strings and quoted
+ *  identifiers. When false a backslash is an ordinary character, as in T-SQL: 'C:\temp\' is a whole string.
+ * @returns {object[]} array of {sql: string, line: number} where line is the first not empty line of the batch,
+ *  starting from 1
+ */
+function splitScript(script, separator, backslashEscapes) {
+    const separatorLine = new RegExp('^\\s*' + _.escapeRegExp(separator || 'GO') + '\\s*;?\\s*$', 'i'),
+        lines = script.replace(/\r\n/g, '\n').split('\n'),
+        batches = [];
+    let closing = null, // what closes the string or comment open at end of line
+        current = [],
+        firstLine = 1;
+
+    function addBatch() {
+        const sql = current.join('\n');
+        if (sql.trim() !== '') {
+            const leading = /^(\s*\n)*/.exec(sql)[0];
+            batches.push({sql: sql.trim(), line: firstLine + (leading.match(/\n/g) || []).length});
+        }
+    }
+
+    _.forEach(lines, function (line, index) {
+        if (closing === null && separatorLine.test(line)) {
+            addBatch();
+            current = [];
+            firstLine = index + 2;
+            return;
+        }
+        current.push(line);
+        closing = scanLine(line, closing, backslashEscapes);
+    });
+    addBatch();
+    return batches;
+}
+
+/**
+ * Scans a line, giving what closes the string or block comment open at its end, or null
+ * @method scanLine
+ * @private
+ * @param {string} line
+ * @param {string|null} closing what closes the string or comment open at the start of the line
+ * @param {boolean} [backslashEscapes]
+ * @returns {string|null}
+ */
+function scanLine(line, closing, backslashEscapes) {
+    let i = 0;
+    while (i < line.length) {
+        if (closing === '*/') {
+            const end = line.indexOf(closing, i);
+            if (end < 0) {
+                return closing;
+            }
+            i = end + 2;
+            closing = null;
+            continue;
+        }
+        if (closing !== null) {
+            if (backslashEscapes && line[i] === '\\' && closing !== ']') {
+                i += 2; // escaped char
+                continue;
+            }
+            if (line[i] === closing) {
+                if (line[i + 1] === closing) {
+                    i += 2; // doubled quote
+                    continue;
+                }
+                closing = null;
+            }
+            i += 1;
+            continue;
+        }
+        const c = line[i];
+        if (c === '-' && line[i + 1] === '-') {
+            return null;
+        }
+        if (c === '/' && line[i + 1] === '*') {
+            closing = '*/';
+            i += 2;
+            continue;
+        }
+        if (c === '\'' || c === '"' || c === '`') {
+            closing = c;
+        } else if (c === '[') {
+            closing = ']';
+        }
+        i += 1;
+    }
+    return closing;
+}
+
+
+module.exports = {
+    splitScript: splitScript
+};
@@ -0,0 +1,121 @@
+/*jslint nomen: true*/
+
+/**
+ * provides the configuration of the columns automatically filled with the time and the user of inserts
+ *  and updates
+ * @module StampColumns
+ */
+const _ = require('lodash');
+
+
+/**
+ * Kinds of stamp columns:
+ *  ct: time of creation, cu: user who created the row, both written by inserts
+ *  lt: time of last change, lu: user who last changed the row, written by inserts and updates
+ * @private
+ * @property {object} stampKinds
+ */
+const stampKinds = {
+    ct: {insert: true, update: false, user: false},
+    cu: {insert: true, update: false, user: true},
+    lt: {insert: true, update: true, user: false},
+    lu: {insert: true, update: true, user: true}
+};
+
+
+/**
+ * Stamp columns of the tables, given for each table or by a naming convention valid for all tables having
+ *  columns with those names.
+ * Stamp columns of a table are described by an object like {ct: string, cu: string, lt: string, lu: string},
+ *  where every field is the name of a column or is missing if the table has no such column.
+ * @class StampColumns
+ */
+
+/**
+ * @constructor
+ * @param {object} [options]
+ * @param {object} [options.tables] stamp columns by table name, as {tableName: {ct, cu, lt, lu}}
+ * @param {object|boolean} [options.convention] stamp columns of tables not listed in options.tables, used if
+ *  the table has them. true means {ct: 'ct', cu: 'cu', lt: 'lt', lu: 'lu'}
+ */
+function StampColumns(options) {
+    const opt = options || {};
+    this.tables = opt.tables || {};
+    this.convention = opt.convention === true ? {ct: 'ct', cu: 'cu', lt: 'lt', lu: 'lu'} : (opt.convention || null);
+
+    /**
+     * columns of the tables whose stamp columns are given by convention, as {tableName: string[]}
+     * @private
+     * @property {object} tableColumns
+     */
+    this.tableColumns = {};
+}
+
+StampColumns.prototype = {
+    constructor: StampColumns,
+
+    /**
+     * Checks if the columns of a table must be set with setTableColumns before getting its stamp columns,
+     *  that is the table is not listed, there is a naming convention and the columns are not known yet
+     * @method needsColumns
+     * @param {string} tableName
+     * @returns {boolean}
+     */
+    needsColumns: function (tableName) {
+        return !this.tables[tableName] && this.convention !== null && !this.tableColumns[tableName];
+    },
+
+    /**
+     * Sets the columns of a table, used to apply the naming convention
+     * @method setTableColumns
+     * @param {string} tableName
+     * @param {string[]} columns
+     */
+    setTableColumns: function (tableName, columns) {
+        this.tableColumns[tableName] = columns;
+    },
+
+    /**
+     * Gets the stamp columns of a table
+     * @method getColumns
+     * @param {string} tableName
+     * @param {string[]} [columns] columns of the table, if not given those set with setTableColumns are used
+     * @returns {object} {ct, cu, lt, lu}, empty if the table has no stamp column
+     */
+    getColumns: function (tableName, columns) {
+        if (this.tables[tableName]) {
+            return this.tables[tableName];
+        }
+        if (!this.convention) {
+            return {};
+        }
+        const tableColumns = columns || this.tableColumns[tableName];
+        return _.pickBy(this.convention, function (name) {
+            return _.includes(tableColumns, name);
+        });
+    },
+
+    /**
+     * Gets the values to write in the stamp columns
+     * @method getValues
+     * @param {object} stamps stamp columns as given by getColumns
+     * @param {string} operation insert|update
+     * @param {string} user
+     * @param {Date} now
+     * @returns {object} {columnName: value}
+     */
+    getValues: function (stamps, operation, user, now) {
+        const values = {};
+        _.forEach(stamps, function (name, kind) {
+            if (stampKinds[kind] && stampKinds[kind][operation]) {
+                values[name] = stampKinds[kind].user ? user : now;
+            }
+        });
+        return values;
+    }
+};
+
+
+module.exports = {
+    StampColumns: StampColumns
+};
@@ -0,0 +1,191 @@
+/*global SqlDriver */
+/*jslint nomen: true*/
+
+/**
+ * provides a cache of prepared statements, to be kept for each underlying connection
+ * @module StatementCache
+ */
+const Deferred = require("JQDeferred");
+const _ = require('lodash');
+
+
+/**
+ * A least recently used cache of prepared statements keyed by their sql text.
+ * Statements are stored as promises, so that a statement requested again while it is still being prepared is
+ *  not prepared twice. When a statement is discarded, its unprepare method is invoked, if it has one, as soon as
+ *  no execution started with run is in progress on it.
+ * @class StatementCache
+ */
+
+/**
+ * @constructor
+ * @param {number} [maxSize=100] maximum number of statements kept, 0 disables the cache
+ */
+function StatementCache(maxSize) {
+    this.maxSize = maxSize === undefined ? 100 : maxSize;
+
+    /**
+     * {stmt, leases, discarded} by sql text, from the least to the most recently used, where stmt is the promise
+     *  to the statement and leases the number of executions in progress on it
+     * @private
+     * @property {Map} entries
+     */
+    this.entries = new Map();
+
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+}
+
+StatementCache.prototype = {
+    constructor: StatementCache,
+
+    /**
+     * Gets the statement for a sql text, invoking create if it is not in the cache.
+     * The statement can be unprepared as soon as it is discarded from the cache, so it should be executed with run.
+     *  If the cache has size 0, the statement is not kept and the caller has to unprepare it.
+     * @method get
+     * @param {string} sql
+     * @param {function} create function returning a promise to a new prepared statement
+     * @returns {promise}
+     */
+    get: function (sql, create) {
+        return this.getEntry(sql, create).stmt;
+    },
+
+    /**
+     * Gets the entry of a sql text, creating its statement if it is not in the cache. The entry of a cache of
+     *  size 0 is a new one, already discarded.
+     * @method getEntry
+     * @private
+     * @param {string} sql
+     * @param {function} create
+     * @returns {object} {stmt, leases, discarded}
+     */
+    getEntry: function (sql, create) {
+        const that = this;
+        let entry = this.entries.get(sql);
+        if (entry) {
+            this.hits += 1;
+            this.entries.delete(sql);
+            this.entries.set(sql, entry);
+            return entry;
+        }
+        this.misses += 1;
+        entry = {stmt: create(), leases: 0, discarded: this.maxSize === 0};
+        if (entry.discarded) {
+            return entry;
+        }
+        this.entries.set(sql, entry);
+        entry.stmt.fail(function () {
+            if (that.entries.get(sql) === entry) {
+                that.entries.delete(sql);
+            }
+        });
+        while (this.entries.size > this.maxSize) {
+            const oldest = this.entries.keys().next().value;
+            discard(this.entries.get(oldest));
+            this.entries.delete(oldest);
+            this.evictions += 1;
+        }
+        return entry;
+    },
+
+    /**
+     * Executes the statement for a sql text, invoking create if it is not in the cache. The statement is not
+     *  unprepared while the execution is in progress, even if it is discarded from the cache meanwhile, and it is
+     *  unprepared as soon as the execution is over if the cache has size 0.
+     * @method run
+     * @param {string} sql
+     * @param {function} create function returning a promise to a new prepared statement
+     * @param {function} execute function (statement) returning a promise to the result of its execution
+     * @returns {promise} promise settled and notified as the one returned by execute
+     */
+    run: function (sql, create, execute) {
+        const entry = this.getEntry(sql, create),
+            def = Deferred();
+        entry.leases += 1;
+        def.always(function () {
+            entry.leases -= 1;
+            if (entry.discarded && entry.leases === 0) {
+                release(entry.stmt);
+            }
+        });
+        entry.stmt
+            .done(function (stmt) {
+                execute(stmt)
+                    .progress(function (result) {
+                        def.notify(result);
+                    })
+                    .done(function (result) {
+                        def.resolve(result);
+                    })
+                    .fail(function (err) {
+                        def.reject(err);
+                    });
+            })
+            .fail(function (err) {
+                def.reject(err);
+            });
+        return def.promise();
+    },
+
+    /**
+     * Discards all statements, to be invoked when the underlying connection is closed
+     * @method clear
+     */
+    clear: function () {
+        this.entries.forEach(discard);
+        this.entries.clear();
+    },
+
+    /**
+     * Gets statistics about the use of the cache
+     * @method getStats
+     * @returns {object} {size, maxSize, hits, misses, evictions, hitRate} where hitRate is between 0 and 1
+     */
+    getStats: function () {
+        const requests = this.hits + this.misses;
+        return {
+            size: this.entries.size,
+            maxSize: this.maxSize,
+            hits: this.hits,
+            misses: this.misses,
+            evictions: this.evictions,
+            hitRate: requests === 0 ? 0 : this.hits / requests
+        };
+    }
+};
+
+
+/**
+ * Marks an entry as discarded, releasing its statement if no execution is in progress on it
+ * @method discard
+ * @private
+ * @param {object} entry
+ */
+function discard(entry) {
+    entry.discarded = true;
+    if (entry.leases === 0) {
+        release(entry.stmt);
+    }
+}
+
+/**
+ * Releases a statement on the database, if the driver allows it
+ * @method release
+ * @private
+ * @param {promise} stmt
+ */
+function release(stmt) {
+    stmt.done(function (s) {
+        if (s && _.isFunction(s.unprepare)) {
+            s.unprepare();
+        }
+    });
+}
+
+
+module.exports = {
+    StatementCache: StatementCache
+};
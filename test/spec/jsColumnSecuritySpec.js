@@ -0,0 +1,33 @@
+/*globals expect  */
+'use strict';
+
+
+const $dq = require('jsDataQuery');
+const ColumnPermissions = require('../../src/jsColumnSecurity').ColumnPermissions;
+
+
+describe('ColumnPermissions', function () {
+    it('getHiddenColumns should find hidden columns explicitly asked', function () {
+        const permissions = new ColumnPermissions({salary: 'hidden', name: 'masked'});
+        expect(permissions.getHiddenColumns('*')).toEqual([]);
+        expect(permissions.getHiddenColumns('name, e.salary')).toEqual(['salary']);
+        expect(permissions.getHiddenColumns('salary as s')).toEqual(['salary']);
+        expect(permissions.getHiddenColumns(['name', {expr: $dq.sum($dq.field('salary')), alias: 'total'}]))
+            .toEqual(['salary']);
+    });
+
+    it('should apply rules to objects and raw rows', function () {
+        const permissions = new ColumnPermissions({
+            salary: 'hidden',
+            name: 'masked',
+            code: function (value, row) {
+                return row.name + value;
+            }
+        });
+        expect(permissions.applyToObject({name: 'a', salary: 1, code: 2, other: null}))
+            .toEqual({name: '****', code: 'a2', other: null});
+        expect(permissions.applyToMeta(['name', 'salary', 'code'])).toEqual(['name', 'code']);
+        expect(permissions.applyToRaw(['name', 'salary', 'code'], [['a', 1, 2], [null, 3, 4]]))
+            .toEqual([['****', 'a2'], [null, 4]]);
+    });
+});
@@ -17,7 +17,9 @@ const fs = require('fs');
  */
 const $dq = require('jsDataQuery');
 const DataAccess = DA;
+const DataAccessPool = require('../../src/jsDataAccessPool').DataAccessPool;
 const Deferred = require("JQDeferred");
+const jsDataSet = require('jsDataSet');
 
 /**
  * *****************************************************************************************
@@ -245,6 +247,64 @@ describe('dataAccess', function () {
             });
     });
 
+    it('runSql should bind parameters to placeholders', function (done) {
+        DAC.runSql('select * from customer where idcustomer = ? and name <> ?', [1, 'it\'s ?'])
+            .then(function (t) {
+                expect(t.length).toEqual(1);
+                expect(t[0].idcustomer).toEqual(1);
+                done();
+            }, function (err) {
+                expect(err).toBeUndefined();
+                done();
+            });
+    });
+
+    it('runSql should reject commands with a wrong number of parameters', function (done) {
+        DAC.runSql('select * from customer where idcustomer = ?', [1, 2])
+            .then(function () {
+                done.fail('command should be rejected');
+            }, function (err) {
+                expect(err instanceof DA.DataAccessError).toBeTruthy();
+                done();
+            });
+    });
+
+    it('prepared statements should be run with different parameters', function (done) {
+        const stmt = DAC.prepare('select name from customer where idcustomer = ?');
+        stmt.execute([1])
+            .then(function (t) {
+                expect(t.length).toEqual(1);
+                return stmt.executeValue([2]);
+            })
+            .then(function (name) {
+                expect(name).toBeDefined();
+                done();
+            }, function (err) {
+                expect(err).toBeUndefined();
+                done();
+            });
+    });
+
+    it('runScript should run every batch and report errors with their line', function (done) {
+        const progress = [];
+        DAC.runScript('update customer set surname = \'\nGO\n\' where idcustomer = 1\nGO\n\n' +
+            'update nonexistenttable set a = 1\ngo\nupdate customer set surname = null where idcustomer = 1',
+            {stopOnError: false})
+            .progress(function (info) {
+                progress.push(info.batch);
+            })
+            .then(function (res) {
+                expect(progress).toEqual([1, 2, 3]);
+                expect(res.results.length).toBe(2);
+                expect(res.errors.length).toBe(1);
+                expect(res.errors[0].line).toBe(6);
+                done();
+            }, function (err) {
+                expect(err).toBeUndefined();
+                done();
+            });
+    });
+
     it('doSingleInsert should have success', function (done) {
         const res = DAC.doSingleDelete({
             tableName: 'customer',
@@ -267,6 +327,398 @@ describe('dataAccess', function () {
             }
         );
     });
+    describe('streams', function () {
+        it('selectStream should give rows one at a time', function (done) {
+            let nRows = 0,
+                meta;
+            DAC.selectStream({tableName: 'customer', top: '10'})
+                .on('meta', function (m) {
+                    meta = m;
+                })
+                .on('data', function (r) {
+                    nRows += 1;
+                    expect(r.idcustomer).toBeDefined();
+                })
+                .on('error', function (err) {
+                    expect(err).toBeUndefined();
+                    done();
+                })
+                .on('end', function () {
+                    expect(meta).toBeDefined();
+                    expect(nRows).toBe(10);
+                    expect(DAC.nesting).toBeLessThan(2);
+                    done();
+                });
+        });
+
+        it('selectStream should restore nesting when destroyed early', function (done) {
+            const nesting = DAC.nesting,
+                stream = DAC.selectStream({tableName: 'customer'});
+            stream.once('data', function () {
+                stream.destroy();
+            });
+            stream.on('close', function () {
+                expect(DAC.nesting).toBe(nesting);
+                done();
+            });
+        });
+
+        it('multiSelectStream should give packets', function (done) {
+            const tables = {};
+            DAC.multiSelectStream({
+                selectList: [
+                    new Select('*').from('customer').multiCompare(new MultiCompare(['cat20'], [2])).intoTable('A'),
+                    new Select('*').from('customerkind')
+                ],
+                packetSize: 5
+            })
+                .on('data', function (r) {
+                    expect(r.rows.length).toBeLessThan(6);
+                    tables[r.tableName] = (tables[r.tableName] || []).concat(r.rows);
+                })
+                .on('error', function (err) {
+                    expect(err).toBeUndefined();
+                    done();
+                })
+                .on('end', function () {
+                    expect(tables.A.length).toBeGreaterThan(5);
+                    expect(tables.customerkind).toBeDefined();
+                    done();
+                });
+        });
+    });
+
+    describe('promises', function () {
+        it('promises.select should return a native Promise', function (done) {
+            const p = DAC.promises.select({tableName: 'customer', columns: 'idcustomer,name', top: '5'});
+            expect(p instanceof Promise).toBeTruthy();
+            p.then(function (result) {
+                expect(result.length).toBe(5);
+                done();
+            }, function (err) {
+                expect(err).toBeUndefined();
+                done();
+            });
+        });
+
+        it('promises.queryPackets should be an async iterable', function (done) {
+            (async function () {
+                let nPackets = 0,
+                    nRows = 0;
+                for await (const packet of DAC.promises.queryPackets({tableName: 'customerkind', top: '50'}, 6)) {
+                    nPackets += 1;
+                    nRows += packet.rows.length;
+                }
+                expect(nPackets).toBe(9);
+                expect(nRows).toBe(50);
+            }())
+                .then(done, function (err) {
+                    expect(err).toBeUndefined();
+                    done();
+                });
+        });
+
+        it('promises.callSP should give all tables', function (done) {
+            DAC.promises.callSP('testSP3', [2013])
+                .then(function (tables) {
+                    expect(_.map(tables, 'length')).toEqual([100, 100, 40, 50]);
+                    done();
+                }, function (err) {
+                    expect(err).toBeUndefined();
+                    done();
+                });
+        });
+    });
+
+    describe('errors', function () {
+        it('doSingleDelete should give NoRowAffectedError when no row is deleted', function (done) {
+            DAC.doSingleDelete({tableName: 'customer', filter: $dq.eq('idcustomer', -1)})
+                .done(function (res) {
+                    expect(res).toBeUndefined();
+                    done();
+                })
+                .fail(function (err) {
+                    expect(err instanceof DA.NoRowAffectedError).toBeTruthy();
+                    expect(err.code).toBe(DA.errorCodes.noRowAffected);
+                    expect(err.tableName).toBe('customer');
+                    expect(err.sql).toEqual(jasmine.any(String));
+                    done();
+                });
+        });
+
+        it('runSql should give DriverError with the sql text on wrong commands', function (done) {
+            DAC.runSql('select * from nonexistenttable')
+                .done(function (res) {
+                    expect(res).toBeUndefined();
+                    done();
+                })
+                .fail(function (err) {
+                    expect(err instanceof DA.DriverError).toBeTruthy();
+                    expect(err.sql).toBe('select * from nonexistenttable');
+                    expect(err.cause).toBeDefined();
+                    done();
+                });
+        });
+    });
+
+    describe('transaction', function () {
+        const filter = $dq.between('idcustomer', 15000, 15001);
+
+        function insertCustomer(conn, id) {
+            return conn.doSingleInsert('customer', ['idcustomer', 'name'], [id, 'transaction' + id]);
+        }
+
+        beforeEach(function (done) {
+            DAC.doSingleDelete({tableName: 'customer', filter: filter})
+                .always(function () {
+                    done();
+                });
+        });
+
+        it('transaction should commit when fn succeeds', function (done) {
+            DAC.transaction(DA.isolationLevels.readCommitted, function (conn) {
+                expect(conn.inTransaction).toBeTruthy();
+                return insertCustomer(conn, 15000);
+            })
+                .then(function () {
+                    expect(DAC.inTransaction).toBeFalsy();
+                    return DAC.selectCount({tableName: 'customer', filter: filter});
+                })
+                .done(function (n) {
+                    expect(n).toBe(1);
+                    done();
+                })
+                .fail(function (err) {
+                    expect(err).toBeUndefined();
+                    done();
+                });
+        });
+
+        it('transaction should roll back when fn fails', function (done) {
+            DAC.transaction(DA.isolationLevels.readCommitted, function (conn) {
+                return insertCustomer(conn, 15000)
+                    .then(function () {
+                        return Deferred().reject(new Error('failure')).promise();
+                    });
+            })
+                .done(function (res) {
+                    expect(res).toBeUndefined();
+                    done();
+                })
+                .fail(function (err) {
+                    expect(err.message).toBe('failure');
+                    expect(DAC.inTransaction).toBeFalsy();
+                    DAC.selectCount({tableName: 'customer', filter: filter})
+                        .done(function (n) {
+                            expect(n).toBe(0);
+                            done();
+                        });
+                });
+        });
+
+        it('nested transaction should roll back to its savepoint only', function (done) {
+            DAC.transaction(DA.isolationLevels.readCommitted, function (conn) {
+                return insertCustomer(conn, 15000)
+                    .then(function () {
+                        return conn.transaction(DA.isolationLevels.readCommitted, function () {
+                            return insertCustomer(conn, 15001)
+                                .then(function () {
+                                    return Deferred().reject('inner failure').promise();
+                                });
+                        });
+                    })
+                    .then(null, function (err) {
+                        expect(err).toBe('inner failure');
+                        expect(conn.inTransaction).toBeTruthy();
+                        return Deferred().resolve().promise();
+                    });
+            })
+                .then(function () {
+                    return DAC.select({tableName: 'customer', columns: 'idcustomer', filter: filter});
+                })
+                .done(function (rows) {
+                    expect(_.map(rows, 'idcustomer')).toEqual([15000]);
+                    done();
+                })
+                .fail(function (err) {
+                    expect(err).toBeUndefined();
+                    done();
+                });
+        });
+    });
+
+    describe('retry', function () {
+        it('select should give retry information', function (done) {
+            DAC.retryPolicy = _.defaults({maxAttempts: 2}, DA.defaultRetryPolicy);
+            DAC.select({tableName: 'customer', columns: 'idcustomer', top: '1'})
+                .done(function (result, retryInfo) {
+                    expect(result.length).toBe(1);
+                    expect(retryInfo).toEqual({attempts: 1, retries: 0});
+                    done();
+                })
+                .fail(function (err) {
+                    expect(err).toBeUndefined();
+                    done();
+                });
+        });
+
+        it('non transient errors should not be retried', function (done) {
+            DAC.retryPolicy = _.defaults({maxAttempts: 3, baseDelay: 1}, DA.defaultRetryPolicy);
+            DAC.select({tableName: 'nonexistenttable'})
+                .done(function (res) {
+                    expect(res).toBeUndefined();
+                    done();
+                })
+                .fail(function (err) {
+                    expect(err.attempts).toBe(1);
+                    done();
+                });
+        });
+
+        it('isTransientError should recognize deadlocks and lost connections', function () {
+            expect(DA.isTransientError({code: 'ER_LOCK_DEADLOCK'})).toBeTruthy();
+            expect(DA.isTransientError(new DA.DriverError('x', {cause: {errno: 1213}}))).toBeTruthy();
+            expect(DA.isTransientError(new DA.ConnectionError('x'))).toBeTruthy();
+            expect(DA.isTransientError('Deadlock found when trying to get lock')).toBeTruthy();
+            expect(DA.isTransientError({code: 'ER_NO_SUCH_TABLE'})).toBeFalsy();
+            expect(DA.isTransientError(null)).toBeFalsy();
+        });
+    });
+
+    describe('saveDataSet', function () {
+        function getDataSet() {
+            const ds = new jsDataSet.DataSet('test'),
+                t = ds.newTable('customer');
+            t.key(['idcustomer']);
+            return ds;
+        }
+
+        beforeEach(function (done) {
+            DAC.doSingleDelete({
+                tableName: 'customer',
+                filter: $dq.between('idcustomer', 14000, 14001)
+            })
+                .always(function () {
+                    done();
+                });
+        });
+
+        it('saveDataSet should post added rows and accept changes', function (done) {
+            const ds = getDataSet();
+            ds.tables.customer.newRow({idcustomer: 14000, name: 'first', age: 10});
+            ds.tables.customer.newRow({idcustomer: 14001, name: 'second', age: 11});
+            DAC.saveDataSet(ds)
+                .done(function (outcome) {
+                    expect(outcome.length).toBe(2);
+                    expect(outcome[0].rowcount).toBe(1);
+                    expect(ds.hasChanges()).toBeFalsy();
+                    DAC.selectCount({tableName: 'customer', filter: $dq.between('idcustomer', 14000, 14001)})
+                        .done(function (n) {
+                            expect(n).toBe(2);
+                            done();
+                        });
+                })
+                .fail(function (err) {
+                    expect(err).toBeUndefined();
+                    done();
+                });
+        });
+
+        it('saveDataSet should roll back everything when a row is not found', function (done) {
+            const ds = getDataSet(),
+                t = ds.tables.customer;
+            t.newRow({idcustomer: 14000, name: 'first', age: 10});
+            t.load({idcustomer: 14001, name: 'missing', age: 11});
+            t.rows[1].name = 'changed';
+            DAC.saveDataSet(ds)
+                .done(function (outcome) {
+                    expect(outcome).toBeUndefined();
+                    done();
+                })
+                .fail(function (err) {
+                    expect(err instanceof DA.ConcurrencyError).toBeTruthy();
+                    expect(err.code).toBe(DA.errorCodes.concurrency);
+                    expect(err.outcome.length).toBe(2);
+                    expect(ds.hasChanges()).toBeTruthy();
+                    DAC.selectCount({tableName: 'customer', filter: $dq.eq('idcustomer', 14000)})
+                        .done(function (n) {
+                            expect(n).toBe(0);
+                            done();
+                        });
+                });
+        });
+
+        it('saveDataSet should give the audit entries of the rows posted to the audit sink', function (done) {
+            const ds = getDataSet(),
+                entries = [];
+            DAC.audit = new DA.Audit({
+                sink: {
+                    write: function (e) {
+                        entries.push.apply(entries, e);
+                    }
+                }
+            });
+            ds.tables.customer.newRow({idcustomer: 14000, name: 'first', age: 10});
+            DAC.saveDataSet(ds, {environment: {user: 'nino'}})
+                .then(function () {
+                    ds.tables.customer.rows[0].name = 'changed';
+                    return DAC.saveDataSet(ds, {environment: {user: 'nino'}});
+                })
+                .done(function () {
+                    expect(entries.length).toBe(2);
+                    expect(entries[0].operation).toBe('I');
+                    expect(entries[0].key).toEqual({idcustomer: 14000});
+                    expect(entries[0].newValues.name).toBe('first');
+                    expect(entries[1].operation).toBe('U');
+                    expect(entries[1].oldValues).toEqual({name: 'first'});
+                    expect(entries[1].newValues).toEqual({name: 'changed'});
+                    expect(entries[1].user).toBe('nino');
+                    done();
+                })
+                .fail(function (err) {
+                    done.fail(err);
+                });
+        });
+
+        it('saveDataSet should fill the stamp columns of the rows posted', function (done) {
+            const ds = getDataSet();
+            DAC.stampColumns = new DA.StampColumns({tables: {customer: {ct: 'stamp', cu: 'surname'}}});
+            ds.tables.customer.newRow({idcustomer: 14001, name: 'first', age: 10, surname: null, stamp: null});
+            DAC.saveDataSet(ds, {environment: {user: 'nino'}})
+                .then(function () {
+                    return DAC.readSingleValue({tableName: 'customer', expr: $dq.field('surname'),
+                        filter: $dq.eq('idcustomer', 14001)});
+                })
+                .done(function (surname) {
+                    expect(surname).toBe('nino');
+                    expect(ds.tables.customer.rows[0].stamp instanceof Date).toBeTruthy();
+                    done();
+                })
+                .fail(function (err) {
+                    done.fail(err);
+                });
+        });
+
+        it('saveDataSet should not change the stamp columns of the rows when rolled back', function (done) {
+            const ds = getDataSet(),
+                t = ds.tables.customer;
+            DAC.stampColumns = new DA.StampColumns({tables: {customer: {ct: 'stamp', cu: 'surname'}}});
+            t.newRow({idcustomer: 14000, name: 'first', age: 10, surname: null, stamp: null});
+            t.load({idcustomer: 14001, name: 'missing', age: 11});
+            t.rows[1].name = 'changed';
+            DAC.saveDataSet(ds, {environment: {user: 'nino'}})
+                .done(function () {
+                    done.fail('saveDataSet should fail');
+                })
+                .fail(function (err) {
+                    expect(err instanceof DA.ConcurrencyError).toBeTruthy();
+                    expect(t.rows[0].surname).toBeNull();
+                    expect(t.rows[0].stamp).toBeNull();
+                    done();
+                });
+        });
+    });
+
 //customer(idcustomer,name,age,birth,surname,stamp,random,curr)
     /*
      PROCEDURE testSP3
@@ -704,8 +1156,136 @@ describe('dataAccess', function () {
                 done();
             });
         });
+
+        it('multiSelect should strip hidden columns and mask values', function (done) {
+            const multiSel = [],
+                tables = {};
+            DAC.security = {
+                securityCondition: function () {
+                    return Deferred().resolve(null).promise();
+                },
+                columnPermissions: function (tableName) {
+                    return tableName === 'customer' ? {age: 'hidden', surname: 'masked'} : {};
+                }
+            };
+            multiSel.push(new Select('*').from('customer').multiCompare(new MultiCompare(['idcustomer'], [2])));
+            multiSel.push(new Select('*').from('customerkind').multiCompare(new MultiCompare(['idcustomerkind'], [3])));
+            DAC.multiSelect({selectList: multiSel, raw: true, environment: {}})
+                .progress(function (r) {
+                    tables[r.tableName] = DA.objectify(r.meta, r.rows);
+                })
+                .done(function () {
+                    expect(tables.customer.length).toBe(1);
+                    expect(tables.customer[0].idcustomer).toBe(2);
+                    expect(tables.customer[0].age).toBeUndefined();
+                    expect(tables.customer[0].surname).toBe('****');
+                    expect(tables.customerkind[0].idcustomerkind).toBe(3);
+                    done();
+                })
+                .fail(function (err) {
+                    done.fail(err);
+                });
+        });
+
+        it('multiSelect should keep null values of masked columns', function (done) {
+            const rows = [];
+            DAC.doSingleInsert('customer', ['idcustomer', 'name', 'age', 'surname'], [14002, 'masked', 10, null])
+                .then(function () {
+                    DAC.security = {
+                        securityCondition: function () {
+                            return Deferred().resolve(null).promise();
+                        },
+                        columnPermissions: function (tableName) {
+                            return tableName === 'customer' ? {surname: 'masked'} : {};
+                        }
+                    };
+                    return DAC.multiSelect({
+                        selectList: [new Select('*').from('customer').multiCompare(new MultiCompare(['idcustomer'],
+                            [14002]))],
+                        raw: true,
+                        environment: {}
+                    })
+                        .progress(function (r) {
+                            rows.push.apply(rows, DA.objectify(r.meta, r.rows));
+                        });
+                })
+                .then(function () {
+                    expect(rows.length).toBe(1);
+                    expect(rows[0].surname).toBeNull();
+                }, function (err) {
+                    expect(err).toBeUndefined();
+                })
+                .always(function () {
+                    DAC.doSingleDelete({tableName: 'customer', filter: $dq.eq('idcustomer', 14002),
+                        applySecurity: false})
+                        .always(function () {
+                            done();
+                        });
+                });
+        });
+    });
+
+});
+
+
+describe('DataAccessPool', function () {
+    let pool;
+    beforeEach(function () {
+        pool = new DataAccessPool({sqlConn: getConnection('good'), max: 2, acquireTimeout: 500});
     });
 
+    afterEach(function () {
+        pool.destroy();
+    });
+
+    it('acquire should give a DataAccess', function (done) {
+        pool.acquire()
+            .done(function (conn) {
+                expect(conn instanceof DA.DataAccess).toBeTruthy();
+                expect(pool.size).toBe(1);
+                pool.release(conn);
+                expect(pool.available).toBe(1);
+                done();
+            })
+            .fail(function (err) {
+                expect(err).toBeUndefined();
+                done();
+            });
+    });
+
+    it('acquire should time out when the pool is full', function (done) {
+        pool.acquire()
+            .then(function () {
+                return pool.acquire();
+            })
+            .then(function () {
+                return pool.acquire();
+            })
+            .done(function (conn) {
+                expect(conn).toBeUndefined();
+                done();
+            })
+            .fail(function (err) {
+                expect(err instanceof DA.ConnectionError).toBeTruthy();
+                expect(pool.pending).toBe(0);
+                done();
+            });
+    });
+
+    it('withConnection should run a function and release the DataAccess', function (done) {
+        pool.withConnection(function (conn) {
+            return conn.runCmd('select 2+2');
+        })
+            .done(function (o) {
+                expect(o.toString()).toEqual('4');
+                expect(pool.available).toBe(1);
+                done();
+            })
+            .fail(function (err) {
+                expect(err).toBeUndefined();
+                done();
+            });
+    });
 });
 
 
@@ -0,0 +1,1902 @@
+/*globals expect  */
+'use strict';
+
+
+const DA = require('../../src/jsDataAccess');
+const memoryDriver = require('../../src/jsMemoryDriver');
+const DataAccessPool = require('../../src/jsDataAccessPool').DataAccessPool;
+const $dq = require('jsDataQuery');
+const jsDataSet = require('jsDataSet');
+const Deferred = require("JQDeferred");
+const _ = require('lodash');
+const path = require('path');
+
+
+/**
+ * Gets a promise to a DataAccess on a memory database with a customer table
+ * @private
+ * @method getMemoryDataAccess
+ * @param {MemoryDatabase} db
+ * @param {object} [options] other options of the DataAccess
+ * @returns {promise}
+ */
+function getMemoryDataAccess(db, options) {
+    const q = Deferred();
+    let conn = new DA.DataAccess(_.assign({}, options, {
+        sqlConn: new memoryDriver.Connection({database: db}),
+        errCallBack: function (err) {
+            q.reject(err);
+        },
+        doneCallBack: function (d) {
+            q.resolve(d);
+        }
+    }));
+    return q.promise();
+}
+
+
+describe('memory driver', function () {
+    let DAC, db;
+    beforeEach(function (done) {
+        db = new memoryDriver.MemoryDatabase()
+            .addTable('customer', _.map(_.range(1, 21), function (i) {
+                return {idcustomer: i, name: 'name' + i, age: 20 + (i % 5)};
+            }), null, ['idcustomer']);
+        getMemoryDataAccess(db)
+            .done(function (conn) {
+                DAC = conn;
+                done();
+            })
+            .fail(function (err) {
+                done.fail(err);
+            });
+    });
+
+    afterEach(function () {
+        if (DAC) {
+            DAC.destroy();
+        }
+    });
+
+    it('select should evaluate filters, order and top', function (done) {
+        DAC.select({
+            tableName: 'customer', columns: 'idcustomer,name',
+            filter: $dq.eq('age', 21), orderBy: 'idcustomer desc', top: '2'
+        })
+            .done(function (rows) {
+                expect(rows.length).toBe(2);
+                expect(rows[0].idcustomer).toBe(16);
+                expect(rows[1].idcustomer).toBe(11);
+                expect(rows[0].age).toBeUndefined();
+                done();
+            })
+            .fail(function (err) {
+                done.fail(err);
+            });
+    });
+
+    it('readSingleValue should evaluate aggregates', function (done) {
+        DAC.readSingleValue({tableName: 'customer', expr: $dq.max($dq.field('idcustomer'))})
+            .done(function (o) {
+                expect(o).toBe(20);
+                done();
+            })
+            .fail(function (err) {
+                done.fail(err);
+            });
+    });
+
+    it('selectCount should count rows', function (done) {
+        DAC.selectCount({tableName: 'customer', filter: $dq.eq('age', 20)})
+            .done(function (n) {
+                expect(n).toBe(4);
+                done();
+            })
+            .fail(function (err) {
+                done.fail(err);
+            });
+    });
+
+    it('insert, update and delete should change data', function (done) {
+        DAC.doSingleInsert('customer', ['idcustomer', 'name', 'age'], [100, 'new', 50])
+            .then(function () {
+                return DAC.doSingleUpdate({
+                    table: 'customer', filter: $dq.eq('idcustomer', 100),
+                    columns: ['name'], values: ['changed']
+                });
+            })
+            .then(function () {
+                expect(_.find(db.getRows('customer'), {idcustomer: 100}).name).toBe('changed');
+                return DAC.doSingleDelete({tableName: 'customer', filter: $dq.eq('idcustomer', 100)});
+            })
+            .done(function (res) {
+                expect(res.rowcount).toBe(1);
+                expect(db.getRows('customer').length).toBe(20);
+                done();
+            })
+            .fail(function (err) {
+                done.fail(err);
+            });
+    });
+
+    it('inserting a duplicate key should fail', function (done) {
+        DAC.doSingleInsert('customer', ['idcustomer', 'name', 'age'], [1, 'dup', 50])
+            .done(function () {
+                done.fail('insert should fail');
+            })
+            .fail(function (err) {
+                expect(err instanceof DA.DriverError).toBeTruthy();
+                done();
+            });
+    });
+
+    it('queryPackets should give packets of the requested size', function (done) {
+        const packets = [];
+        DAC.queryPackets({tableName: 'customer', columns: '*'}, 6)
+            .progress(function (r) {
+                packets.push(r.rows.length);
+            })
+            .done(function () {
+                expect(packets).toEqual([6, 6, 6, 2]);
+                done();
+            })
+            .fail(function (err) {
+                done.fail(err);
+            });
+    });
+
+    it('rolled back transactions should restore data', function (done) {
+        DAC.transaction(DA.isolationLevels.readCommitted, function (conn) {
+            return conn.doSingleDelete({tableName: 'customer', filter: $dq.le('idcustomer', 10)})
+                .then(function () {
+                    expect(db.getRows('customer').length).toBe(10);
+                    return Deferred().reject(new Error('failure')).promise();
+                });
+        })
+            .done(function () {
+                done.fail('transaction should fail');
+            })
+            .fail(function () {
+                expect(db.getRows('customer').length).toBe(20);
+                done();
+            });
+    });
+
+    it('rolling back should only undo the changes of the connection', function (done) {
+        let other;
+        getMemoryDataAccess(db)
+            .then(function (conn) {
+                other = conn;
+                return DAC.transaction(DA.isolationLevels.readCommitted, function (tran) {
+                    return tran.doSingleUpdate({table: 'customer', filter: $dq.eq('idcustomer', 1),
+                        columns: ['name'], values: ['mine']})
+                        .then(function () {
+                            return tran.transaction(null, function (inner) {
+                                return inner.doSingleDelete({tableName: 'customer', filter: $dq.eq('idcustomer', 2)})
+                                    .then(function () {
+                                        return Deferred().reject(new Error('inner failure')).promise();
+                                    });
+                            });
+                        })
+                        .then(null, function () {
+                            expect(_.find(db.getRows('customer'), {idcustomer: 2}).name).toBe('name2');
+                            return other.doSingleInsert('customer', ['idcustomer', 'name'], [30, 'other']);
+                        })
+                        .then(function () {
+                            return Deferred().reject(new Error('failure')).promise();
+                        });
+                });
+            })
+            .done(function () {
+                done.fail('transaction should fail');
+            })
+            .fail(function (err) {
+                other.destroy();
+                expect(err.message).toBe('failure');
+                expect(_.find(db.getRows('customer'), {idcustomer: 1}).name).toBe('name1');
+                expect(_.find(db.getRows('customer'), {idcustomer: 30}).name).toBe('other');
+                expect(db.getRows('customer').length).toBe(21);
+                done();
+            });
+    });
+
+    it('callSP should run procedures defined on the database', function (done) {
+        db.addProcedure('getOld', function (paramList, database) {
+            return [_.filter(database.getRows('customer'), function (r) {
+                return r.age >= paramList[0].value;
+            })];
+        });
+        DAC.callSPWithNamedParams('getOld', [{name: 'minAge', value: 24}])
+            .done(function (rows) {
+                expect(rows.length).toBe(4);
+                done();
+            })
+            .fail(function (err) {
+                done.fail(err);
+            });
+    });
+
+    it('bulkInsert should insert rows in batches', function (done) {
+        const progress = [],
+            rows = _.map(_.range(100, 350), function (i) {
+                return {idcustomer: i, name: 'bulk' + i};
+            });
+        DAC.bulkInsert('customer', rows, {batchSize: 100})
+            .progress(function (info) {
+                progress.push(info.inserted);
+            })
+            .done(function (n) {
+                expect(n).toBe(250);
+                expect(progress).toEqual([100, 200, 250]);
+                expect(db.getRows('customer').length).toBe(270);
+                done();
+            })
+            .fail(function (err) {
+                done.fail(err);
+            });
+    });
+
+    it('bulkInsert should split batches longer than maxStatementLength', function (done) {
+        const commands = [],
+            rows = _.map(_.range(100, 110), function (i) {
+                return {idcustomer: i, name: 'bulk' + i};
+            });
+        DAC.sqlConn.getBulkInsertCommand = function (table, columns, valuesList) {
+            return 'insert into ' + table + '(' + columns.join(',') + ') values ' +
+                _.map(valuesList, function (values) {
+                    return '(' + values.join(',') + ')';
+                }).join(',');
+        };
+        DAC.sqlConn.updateBatch = function (cmd) {
+            commands.push(cmd);
+            return Deferred().resolve({rowcount: cmd.split('),(').length}).promise();
+        };
+        DAC.bulkInsert('customer', rows, {batchSize: 5, maxStatementLength: 80})
+            .done(function (n) {
+                expect(n).toBe(10);
+                expect(commands.length).toBe(6);
+                _.forEach(commands, function (cmd) {
+                    expect(cmd.length <= 80).toBeTruthy();
+                });
+                done();
+            })
+            .fail(function (err) {
+                done.fail(err);
+            });
+    });
+
+    it('bulkInsert should not write the fields missing from rows', function (done) {
+        const columnLists = [],
+            getInsertCommand = DAC.sqlConn.getInsertCommand;
+        DAC.sqlConn.getInsertCommand = function (table, columns, values) {
+            columnLists.push(columns);
+            return getInsertCommand.call(this, table, columns, values);
+        };
+        DAC.bulkInsert('customer', [{idcustomer: 100, name: 'a'}, {idcustomer: 101}, {idcustomer: 102, name: null}])
+            .done(function (n) {
+                expect(n).toBe(3);
+                expect(columnLists).toEqual([['idcustomer', 'name'], ['idcustomer'], ['idcustomer', 'name']]);
+                expect(_.has(_.find(db.getRows('customer'), {idcustomer: 101}), 'name')).toBeFalsy();
+                expect(_.find(db.getRows('customer'), {idcustomer: 102}).name).toBeNull();
+                done();
+            })
+            .fail(function (err) {
+                done.fail(err);
+            });
+    });
+
+    it('bulkInsert in a transaction should insert nothing on errors', function (done) {
+        const rows = [{idcustomer: 500, name: 'a'}, {idcustomer: 501, name: 'b'}, {idcustomer: 1, name: 'c'}];
+        DAC.bulkInsert('customer', rows, {batchSize: 2, transaction: true})
+            .done(function () {
+                done.fail('bulkInsert should fail');
+            })
+            .fail(function (err) {
+                expect(err.inserted).toBe(2);
+                expect(db.getRows('customer').length).toBe(20);
+                done();
+            });
+    });
+
+    it('bulkUpsert should report inserted and updated rows', function (done) {
+        const rows = [{idcustomer: 1, name: 'changed'}, {idcustomer: 600, name: 'new'}];
+        DAC.bulkUpsert('customer', rows, {keyColumns: ['idcustomer']})
+            .done(function (res) {
+                expect(res).toEqual({inserted: 1, updated: 1});
+                expect(_.find(db.getRows('customer'), {idcustomer: 1}).name).toBe('changed');
+                expect(db.getRows('customer').length).toBe(21);
+                done();
+            })
+            .fail(function (err) {
+                done.fail(err);
+            });
+    });
+
+    it('bulkUpsert should only write the fields of every row', function (done) {
+        const rows = [{idcustomer: 1, name: 'changed'}, {idcustomer: 2, age: 50}];
+        DAC.bulkUpsert('customer', rows, {keyColumns: ['idcustomer']})
+            .then(function () {
+                expect(_.find(db.getRows('customer'), {idcustomer: 1})).toEqual({idcustomer: 1, name: 'changed',
+                    age: 21});
+                expect(_.find(db.getRows('customer'), {idcustomer: 2})).toEqual({idcustomer: 2, name: 'name2',
+                    age: 50});
+                DAC.sqlConn.getUpsertCommand = undefined;
+                return DAC.bulkUpsert('customer', [{idcustomer: 3, name: 'changed'}, {idcustomer: 4, age: 50}],
+                    {keyColumns: ['idcustomer']});
+            })
+            .done(function () {
+                expect(_.find(db.getRows('customer'), {idcustomer: 3}).age).toBe(23);
+                expect(_.find(db.getRows('customer'), {idcustomer: 4}).name).toBe('name4');
+                done();
+            })
+            .fail(function (err) {
+                done.fail(err);
+            });
+    });
+
+    it('bulkUpsert should split native batches longer than maxStatementLength', function (done) {
+        const commands = [],
+            rows = _.map(_.range(1, 6), function (i) {
+                return {idcustomer: i, name: 'up' + i};
+            });
+        DAC.sqlConn.getUpsertCommand = function (options) {
+            return 'upsert ' + options.table + ' ' + options.values.join(',');
+        };
+        DAC.sqlConn.appendCommands = function (cmdList) {
+            return cmdList.join(';');
+        };
+        DAC.sqlConn.updateBatch = function (cmd) {
+            commands.push(cmd);
+            return Deferred().resolve({inserted: 0, updated: cmd.split(';').length}).promise();
+        };
+        DAC.bulkUpsert('customer', rows, {keyColumns: ['idcustomer'], maxStatementLength: 60})
+            .done(function (res) {
+                expect(res).toEqual({inserted: 0, updated: 5});
+                expect(commands.length).toBe(3);
+                _.forEach(commands, function (cmd) {
+                    expect(cmd.length <= 60).toBeTruthy();
+                });
+                done();
+            })
+            .fail(function (err) {
+                done.fail(err);
+            });
+    });
+
+    it('doUpsert should update or insert when the driver has no native upsert', function (done) {
+        DAC.sqlConn.getUpsertCommand = undefined;
+        DAC.doUpsert({tableName: 'customer', keyColumns: ['idcustomer'], columns: ['idcustomer', 'name'],
+            values: [2, 'changed']})
+            .then(function (res) {
+                expect(res).toEqual({inserted: 0, updated: 1});
+                return DAC.doUpsert({tableName: 'customer', keyColumns: ['idcustomer'],
+                    columns: ['idcustomer', 'name'], values: [700, 'new']});
+            })
+            .done(function (res) {
+                expect(res).toEqual({inserted: 1, updated: 0});
+                expect(_.find(db.getRows('customer'), {idcustomer: 2}).name).toBe('changed');
+                expect(db.getRows('customer').length).toBe(21);
+                done();
+            })
+            .fail(function (err) {
+                done.fail(err);
+            });
+    });
+
+    it('selectPage should read all rows page by page', function (done) {
+        const ids = [];
+
+        function readPage(cursor) {
+            return DAC.selectPage({
+                tableName: 'customer', columns: 'name', orderBy: 'age desc, idcustomer asc',
+                pageSize: 6, after: cursor, withTotal: true
+            })
+                .then(function (page) {
+                    expect(page.total).toBe(20);
+                    _.forEach(page.rows, function (r) {
+                        ids.push(r.idcustomer);
+                    });
+                    if (page.cursor) {
+                        expect(page.rows.length).toBe(6);
+                        return readPage(page.cursor);
+                    }
+                    return ids;
+                });
+        }
+
+        readPage()
+            .done(function () {
+                expect(ids.length).toBe(20);
+                expect(_.take(ids, 5)).toEqual([4, 9, 14, 19, 3]);
+                expect(_.uniq(ids).length).toBe(20);
+                done();
+            })
+            .fail(function (err) {
+                done.fail(err);
+            });
+    });
+
+    it('selectPage should add sort columns to arrays of columns', function (done) {
+        DAC.selectPage({tableName: 'customer', columns: ['name'], orderBy: 'idcustomer', pageSize: 2})
+            .then(function (page) {
+                expect(page.rows).toEqual([{name: 'name1', idcustomer: 1}, {name: 'name2', idcustomer: 2}]);
+                return DAC.selectPage({tableName: 'customer', columns: ['name'], orderBy: 'idcustomer', pageSize: 2,
+                    after: page.cursor});
+            })
+            .done(function (page) {
+                expect(_.map(page.rows, 'idcustomer')).toEqual([3, 4]);
+                done();
+            })
+            .fail(function (err) {
+                done.fail(err);
+            });
+    });
+
+    it('selectPage should reject cursors built for another ordering', function (done) {
+        DAC.selectPage({tableName: 'customer', orderBy: 'idcustomer', pageSize: 5})
+            .then(function (page) {
+                return DAC.selectPage({tableName: 'customer', orderBy: 'name', pageSize: 5, after: page.cursor});
+            })
+            .done(function () {
+                done.fail('cursor should be rejected');
+            })
+            .fail(function (err) {
+                expect(err instanceof DA.DataAccessError).toBeTruthy();
+                done();
+            });
+    });
+
+    it('from should build and run a query', function (done) {
+        const query = DAC.from('customer')
+            .columns('idcustomer', 'name')
+            .where($dq.eq('age', 21))
+            .where($dq.gt('idcustomer', 5))
+            .orderBy('idcustomer desc')
+            .top(2);
+        query.fetch()
+            .then(function (rows) {
+                expect(_.map(rows, 'idcustomer')).toEqual([16, 11]);
+                return query.count();
+            })
+            .done(function (n) {
+                expect(n).toBe(3);
+                done();
+            })
+            .fail(function (err) {
+                done.fail(err);
+            });
+    });
+
+    it('from on promises should give native Promises', function (done) {
+        DAC.promises.from('customer').where($dq.eq('age', 20)).count()
+            .then(function (n) {
+                expect(n).toBe(4);
+                done();
+            }, function (err) {
+                done.fail(err);
+            });
+    });
+
+    it('iterating rows should pause the driver and cancel it when stopped early', function (done) {
+        const calls = [];
+        DAC.sqlConn.queryLines = function () {
+            const def = Deferred(),
+                p = def.promise();
+            p.pause = function () {
+                calls.push('pause');
+            };
+            p.resume = function () {
+                calls.push('resume');
+            };
+            p.cancel = function () {
+                calls.push('cancel');
+                def.reject(new Error('cancelled'));
+            };
+            setTimeout(function () {
+                def.notify({meta: ['idcustomer']});
+                _.forEach(_.range(1, 41), function (i) {
+                    def.notify({row: {idcustomer: i}});
+                });
+            }, 0);
+            return p;
+        };
+        (async function () {
+            const ids = [];
+            for await (const r of DAC.promises.selectRows({tableName: 'customer'})) {
+                if (r.row) {
+                    ids.push(r.row.idcustomer);
+                }
+                if (ids.length === 2) {
+                    break;
+                }
+            }
+            return ids;
+        })()
+            .then(function (ids) {
+                expect(ids).toEqual([1, 2]);
+                expect(calls[0]).toBe('pause');
+                expect(calls).toContain('cancel');
+                delete DAC.sqlConn.queryLines;
+                return DAC.promises.selectCount({tableName: 'customer'});
+            })
+            .then(function (n) {
+                expect(n).toBe(20);
+                done();
+            }, function (err) {
+                done.fail(err);
+            });
+    });
+
+    describe('joins and aggregates', function () {
+        beforeEach(function () {
+            db.addTable('orders', [
+                {idorder: 1, idcustomer: 1, amount: 100},
+                {idorder: 2, idcustomer: 1, amount: 50},
+                {idorder: 3, idcustomer: 2, amount: 70},
+                {idorder: 4, idcustomer: 3, amount: 200}
+            ]);
+        });
+
+        it('select should join tables', function (done) {
+            DAC.from('customer').as('c')
+                .join('orders', $dq.eq($dq.field('o.idcustomer'), $dq.field('c.idcustomer')), 'o')
+                .columns('c.name', 'o.amount')
+                .where($dq.eq('c.idcustomer', 1))
+                .orderBy('o.amount')
+                .fetch()
+                .done(function (rows) {
+                    expect(rows).toEqual([{name: 'name1', amount: 50}, {name: 'name1', amount: 100}]);
+                    done();
+                })
+                .fail(function (err) {
+                    done.fail(err);
+                });
+        });
+
+        it('left joins should keep rows without matches', function (done) {
+            DAC.from('customer').as('c')
+                .leftJoin('orders', $dq.eq($dq.field('o.idcustomer'), $dq.field('c.idcustomer')), 'o')
+                .count()
+                .done(function (n) {
+                    expect(n).toBe(21);
+                    done();
+                })
+                .fail(function (err) {
+                    done.fail(err);
+                });
+        });
+
+        it('select should group rows and filter groups', function (done) {
+            DAC.from('orders')
+                .columns('idcustomer', {expr: $dq.sum($dq.field('amount')), alias: 'total'})
+                .groupBy('idcustomer')
+                .having($dq.gt('total', 100))
+                .orderBy('total desc')
+                .fetch()
+                .done(function (rows) {
+                    expect(rows).toEqual([{idcustomer: 3, total: 200}, {idcustomer: 1, total: 150}]);
+                    done();
+                })
+                .fail(function (err) {
+                    done.fail(err);
+                });
+        });
+
+        it('securing joins should not change the options given', function (done) {
+            const join = {tableName: 'orders', alias: 'o', type: 'inner',
+                    on: $dq.eq($dq.field('o.idcustomer'), $dq.field('c.idcustomer'))},
+                options = {tableName: 'customer', tableAlias: 'c', columns: 'c.name,o.amount', joins: [join],
+                    filter: $dq.eq('c.idcustomer', 1), environment: {}};
+            DAC.security = {
+                securityCondition: function (tableName) {
+                    return Deferred().resolve(tableName === 'orders' ? $dq.gt('amount', 60) : null).promise();
+                }
+            };
+            DAC.select(options)
+                .done(function (rows) {
+                    expect(rows).toEqual([{name: 'name1', amount: 100}]);
+                    expect(options.joins.length).toBe(1);
+                    expect(options.joins[0]).toBe(join);
+                    done();
+                })
+                .fail(function (err) {
+                    done.fail(err);
+                });
+        });
+
+        it('joins should be rejected by drivers not supporting them', function (done) {
+            DAC.sqlConn.supportsJoins = false;
+            DAC.from('customer').join('orders', $dq.eq('idcustomer', 1)).fetch()
+                .done(function () {
+                    done.fail('select should fail');
+                })
+                .fail(function (err) {
+                    expect(err instanceof DA.DriverError).toBeTruthy();
+                    done();
+                });
+        });
+    });
+
+    describe('schema', function () {
+        beforeEach(function () {
+            db.addTable('orders', [{idorder: 1, idcustomer: 1, amount: 10.5}], null, ['idorder'])
+                .addRelation('customerorders', 'customer', ['idcustomer'], 'orders', ['idcustomer']);
+        });
+
+        it('getSchema should describe all tables', function (done) {
+            DAC.getSchema()
+                .done(function (s) {
+                    expect(_.map(s.tables, 'name').sort()).toEqual(['customer', 'orders']);
+                    done();
+                })
+                .fail(function (err) {
+                    done.fail(err);
+                });
+        });
+
+        it('describeTable should give columns, keys and foreign keys', function (done) {
+            DAC.describeTable('orders')
+                .done(function (t) {
+                    expect(_.map(t.columns, 'name')).toEqual(['idorder', 'idcustomer', 'amount']);
+                    expect(_.find(t.columns, {name: 'amount'}).type).toBe('double');
+                    expect(t.primaryKey).toEqual(['idorder']);
+                    expect(t.foreignKeys).toEqual([{name: 'customerorders', columns: ['idcustomer'],
+                        parentTable: 'customer', parentColumns: ['idcustomer']}]);
+                    done();
+                })
+                .fail(function (err) {
+                    done.fail(err);
+                });
+        });
+
+        it('describeTable should reject missing tables', function (done) {
+            DAC.describeTable('nothing')
+                .done(function () {
+                    done.fail('describeTable should fail');
+                })
+                .fail(function (err) {
+                    expect(err instanceof DA.DataAccessError).toBeTruthy();
+                    done();
+                });
+        });
+
+        it('createDataSet should build tables with keys and relations', function (done) {
+            DAC.createDataSet({name: 'sales'})
+                .done(function (ds) {
+                    expect(ds.tables.orders.key()).toEqual(['idorder']);
+                    expect(ds.tables.customer.columns.idcustomer.ctype).toBe('Int32');
+                    expect(ds.relations.customerorders).toBeDefined();
+                    done();
+                })
+                .fail(function (err) {
+                    done.fail(err);
+                });
+        });
+    });
+
+    describe('migrations', function () {
+        let migrations;
+
+        /**
+         * Gets a migration adding a customer on up and removing it on down
+         * @private
+         * @method customerMigration
+         * @param {number} version
+         * @returns {object}
+         */
+        function customerMigration(version) {
+            return {
+                version: version,
+                name: 'customer' + (100 + version),
+                up: function (conn) {
+                    return conn.doSingleInsert('customer', ['idcustomer', 'name', 'age'],
+                        [100 + version, 'migrated', 30]);
+                },
+                down: function (conn) {
+                    return conn.doSingleDelete({tableName: 'customer', filter: $dq.eq('idcustomer', 100 + version)});
+                }
+            };
+        }
+
+        beforeEach(function () {
+            db.addTable('migrations', [], ['version', 'name', 'checksum', 'appliedat'], ['version'])
+                .addTable('migrations_lock', [], ['idlock', 'owner', 'lockedat'], ['idlock']);
+            migrations = [customerMigration(2), customerMigration(1), customerMigration(10)];
+        });
+
+        it('migrate should apply pending migrations in version order', function (done) {
+            const migrator = new DA.Migrator(DAC, {migrations: migrations});
+            migrator.migrate()
+                .then(function (steps) {
+                    expect(_.map(steps, 'version')).toEqual(['1', '2', '10']);
+                    expect(_.map(db.getRows('migrations'), 'version')).toEqual(['1', '2', '10']);
+                    expect(db.getRows('migrations_lock').length).toBe(0);
+                    return migrator.migrate();
+                })
+                .done(function (steps) {
+                    expect(steps).toEqual([]);
+                    done();
+                })
+                .fail(function (err) {
+                    done.fail(err);
+                });
+        });
+
+        it('migrate to a lower version and rollback should revert migrations', function (done) {
+            const migrator = new DA.Migrator(DAC, {migrations: migrations});
+            migrator.migrate()
+                .then(function () {
+                    return migrator.migrate('2');
+                })
+                .then(function (steps) {
+                    expect(steps).toEqual([{version: '10', name: 'customer110', direction: 'down', sql: null}]);
+                    return migrator.rollback(1);
+                })
+                .done(function (steps) {
+                    expect(_.map(steps, 'version')).toEqual(['2']);
+                    expect(_.map(db.getRows('migrations'), 'version')).toEqual(['1']);
+                    expect(_.filter(db.getRows('customer'), {name: 'migrated'}).length).toBe(1);
+                    done();
+                })
+                .fail(function (err) {
+                    done.fail(err);
+                });
+        });
+
+        it('dry runs should give sql without running it', function (done) {
+            const migrator = new DA.Migrator(DAC, {
+                migrations: [{version: 1, up: 'create table a (id int)', down: 'drop table a'}]
+            });
+            migrator.migrate(null, {dryRun: true})
+                .done(function (steps) {
+                    expect(steps).toEqual([{version: '1', name: '', direction: 'up', sql: 'create table a (id int)'}]);
+                    expect(db.getRows('migrations').length).toBe(0);
+                    done();
+                })
+                .fail(function (err) {
+                    done.fail(err);
+                });
+        });
+
+        it('changed scripts of applied migrations should stop migrations', function (done) {
+            new DA.Migrator(DAC, {migrations: migrations}).migrate('1')
+                .then(function () {
+                    migrations[1].up = function () {
+                        return null;
+                    };
+                    return new DA.Migrator(DAC, {migrations: migrations}).migrate();
+                })
+                .done(function () {
+                    done.fail('migrate should fail');
+                })
+                .fail(function (err) {
+                    expect(err instanceof DA.MigrationError).toBeTruthy();
+                    expect(db.getRows('migrations').length).toBe(1);
+                    done();
+                });
+        });
+
+        it('tables created by another process in the meanwhile should not stop migrations', function (done) {
+            const getSchema = DAC.getSchema,
+                commands = [];
+            let schemaReads = 0;
+            //the first read misses the tables, as if another process had created them just after
+            DAC.getSchema = function (options) {
+                schemaReads += 1;
+                return schemaReads === 1 ? Deferred().resolve({tables: []}).promise() : getSchema.call(this, options);
+            };
+            DAC.runCmd = function (cmd) {
+                commands.push(cmd);
+                return Deferred().reject(new Error('table already exists')).promise();
+            };
+            new DA.Migrator(DAC, {migrations: migrations, dateTimeType: 'timestamp'}).migrate()
+                .done(function (steps) {
+                    expect(steps.length).toBe(3);
+                    expect(commands.length).toBe(2);
+                    expect(commands[1]).toContain('lockedat timestamp');
+                    done();
+                })
+                .fail(function (err) {
+                    done.fail(err);
+                });
+        });
+
+        it('migrate should fail while another process holds the lock', function (done) {
+            db.getRows('migrations_lock').push({idlock: 1, owner: 'other', lockedat: new Date()});
+            new DA.Migrator(DAC, {migrations: migrations}).migrate()
+                .done(function () {
+                    done.fail('migrate should fail');
+                })
+                .fail(function (err) {
+                    expect(err instanceof DA.MigrationError).toBeTruthy();
+                    expect(db.getRows('migrations').length).toBe(0);
+                    expect(db.getRows('migrations_lock').length).toBe(1);
+                    done();
+                });
+        });
+
+        it('a failing migration should be rolled back and release the lock', function (done) {
+            migrations.push({
+                version: 20,
+                up: function (conn) {
+                    return conn.doSingleInsert('customer', ['idcustomer', 'name', 'age'], [120, 'migrated', 30])
+                        .then(function () {
+                            return conn.doSingleInsert('customer', ['idcustomer', 'name', 'age'], [1, 'dup', 30]);
+                        });
+                }
+            });
+            new DA.Migrator(DAC, {migrations: migrations}).migrate()
+                .done(function () {
+                    done.fail('migrate should fail');
+                })
+                .fail(function () {
+                    expect(_.map(db.getRows('migrations'), 'version')).toEqual(['1', '2', '10']);
+                    expect(_.find(db.getRows('customer'), {idcustomer: 120})).toBeUndefined();
+                    expect(db.getRows('migrations_lock').length).toBe(0);
+                    done();
+                });
+        });
+    });
+
+    describe('query cache', function () {
+        beforeEach(function () {
+            DAC.queryCache = new DA.QueryCache({tables: {customer: 60000}});
+        });
+
+        it('select should read cached results until the table is written', function (done) {
+            const opt = {tableName: 'customer', filter: $dq.eq('age', 20), applySecurity: false};
+            DAC.select(_.clone(opt))
+                .then(function (rows) {
+                    expect(rows.length).toBe(4);
+                    db.getRows('customer').push({idcustomer: 50, name: 'hidden', age: 20});
+                    return DAC.select(_.clone(opt));
+                })
+                .then(function (rows) {
+                    expect(rows.length).toBe(4);
+                    expect(DAC.queryCache.getStats().hits).toBe(1);
+                    return DAC.doSingleInsert('customer', ['idcustomer', 'name', 'age'], [51, 'new', 20]);
+                })
+                .then(function () {
+                    return DAC.select(_.clone(opt));
+                })
+                .done(function (rows) {
+                    expect(rows.length).toBe(6);
+                    done();
+                })
+                .fail(function (err) {
+                    done.fail(err);
+                });
+        });
+
+        it('readSingleValue should be cached per filter', function (done) {
+            DAC.readSingleValue({tableName: 'customer', expr: $dq.max($dq.field('age')),
+                filter: $dq.lt('idcustomer', 3)})
+                .then(function (age) {
+                    expect(age).toBe(22);
+                    return DAC.readSingleValue({tableName: 'customer', expr: $dq.max($dq.field('age')),
+                        filter: $dq.lt('idcustomer', 2)});
+                })
+                .then(function (age) {
+                    expect(age).toBe(21);
+                    return DAC.doSingleUpdate({table: 'customer', filter: $dq.eq('idcustomer', 1),
+                        columns: ['age'], values: [90]});
+                })
+                .then(function () {
+                    return DAC.readSingleValue({tableName: 'customer', expr: $dq.max($dq.field('age')),
+                        filter: $dq.lt('idcustomer', 2)});
+                })
+                .done(function (age) {
+                    expect(age).toBe(90);
+                    expect(DAC.queryCache.getStats().hits).toBe(0);
+                    done();
+                })
+                .fail(function (err) {
+                    done.fail(err);
+                });
+        });
+
+        it('tables without time to live and transactions should not use the cache', function (done) {
+            db.addTable('orders', [{idorder: 1, idcustomer: 1, amount: 10}]);
+            DAC.select({tableName: 'orders'})
+                .then(function () {
+                    return DAC.transaction(null, function (conn) {
+                        return conn.select({tableName: 'customer'});
+                    });
+                })
+                .done(function () {
+                    expect(DAC.queryCache.getStats()).toEqual({hits: 0, misses: 0, invalidations: 0, hitRate: 0});
+                    done();
+                })
+                .fail(function (err) {
+                    done.fail(err);
+                });
+        });
+
+        it('values read in different environments should not be shared', function (done) {
+            const opt = {tableName: 'customer', filter: $dq.eq('age', 20)};
+            DAC.select(_.assign({environment: {user: 'nino'}}, opt))
+                .then(function () {
+                    return DAC.select(_.assign({environment: {user: 'pino'}}, opt));
+                })
+                .done(function (rows) {
+                    expect(rows.length).toBe(4);
+                    expect(DAC.queryCache.getStats().hits).toBe(0);
+                    done();
+                })
+                .fail(function (err) {
+                    done.fail(err);
+                });
+        });
+
+        it('cache hits and misses should resolve with the same arguments', function (done) {
+            const opt = {tableName: 'customer', filter: $dq.eq('age', 20)};
+            DAC.select(_.clone(opt))
+                .done(function (rows, retryInfo) {
+                    expect(retryInfo).toEqual({attempts: 1, retries: 0});
+                    DAC.select(_.clone(opt))
+                        .done(function (cachedRows, cachedInfo) {
+                            expect(cachedRows).toEqual(rows);
+                            expect(cachedInfo).toEqual({attempts: 0, retries: 0});
+                            done();
+                        })
+                        .fail(function (err) {
+                            done.fail(err);
+                        });
+                })
+                .fail(function (err) {
+                    done.fail(err);
+                });
+        });
+
+        it('failures of the cache store should not stop reads', function (done) {
+            DAC.queryCache.get = function () {
+                return Deferred().reject(new Error('store is down')).promise();
+            };
+            DAC.select({tableName: 'customer', filter: $dq.eq('age', 20)})
+                .done(function (rows) {
+                    expect(rows.length).toBe(4);
+                    done();
+                })
+                .fail(function (err) {
+                    done.fail(err);
+                });
+        });
+    });
+
+    describe('write security', function () {
+        const asked = [];
+        beforeEach(function () {
+            const conditions = {
+                I: $dq.gt('age', 18),
+                U: $dq.lt('idcustomer', 10),
+                D: $dq.lt('idcustomer', 5)
+            };
+            asked.length = 0;
+            DAC.security = {
+                securityCondition: function (tableName, opKind, environment) {
+                    asked.push(opKind + tableName + environment.user);
+                    return Deferred().resolve(conditions[opKind] || null).promise();
+                }
+            };
+        });
+
+        it('updates and deletes should only change rows allowed by the security condition', function (done) {
+            const env = {user: 'nino'};
+            DAC.doSingleUpdate({table: 'customer', filter: $dq.eq('idcustomer', 12), columns: ['name'],
+                values: ['x'], environment: env})
+                .then(function () {
+                    return Deferred().reject('update should fail').promise();
+                }, function (err) {
+                    expect(err instanceof DA.NoRowAffectedError).toBeTruthy();
+                    return DAC.doSingleDelete({tableName: 'customer', filter: $dq.lt('idcustomer', 8),
+                        environment: env});
+                })
+                .done(function (res) {
+                    expect(res.rowcount).toBe(4);
+                    expect(asked).toEqual(['Ucustomernino', 'Dcustomernino']);
+                    done();
+                })
+                .fail(function (err) {
+                    done.fail(err);
+                });
+        });
+
+        it('inserting a row not satisfying the security condition should fail', function (done) {
+            DAC.doSingleInsert('customer', ['idcustomer', 'name', 'age'], [100, 'young', 10], {environment: {}})
+                .then(function () {
+                    return Deferred().reject('insert should fail').promise();
+                }, function (err) {
+                    expect(err instanceof DA.SecurityError).toBeTruthy();
+                    expect(db.getRows('customer').length).toBe(20);
+                    return DAC.doSingleInsert('customer', ['idcustomer', 'name', 'age'], [100, 'young', 10],
+                        {applySecurity: false});
+                })
+                .done(function () {
+                    expect(db.getRows('customer').length).toBe(21);
+                    done();
+                })
+                .fail(function (err) {
+                    done.fail(err);
+                });
+        });
+
+        it('bulk inserts and upserts should apply the security conditions', function (done) {
+            const env = {user: 'nino'};
+            DAC.bulkInsert('customer', [{idcustomer: 100, age: 30}, {idcustomer: 101, age: 10}], {environment: env})
+                .then(function () {
+                    return Deferred().reject('bulkInsert should fail').promise();
+                }, function (err) {
+                    expect(err instanceof DA.SecurityError).toBeTruthy();
+                    expect(db.getRows('customer').length).toBe(20);
+                    return DAC.doUpsert({tableName: 'customer', keyColumns: ['idcustomer'],
+                        columns: ['idcustomer', 'name', 'age'], values: [12, 'x', 30], environment: env});
+                })
+                .then(function () {
+                    return Deferred().reject('doUpsert should fail').promise();
+                }, function (err) {
+                    expect(err instanceof DA.SecurityError).toBeTruthy();
+                    expect(_.find(db.getRows('customer'), {idcustomer: 12}).name).toBe('name12');
+                    return DAC.bulkUpsert('customer', [{idcustomer: 3, name: 'x', age: 30},
+                        {idcustomer: 100, name: 'y', age: 30}], {keyColumns: ['idcustomer'], environment: env});
+                })
+                .done(function (res) {
+                    expect(res).toEqual({inserted: 1, updated: 1});
+                    expect(_.find(db.getRows('customer'), {idcustomer: 3}).name).toBe('x');
+                    expect(db.getRows('customer').length).toBe(21);
+                    done();
+                })
+                .fail(function (err) {
+                    done.fail(err);
+                });
+        });
+    });
+
+    describe('column security', function () {
+        beforeEach(function () {
+            DAC.security = {
+                securityCondition: function () {
+                    return Deferred().resolve(null).promise();
+                },
+                columnPermissions: function (tableName, environment) {
+                    if (environment && environment.user === 'admin') {
+                        return {};
+                    }
+                    return Deferred().resolve({age: 'hidden', name: 'masked'}).promise();
+                }
+            };
+        });
+
+        it('select should strip hidden columns and mask values, both raw and objectified', function (done) {
+            DAC.select({tableName: 'customer', filter: $dq.eq('idcustomer', 3), environment: {}})
+                .then(function (rows) {
+                    expect(rows).toEqual([{idcustomer: 3, name: '****'}]);
+                    return DAC.select({tableName: 'customer', filter: $dq.eq('idcustomer', 3), environment: {}},
+                        true);
+                })
+                .then(function (data) {
+                    expect(data.meta).toEqual(['idcustomer', 'name']);
+                    expect(data.rows).toEqual([[3, '****']]);
+                    return DAC.select({tableName: 'customer', filter: $dq.eq('idcustomer', 3),
+                        environment: {user: 'admin'}});
+                })
+                .done(function (rows) {
+                    expect(rows).toEqual([{idcustomer: 3, name: 'name3', age: 23}]);
+                    done();
+                })
+                .fail(function (err) {
+                    done.fail(err);
+                });
+        });
+
+        it('explicit requests of hidden columns should fail unless security is not applied', function (done) {
+            DAC.select({tableName: 'customer', columns: 'idcustomer,age', environment: {}})
+                .then(function () {
+                    return Deferred().reject('select should fail').promise();
+                }, function (err) {
+                    expect(err instanceof DA.SecurityError).toBeTruthy();
+                    expect(err.message).toContain('age');
+                    return DAC.select({tableName: 'customer', columns: 'idcustomer,age', applySecurity: false,
+                        filter: $dq.eq('idcustomer', 4)});
+                })
+                .done(function (rows) {
+                    expect(rows).toEqual([{idcustomer: 4, age: 24}]);
+                    done();
+                })
+                .fail(function (err) {
+                    done.fail(err);
+                });
+        });
+
+        it('selectPage should not page by masked columns, whose values would be in the cursor', function (done) {
+            DAC.selectPage({tableName: 'customer', orderBy: 'name, idcustomer', pageSize: 5, environment: {}})
+                .then(function () {
+                    return Deferred().reject('selectPage should fail').promise();
+                }, function (err) {
+                    expect(err instanceof DA.SecurityError).toBeTruthy();
+                    expect(err.message).toContain('name');
+                    return DAC.selectPage({tableName: 'customer', orderBy: 'idcustomer', pageSize: 5,
+                        environment: {}});
+                })
+                .done(function (page) {
+                    expect(page.rows[0]).toEqual({idcustomer: 1, name: '****'});
+                    expect(page.cursor).toBeTruthy();
+                    done();
+                })
+                .fail(function (err) {
+                    done.fail(err);
+                });
+        });
+
+        it('selectRows and queryPackets should apply column rules', function (done) {
+            const lines = [],
+                packets = [];
+            DAC.security.columnPermissions = function () {
+                return {
+                    age: 'hidden',
+                    name: function (value, row) {
+                        return value + '/' + row.age;
+                    }
+                };
+            };
+            DAC.selectRows({tableName: 'customer', filter: $dq.eq('idcustomer', 2)}, true)
+                .progress(function (r) {
+                    lines.push(r);
+                })
+                .then(function () {
+                    expect(lines).toEqual([{meta: ['idcustomer', 'name']}, {row: [2, 'name2/22']}]);
+                    return DAC.queryPackets({tableName: 'customer', filter: $dq.lt('idcustomer', 3)}, 0)
+                        .progress(function (p) {
+                            packets.push(p);
+                        });
+                })
+                .done(function () {
+                    expect(packets.length).toBe(1);
+                    expect(packets[0].rows).toEqual([{idcustomer: 1, name: 'name1/21'},
+                        {idcustomer: 2, name: 'name2/22'}]);
+                    done();
+                })
+                .fail(function (err) {
+                    done.fail(err);
+                });
+        });
+    });
+
+    describe('tenant scoping', function () {
+        let TDA;
+        const tenant1 = {idtenant: 1},
+            tenant2 = {idtenant: 2};
+        beforeEach(function (done) {
+            db.addTable('invoice', _.map(_.range(1, 11), function (i) {
+                return {idinvoice: i, idtenant: 1 + (i % 2), idcustomer: i, amount: i * 10};
+            }), null, ['idinvoice']);
+            getMemoryDataAccess(db, {tenant: {tables: ['invoice']}})
+                .done(function (conn) {
+                    TDA = conn;
+                    done();
+                })
+                .fail(function (err) {
+                    done.fail(err);
+                });
+        });
+
+        afterEach(function () {
+            TDA.destroy();
+        });
+
+        it('posting added rows should write the tenant in the command and not in the row', function (done) {
+            const ds = new jsDataSet.DataSet('test'),
+                t = ds.newTable('invoice');
+            t.key(['idinvoice']);
+            const r = t.newRow({idinvoice: 50, amount: 5});
+            TDA.getSecuredPostCommand(r, new jsDataSet.OptimisticLocking([], []), tenant2)
+                .done(function (cmd, values) {
+                    expect(cmd.row.idtenant).toBe(2);
+                    expect(values).toEqual({idtenant: 2});
+                    expect(r.idtenant).toBeUndefined();
+                    done();
+                })
+                .fail(function (err) {
+                    done.fail(err);
+                });
+        });
+
+        it('reads should only give rows of the tenant of the environment', function (done) {
+            TDA.select({tableName: 'invoice', environment: tenant1})
+                .then(function (rows) {
+                    expect(_.map(rows, 'idinvoice')).toEqual([2, 4, 6, 8, 10]);
+                    return TDA.selectCount({tableName: 'invoice', filter: $dq.gt('idinvoice', 5),
+                        environment: tenant2});
+                })
+                .then(function (count) {
+                    expect(count).toBe(2);
+                    return TDA.readSingleValue({tableName: 'invoice', expr: $dq.max($dq.field('amount')),
+                        environment: tenant2});
+                })
+                .then(function (max) {
+                    expect(max).toBe(90);
+                    return TDA.from('customer').as('c')
+                        .join('invoice', $dq.eq($dq.field('i.idcustomer'), $dq.field('c.idcustomer')), 'i')
+                        .columns('c.idcustomer', 'i.amount')
+                        .environment(tenant1)
+                        .fetch();
+                })
+                .then(function (rows) {
+                    expect(_.map(rows, 'amount')).toEqual([20, 40, 60, 80, 100]);
+                    return TDA.selectCount({tableName: 'invoice', allTenants: true});
+                })
+                .done(function (count) {
+                    expect(count).toBe(10);
+                    done();
+                })
+                .fail(function (err) {
+                    done.fail(err);
+                });
+        });
+
+        it('reading scoped tables without a tenant should fail', function (done) {
+            TDA.select({tableName: 'invoice', environment: {}})
+                .then(function () {
+                    return Deferred().reject('select should fail').promise();
+                }, function (err) {
+                    expect(err instanceof DA.SecurityError).toBeTruthy();
+                    return TDA.readSingleValue({tableName: 'invoice', expr: $dq.max($dq.field('amount'))});
+                })
+                .then(function () {
+                    return Deferred().reject('readSingleValue should fail').promise();
+                }, function (err) {
+                    expect(err instanceof DA.SecurityError).toBeTruthy();
+                    return TDA.select({tableName: 'customer', filter: $dq.eq('idcustomer', 1)});
+                })
+                .done(function (rows) {
+                    expect(rows.length).toBe(1);
+                    done();
+                })
+                .fail(function (err) {
+                    done.fail(err);
+                });
+        });
+
+        it('writes should be restricted to the tenant of the environment', function (done) {
+            TDA.doSingleInsert('invoice', ['idinvoice', 'idcustomer', 'amount'], [11, 1, 5], {environment: tenant2})
+                .then(function () {
+                    expect(_.find(db.getRows('invoice'), {idinvoice: 11}).idtenant).toBe(2);
+                    return TDA.doSingleInsert('invoice', ['idinvoice', 'idtenant', 'amount'], [12, 1, 5],
+                        {environment: tenant2});
+                })
+                .then(function () {
+                    return Deferred().reject('insert should fail').promise();
+                }, function (err) {
+                    expect(err instanceof DA.SecurityError).toBeTruthy();
+                    return TDA.doSingleUpdate({table: 'invoice', filter: $dq.lt('idinvoice', 5), columns: ['amount'],
+                        values: [0], environment: tenant1});
+                })
+                .then(function (res) {
+                    expect(res.rowcount).toBe(2);
+                    return TDA.doSingleDelete({tableName: 'invoice', filter: $dq.eq('idinvoice', 3),
+                        environment: tenant1});
+                })
+                .then(function () {
+                    return Deferred().reject('delete should fail').promise();
+                }, function (err) {
+                    expect(err instanceof DA.NoRowAffectedError).toBeTruthy();
+                    return TDA.doSingleDelete({tableName: 'invoice', filter: $dq.eq('idinvoice', 3),
+                        allTenants: true});
+                })
+                .done(function () {
+                    expect(db.getRows('invoice').length).toBe(10);
+                    expect(_.map(_.filter(db.getRows('invoice'), {amount: 0}), 'idinvoice')).toEqual([2, 4]);
+                    done();
+                })
+                .fail(function (err) {
+                    done.fail(err);
+                });
+        });
+
+        it('bulkInsert should write the tenant of the environment', function (done) {
+            TDA.bulkInsert('invoice', [{idinvoice: 11, amount: 1}, {idinvoice: 12, amount: 2}], {environment: tenant2})
+                .then(function (n) {
+                    expect(n).toBe(2);
+                    expect(_.map(_.filter(db.getRows('invoice'), {amount: 1}), 'idtenant')).toEqual([2]);
+                    return TDA.bulkInsert('invoice', [{idinvoice: 13, amount: 3}, {idinvoice: 14, idtenant: 2}],
+                        {environment: tenant1});
+                })
+                .done(function () {
+                    done.fail('bulkInsert should fail');
+                })
+                .fail(function (err) {
+                    expect(err instanceof DA.SecurityError).toBeTruthy();
+                    expect(db.getRows('invoice').length).toBe(12);
+                    done();
+                });
+        });
+
+        it('doUpsert should never overwrite rows of another tenant', function (done) {
+            TDA.doUpsert({tableName: 'invoice', keyColumns: ['idinvoice'], columns: ['idinvoice', 'amount'],
+                values: [3, 0], environment: tenant1})
+                .then(function () {
+                    return Deferred().reject('doUpsert should fail').promise();
+                }, function (err) {
+                    expect(err instanceof DA.SecurityError).toBeTruthy();
+                    expect(_.find(db.getRows('invoice'), {idinvoice: 3}).amount).toBe(30);
+                    return TDA.doUpsert({tableName: 'invoice', keyColumns: ['idinvoice'],
+                        columns: ['idinvoice', 'amount'], values: [2, 0], environment: tenant1});
+                })
+                .done(function (res) {
+                    expect(res).toEqual({inserted: 0, updated: 1});
+                    expect(_.find(db.getRows('invoice'), {idinvoice: 2}).amount).toBe(0);
+                    done();
+                })
+                .fail(function (err) {
+                    done.fail(err);
+                });
+        });
+
+        it('bulkUpsert should insert rows of the tenant and update only its rows', function (done) {
+            TDA.bulkUpsert('invoice', [{idinvoice: 4, amount: 0}, {idinvoice: 20, amount: 0}],
+                {keyColumns: ['idinvoice'], environment: tenant1})
+                .then(function (res) {
+                    expect(res).toEqual({inserted: 1, updated: 1});
+                    expect(_.find(db.getRows('invoice'), {idinvoice: 20}).idtenant).toBe(1);
+                    return TDA.bulkUpsert('invoice', [{idinvoice: 5, amount: 0}], {keyColumns: ['idinvoice'],
+                        environment: tenant1});
+                })
+                .done(function () {
+                    done.fail('bulkUpsert should fail');
+                })
+                .fail(function (err) {
+                    expect(err.updated).toBe(0);
+                    expect(_.find(db.getRows('invoice'), {idinvoice: 5}).amount).toBe(50);
+                    done();
+                });
+        });
+    });
+
+    describe('audit trail', function () {
+        let ADA;
+
+        function getAuditDataAccess(audit) {
+            return getMemoryDataAccess(db, {audit: audit})
+                .done(function (conn) {
+                    ADA = conn;
+                });
+        }
+
+        beforeEach(function () {
+            db.addTable('audit', [], ['tablename', 'operation', 'keyvalues', 'oldvalues', 'newvalues', 'username',
+                'stamp']);
+        });
+
+        afterEach(function () {
+            if (ADA) {
+                ADA.destroy();
+            }
+        });
+
+        it('single commands should write key, old and new values and user to the audit table', function (done) {
+            const env = {user: 'nino'};
+            getAuditDataAccess({tables: ['customer']})
+                .then(function () {
+                    return ADA.doSingleInsert('customer', ['idcustomer', 'name', 'age'], [21, 'new', 30],
+                        {environment: env});
+                })
+                .then(function () {
+                    return ADA.doSingleUpdate({table: 'customer', filter: $dq.lt('idcustomer', 3),
+                        columns: ['name', 'age'], values: ['name1', 40], environment: env});
+                })
+                .then(function () {
+                    return ADA.doSingleDelete({tableName: 'customer', filter: $dq.eq('idcustomer', 21),
+                        environment: env});
+                })
+                .done(function () {
+                    const rows = db.getRows('audit');
+                    expect(_.map(rows, 'operation')).toEqual(['I', 'U', 'U', 'D']);
+                    expect(_.uniq(_.map(rows, 'username'))).toEqual(['nino']);
+                    expect(JSON.parse(rows[0].keyvalues)).toEqual({idcustomer: 21});
+                    expect(rows[0].oldvalues).toBe(null);
+                    expect(JSON.parse(rows[1].oldvalues)).toEqual({age: 21});
+                    expect(JSON.parse(rows[1].newvalues)).toEqual({age: 40});
+                    expect(JSON.parse(rows[2].keyvalues)).toEqual({idcustomer: 2});
+                    expect(JSON.parse(rows[2].oldvalues)).toEqual({name: 'name2', age: 22});
+                    expect(JSON.parse(rows[3].oldvalues)).toEqual({idcustomer: 21, name: 'new', age: 30});
+                    expect(rows[3].newvalues).toBe(null);
+                    expect(rows[3].stamp instanceof Date).toBeTruthy();
+                    done();
+                })
+                .fail(function (err) {
+                    done.fail(err);
+                });
+        });
+
+        it('changes should be rolled back if the sink fails', function (done) {
+            const written = [];
+            getAuditDataAccess({
+                keys: {customer: ['idcustomer']},
+                sink: {
+                    write: function (entries) {
+                        written.push(entries);
+                        return Promise.reject(new Error('sink is full'));
+                    }
+                }
+            })
+                .then(function () {
+                    return ADA.doSingleDelete({tableName: 'customer', filter: $dq.eq('idcustomer', 5)});
+                })
+                .done(function () {
+                    done.fail('delete should fail');
+                })
+                .fail(function (err) {
+                    expect(err.message).toContain('sink is full');
+                    expect(written.length).toBe(1);
+                    expect(written[0][0].key).toEqual({idcustomer: 5});
+                    expect(written[0][0].user).toBe(null);
+                    expect(db.getRows('customer').length).toBe(20);
+                    expect(db.getRows('audit').length).toBe(0);
+                    done();
+                });
+        });
+
+        it('bulk inserts and upserts should write their audit entries', function (done) {
+            const env = {user: 'nino'};
+            getAuditDataAccess({tables: ['customer']})
+                .then(function () {
+                    return ADA.bulkInsert('customer', [{idcustomer: 21, name: 'a'}, {idcustomer: 22, name: 'b'}],
+                        {environment: env});
+                })
+                .then(function () {
+                    return ADA.doUpsert({tableName: 'customer', keyColumns: ['idcustomer'],
+                        columns: ['idcustomer', 'name'], values: [21, 'changed'], environment: env});
+                })
+                .then(function () {
+                    return ADA.bulkUpsert('customer', [{idcustomer: 1, name: 'first'}, {idcustomer: 23, name: 'c'}],
+                        {keyColumns: ['idcustomer'], environment: env});
+                })
+                .done(function () {
+                    const rows = db.getRows('audit');
+                    expect(_.map(rows, 'operation')).toEqual(['I', 'I', 'U', 'U', 'I']);
+                    expect(_.map(rows, function (r) {
+                        return JSON.parse(r.keyvalues).idcustomer;
+                    })).toEqual([21, 22, 21, 1, 23]);
+                    expect(JSON.parse(rows[2].oldvalues)).toEqual({name: 'a'});
+                    expect(JSON.parse(rows[3].newvalues)).toEqual({name: 'first'});
+                    done();
+                })
+                .fail(function (err) {
+                    done.fail(err);
+                });
+        });
+    });
+
+    describe('pool', function () {
+        let pool;
+        beforeEach(function () {
+            const template = new memoryDriver.Connection({database: db});
+            db.addTable('ping', [{id: 1}]);
+            pool = new DataAccessPool({sqlConn: template, max: 1, acquireTimeout: 1000,
+                validationQuery: template.getSelectCount({tableName: 'ping'})});
+        });
+
+        afterEach(function () {
+            pool.destroy();
+        });
+
+        it('released connections failing validation should be replaced for pending requests', function (done) {
+            let first;
+            pool.acquire()
+                .then(function (conn) {
+                    first = conn;
+                    const next = pool.acquire();
+                    expect(pool.pending).toBe(1);
+                    delete db.tables.ping;
+                    pool.release(conn);
+                    return next;
+                })
+                .done(function (conn) {
+                    expect(conn).not.toBe(first);
+                    expect(pool.size).toBe(1);
+                    expect(pool.pending).toBe(0);
+                    done();
+                })
+                .fail(function (err) {
+                    done.fail(err);
+                });
+        });
+
+        it('connections released twice or in a transaction should not be lent again', function (done) {
+            let first;
+            pool.acquire()
+                .then(function (conn) {
+                    first = conn;
+                    pool.release(conn);
+                    expect(function () {
+                        pool.release(conn);
+                    }).toThrowError(DA.ConnectionError);
+                    return pool.acquire();
+                })
+                .then(function (conn) {
+                    expect(conn).toBe(first);
+                    return conn.open()
+                        .then(function () {
+                            return conn.beginTransaction(DA.isolationLevels.readCommitted);
+                        })
+                        .then(function () {
+                            return conn.doSingleDelete({tableName: 'customer', filter: $dq.eq('idcustomer', 1)});
+                        })
+                        .then(function () {
+                            pool.release(conn);
+                            return pool.acquire();
+                        });
+                })
+                .done(function (conn) {
+                    expect(conn).not.toBe(first);
+                    expect(conn.transactionLevel).toBe(0);
+                    expect(db.getRows('customer').length).toBe(20);
+                    done();
+                })
+                .fail(function (err) {
+                    done.fail(err);
+                });
+        });
+
+        it('discarded connections should be replaced up to the minimum size', function (done) {
+            const minPool = new DataAccessPool({sqlConn: new memoryDriver.Connection({database: db}), min: 1});
+            let first;
+            minPool.acquire()
+                .then(function (conn) {
+                    first = conn;
+                    return conn.open();
+                })
+                .done(function () {
+                    minPool.release(first);
+                    setTimeout(function () {
+                        expect(minPool.available).toBe(1);
+                        minPool.acquire()
+                            .done(function (conn) {
+                                expect(conn).not.toBe(first);
+                                minPool.release(conn);
+                                minPool.destroy();
+                                done();
+                            })
+                            .fail(function (err) {
+                                done.fail(err);
+                            });
+                    }, 50);
+                })
+                .fail(function (err) {
+                    done.fail(err);
+                });
+        });
+    });
+
+    describe('stamp columns', function () {
+        let SDA;
+
+        function getStampDataAccess(stampColumns) {
+            return getMemoryDataAccess(db, {stampColumns: stampColumns})
+                .done(function (conn) {
+                    SDA = conn;
+                });
+        }
+
+        beforeEach(function () {
+            db.addTable('note', [{idnote: 1, text: 'first', ct: null, cu: null, lt: null, lu: null}],
+                ['idnote', 'text', 'ct', 'cu', 'lt', 'lu'], ['idnote']);
+        });
+
+        afterEach(function () {
+            if (SDA) {
+                SDA.destroy();
+            }
+        });
+
+        it('inserts should fill all stamp columns and updates only the last change ones', function (done) {
+            getStampDataAccess({tables: {customer: {lt: 'stamp', lu: 'name'}}, convention: true})
+                .then(function () {
+                    return SDA.doSingleInsert('note', ['idnote', 'text'], [2, 'second'],
+                        {environment: {user: 'nino'}});
+                })
+                .then(function () {
+                    return SDA.doSingleUpdate({table: 'note', filter: $dq.eq('idnote', 1),
+                        columns: ['text'], values: ['changed'], environment: {user: 'pino'}});
+                })
+                .done(function () {
+                    const rows = _.keyBy(db.getRows('note'), 'idnote');
+                    expect(rows[2].ct instanceof Date).toBeTruthy();
+                    expect(rows[2].lt instanceof Date).toBeTruthy();
+                    expect(rows[2].cu).toBe('nino');
+                    expect(rows[2].lu).toBe('nino');
+                    expect(rows[1].text).toBe('changed');
+                    expect(rows[1].ct).toBe(null);
+                    expect(rows[1].cu).toBe(null);
+                    expect(rows[1].lt instanceof Date).toBeTruthy();
+                    expect(rows[1].lu).toBe('pino');
+                    done();
+                })
+                .fail(function (err) {
+                    done.fail(err);
+                });
+        });
+
+        it('columns listed for a table should be used in place of the convention', function (done) {
+            getStampDataAccess({tables: {customer: {lu: 'name'}}, convention: true})
+                .then(function () {
+                    return SDA.doSingleUpdate({table: 'customer', filter: $dq.eq('idcustomer', 3),
+                        columns: ['age'], values: [50], environment: {user: 'nino'}});
+                })
+                .done(function () {
+                    const row = _.find(db.getRows('customer'), {idcustomer: 3});
+                    expect(row.name).toBe('nino');
+                    expect(row.age).toBe(50);
+                    done();
+                })
+                .fail(function (err) {
+                    done.fail(err);
+                });
+        });
+
+        it('bulk inserts and upserts should fill the stamp columns', function (done) {
+            const env = {user: 'nino'};
+            getStampDataAccess({convention: true})
+                .then(function () {
+                    return SDA.bulkInsert('note', [{idnote: 2, text: 'second'}], {environment: env});
+                })
+                .then(function () {
+                    return SDA.doUpsert({tableName: 'note', keyColumns: ['idnote'], columns: ['idnote', 'text'],
+                        values: [1, 'changed'], environment: env});
+                })
+                .then(function () {
+                    return SDA.bulkUpsert('note', [{idnote: 3, text: 'third'}], {keyColumns: ['idnote'],
+                        environment: env});
+                })
+                .done(function () {
+                    const rows = _.keyBy(db.getRows('note'), 'idnote');
+                    expect(rows[2].cu).toBe('nino');
+                    expect(rows[2].ct instanceof Date).toBeTruthy();
+                    expect(rows[1].text).toBe('changed');
+                    expect(rows[1].cu).toBe(null);
+                    expect(rows[1].lu).toBe('nino');
+                    expect(rows[3].cu).toBe('nino');
+                    expect(rows[3].lt instanceof Date).toBeTruthy();
+                    done();
+                })
+                .fail(function (err) {
+                    done.fail(err);
+                });
+        });
+    });
+
+    it('hooks should be invoked with command, table, row count and elapsed time', function (done) {
+        const events = [];
+        DAC.hooks = {
+            onQueryStart: function (e) {
+                events.push('start');
+            },
+            onQueryEnd: function (e) {
+                events.push(e);
+            },
+            onError: function (e) {
+                events.push(e);
+            }
+        };
+        DAC.select({tableName: 'customer', filter: $dq.eq('age', 20), environment: {user: 'nino'}})
+            .then(function () {
+                return DAC.doSingleInsert('customer', ['idcustomer', 'name', 'age'], [1, 'dup', 50]);
+            })
+            .always(function () {
+                expect(events.length).toBe(4);
+                expect(events[0]).toBe('start');
+                expect(events[1].kind).toBe('query');
+                expect(events[1].tableName).toBe('customer');
+                expect(events[1].user).toBe('nino');
+                expect(events[1].rowCount).toBe(4);
+                expect(events[1].elapsed).toBeGreaterThan(-1);
+                expect(events[3].kind).toBe('update');
+                expect(events[3].error).toBeDefined();
+                done();
+            });
+    });
+
+    it('runScript should give the line of the failing batch', function (done) {
+        DAC.runScript('\n\nGO\n\n-- start\ndelete from customer\nGO\nselect 1')
+            .done(function () {
+                done.fail('sql text should not be supported');
+            })
+            .fail(function (err) {
+                expect(err.line).toBe(5);
+                done();
+            });
+    });
+
+    it('runScript should read scripts from files', function (done) {
+        DAC.runScript({file: path.join(__dirname, '..', 'destroy.sql')})
+            .then(function () {
+                return Deferred().reject('sql text should not be supported').promise();
+            }, function (err) {
+                expect(err.line).toBe(2);
+                return DAC.runScript({file: path.join(__dirname, 'missing.sql')});
+            })
+            .done(function () {
+                done.fail('missing files should not be run');
+            })
+            .fail(function (err) {
+                expect(err instanceof DA.DataAccessError).toBeTruthy();
+                done();
+            });
+    });
+
+    it('sql text should be rejected', function (done) {
+        DAC.runSql('select * from customer')
+            .done(function () {
+                done.fail('sql text should not be supported');
+            })
+            .fail(function () {
+                done();
+            });
+    });
+
+    it('readSingleValue and selectCount should use the statement cache of drivers that prepare', function (done) {
+        const commands = {},
+            sqlConn = DAC.sqlConn,
+            getSelectCommand = sqlConn.getSelectCommand,
+            getSelectCount = sqlConn.getSelectCount;
+        //the memory driver builds objects: they are given to prepare by a made up sql text
+        sqlConn.getSelectCommand = function (options) {
+            const sql = 'select ' + options.tableName + ' ' + String(options.filter);
+            commands[sql] = getSelectCommand.call(this, options);
+            return sql;
+        };
+        sqlConn.getSelectCount = function (options) {
+            const sql = 'count ' + options.tableName + ' ' + String(options.filter);
+            commands[sql] = getSelectCount.call(this, options);
+            return sql;
+        };
+        sqlConn.prepare = function (sql) {
+            return Deferred().resolve({
+                execute: function (params, raw) {
+                    return sqlConn.queryBatch(commands[sql], raw);
+                }
+            }).promise();
+        };
+        const filter = $dq.eq('age', 20),
+            expr = $dq.max($dq.field('idcustomer'));
+        DAC.selectCount({tableName: 'customer', filter: filter})
+            .then(function () {
+                return DAC.selectCount({tableName: 'customer', filter: filter});
+            })
+            .then(function (n) {
+                expect(n).toBe(4);
+                expect(DAC.statementCache.getStats().hits).toBe(1);
+                return DAC.readSingleValue({tableName: 'customer', expr: expr, filter: filter});
+            })
+            .then(function () {
+                return DAC.readSingleValue({tableName: 'customer', expr: expr, filter: filter});
+            })
+            .done(function (max) {
+                expect(max).toBe(20);
+                expect(DAC.statementCache.getStats().hits).toBe(2);
+                done();
+            })
+            .fail(function (err) {
+                done.fail(err);
+            });
+    });
+
+    describe('parameters in sql text', function () {
+        let sent;
+        beforeEach(function () {
+            sent = [];
+            DAC.sqlConn.queryBatch = function (sql) {
+                sent.push(sql);
+                return Deferred().resolve([]).promise();
+            };
+        });
+
+        it('placeholders in comments should not be bound', function (done) {
+            DAC.runSql('select * -- any ?\nfrom customer /* idcustomer = ? */ where idcustomer = ?', [1])
+                .done(function () {
+                    expect(sent).toEqual(
+                        ['select * -- any ?\nfrom customer /* idcustomer = ? */ where idcustomer = 1']);
+                    done();
+                })
+                .fail(function (err) {
+                    done.fail(err);
+                });
+        });
+
+        it('raw should be kept when parameters are null', function (done) {
+            const readRaw = [];
+            DAC.myReadFirstTable = function (query, raw) {
+                readRaw.push(raw);
+                return Deferred().resolve([]).promise();
+            };
+            DAC.runSql('select 1', null, true)
+                .then(function () {
+                    return DAC.runSql('select 1', true);
+                })
+                .done(function () {
+                    expect(readRaw).toEqual([true, true]);
+                    done();
+                })
+                .fail(function (err) {
+                    done.fail(err);
+                });
+        });
+
+        it('single row inserts and updates should bind values for drivers supporting parameters', function (done) {
+            const formatter = DAC.getFormatter();
+            DAC.sqlConn.supportsParameters = true;
+            DAC.sqlConn.getFormatter = function () {
+                return _.assign({}, formatter, {
+                    toSql: function () {
+                        return 'idcustomer = 1';
+                    }
+                });
+            };
+            DAC.sqlConn.updateBatch = function (cmd) {
+                sent.push(cmd);
+                return Deferred().resolve({rowcount: 1}).promise();
+            };
+            DAC.doSingleInsert('customer', ['idcustomer', 'name'], [100, 'it\'s'])
+                .then(function () {
+                    return DAC.doSingleUpdate({table: 'customer', filter: $dq.eq('idcustomer', 1),
+                        columns: ['name', 'age'], values: ['other', 30]});
+                })
+                .done(function () {
+                    expect(sent.length).toBe(2);
+                    expect(sent[0] instanceof DA.SqlCommand).toBeTruthy();
+                    expect(sent[0].sql).toBe('insert into customer(idcustomer,name) values (?,?)');
+                    expect(sent[0].params).toEqual([100, 'it\'s']);
+                    expect(sent[1].sql).toBe('update customer set name = ?,age = ? where idcustomer = 1');
+                    expect(sent[1].params).toEqual(['other', 30]);
+                    done();
+                })
+                .fail(function (err) {
+                    done.fail(err);
+                });
+        });
+
+        it('escaped quotes should not end strings', function (done) {
+            DAC.runSql("select * from customer where name <> 'it\\'s ?' and idcustomer = ?", [1])
+                .done(function () {
+                    expect(sent).toEqual(["select * from customer where name <> 'it\\'s ?' and idcustomer = 1"]);
+                    done();
+                })
+                .fail(function (err) {
+                    done.fail(err);
+                });
+        });
+
+        it('backslashes should be ordinary characters if the formatter does not escape with them', function (done) {
+            const formatter = DAC.getFormatter();
+            DAC.sqlConn.getFormatter = function () {
+                return _.assign({}, formatter, {backslashEscapes: false});
+            };
+            DAC.runSql("select * from customer where name <> 'C:\\temp\\' and idcustomer = ?", [1])
+                .done(function () {
+                    expect(sent).toEqual(["select * from customer where name <> 'C:\\temp\\' and idcustomer = 1"]);
+                    done();
+                })
+                .fail(function (err) {
+                    done.fail(err);
+                });
+        });
+    });
+
+    it('driver failures should be errors', function (done) {
+        DAC.callSPWithNamedParams('missing', [])
+            .then(function () {
+                return Deferred().reject('callSPWithNamedParams should fail').promise();
+            }, function (err) {
+                expect(err instanceof Error).toBeTruthy();
+                expect(err.message).toContain('missing');
+                return DAC.sqlConn.run('select 1');
+            })
+            .done(function () {
+                done.fail('run should fail');
+            })
+            .fail(function (err) {
+                expect(err instanceof Error).toBeTruthy();
+                expect(DAC.sqlConn.commit().state()).toBe('rejected');
+                done();
+            });
+    });
+});
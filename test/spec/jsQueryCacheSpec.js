@@ -0,0 +1,122 @@
+/*globals expect  */
+'use strict';
+
+
+const queryCache = require('../../src/jsQueryCache');
+const QueryCache = queryCache.QueryCache;
+const MemoryCacheStore = queryCache.MemoryCacheStore;
+
+
+describe('QueryCache', function () {
+    it('should give copies of the cached values', function (done) {
+        const cache = new QueryCache({tables: {a: 1000}}),
+            value = [{id: 1}];
+        cache.set(['a'], 'k', value);
+        value[0].id = 2;
+        cache.get('k')
+            .done(function (v) {
+                expect(v).toEqual([{id: 1}]);
+                expect(cache.getStats().hits).toBe(1);
+                done();
+            });
+    });
+
+    it('should keep only tables with a time to live', function () {
+        const cache = new QueryCache({tables: {a: 1000, b: 0}, defaultTtl: 500});
+        expect(cache.getTtl(['a'])).toBe(1000);
+        expect(cache.getTtl(['a', 'c'])).toBe(500);
+        expect(cache.getTtl(['a', 'b'])).toBe(0);
+    });
+
+    it('invalidate should discard values read from the table', function (done) {
+        const cache = new QueryCache({defaultTtl: 1000});
+        cache.set(['a', 'b'], 'ab', 1);
+        cache.set(['c'], 'c', 2);
+        cache.invalidate('b');
+        cache.get('ab')
+            .then(function (v) {
+                expect(v).toBeUndefined();
+                return cache.get('c');
+            })
+            .done(function (v) {
+                expect(v).toBe(2);
+                done();
+            });
+    });
+
+    it('should not store values read while one of their tables was invalidated', function (done) {
+        const cache = new QueryCache({defaultTtl: 1000}),
+            generation = cache.getGeneration(['a', 'b']);
+        cache.invalidate('b');
+        cache.set(['a', 'b'], 'ab', 1, generation);
+        cache.set(['c'], 'c', 2, cache.getGeneration(['c']));
+        cache.get('ab')
+            .then(function (v) {
+                expect(v).toBeUndefined();
+                return cache.get('c');
+            })
+            .done(function (v) {
+                expect(v).toBe(2);
+                done();
+            });
+    });
+
+    it('should accept stores giving native promises', function (done) {
+        const values = {},
+            cache = new QueryCache({
+                defaultTtl: 1000,
+                store: {
+                    get: function (key) {
+                        return Promise.resolve(values[key]);
+                    },
+                    set: function (key, value) {
+                        values[key] = value;
+                    },
+                    delete: function (key) {
+                        delete values[key];
+                    },
+                    clear: function () {
+                    }
+                }
+            });
+        cache.set(['a'], 'k', 'v');
+        cache.get('k')
+            .done(function (v) {
+                expect(v).toBe('v');
+                done();
+            });
+    });
+
+    it('should forget keys of values discarded by the store or expired', function (done) {
+        const cache = new QueryCache({tables: {a: 1000, b: 1}, maxSize: 1});
+        cache.set(['a'], 'k1', 1);
+        cache.set(['a'], 'k2', 2);
+        cache.get('k1')
+            .done(function (v) {
+                expect(v).toBeUndefined();
+                expect(Array.from(cache.tableKeys.a)).toEqual(['k2']);
+                cache.set(['b'], 'k3', 3);
+                setTimeout(function () {
+                    cache.set(['a'], 'k4', 4);
+                    expect(cache.tableKeys.b).toBeUndefined();
+                    expect(Array.from(cache.keyInfo.keys())).toEqual(['k2', 'k4']);
+                    done();
+                }, 10);
+            });
+    });
+});
+
+describe('MemoryCacheStore', function () {
+    it('should discard expired and least recently used values', function () {
+        const store = new MemoryCacheStore(2);
+        store.set('a', 1, 1000);
+        store.set('b', 2, -1);
+        expect(store.get('b')).toBeUndefined();
+        store.set('c', 3, 1000);
+        store.get('a');
+        store.set('d', 4, 1000);
+        expect(store.get('c')).toBeUndefined();
+        expect(store.get('a')).toBe(1);
+        expect(store.get('d')).toBe(4);
+    });
+});
@@ -0,0 +1,45 @@
+/*globals expect  */
+'use strict';
+
+
+const splitScript = require('../../src/jsSqlScript').splitScript;
+
+
+describe('splitScript', function () {
+    it('should split on separator lines and skip empty batches', function () {
+        expect(splitScript('select 1\nGO\n\n\nselect 2\n  go ;\nGO\n')).toEqual([
+            {sql: 'select 1', line: 1},
+            {sql: 'select 2', line: 5}
+        ]);
+    });
+
+    it('should ignore separators in strings and comments', function () {
+        const script = 'select \'it\'\'s\nGO\n\'\n/* a\nGO\n*/\n-- \'\nselect "\\"\nGO\n"\nGO\nselect 2';
+        expect(splitScript(script, 'GO', true)).toEqual([
+            {sql: 'select \'it\'\'s\nGO\n\'\n/* a\nGO\n*/\n-- \'\nselect "\\"\nGO\n"', line: 1},
+            {sql: 'select 2', line: 12}
+        ]);
+    });
+
+    it('should take backslashes as ordinary characters unless backslash escapes are enabled', function () {
+        const script = 'select \'C:\\temp\\\'\nGO\nselect 2';
+        expect(splitScript(script)).toEqual([
+            {sql: 'select \'C:\\temp\\\'', line: 1},
+            {sql: 'select 2', line: 3}
+        ]);
+        expect(splitScript(script, 'GO', true)).toEqual([
+            {sql: script, line: 1}
+        ]);
+    });
+
+    it('should accept other separators and windows line ends', function () {
+        expect(splitScript('select 1\r\n/\r\nselect 2', '/')).toEqual([
+            {sql: 'select 1', line: 1},
+            {sql: 'select 2', line: 3}
+        ]);
+    });
+
+    it('should give nothing for empty scripts', function () {
+        expect(splitScript(' \n\nGO\n')).toEqual([]);
+    });
+});
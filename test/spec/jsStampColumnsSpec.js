@@ -0,0 +1,28 @@
+/*globals expect  */
+'use strict';
+
+
+const StampColumns = require('../../src/jsStampColumns').StampColumns;
+
+
+describe('StampColumns', function () {
+    it('should apply the convention only to columns of the table', function () {
+        const stamps = new StampColumns({convention: true});
+        expect(stamps.needsColumns('a')).toBeTruthy();
+        stamps.setTableColumns('a', ['id', 'ct', 'lu']);
+        expect(stamps.needsColumns('a')).toBe(false);
+        expect(stamps.getColumns('a')).toEqual({ct: 'ct', lu: 'lu'});
+        expect(stamps.getColumns('b', ['lt'])).toEqual({lt: 'lt'});
+    });
+
+    it('should give the values of the columns written by each operation', function () {
+        const stamps = new StampColumns({tables: {a: {ct: 'created', cu: 'creator', lt: 'changed', lu: 'changer'}}}),
+            now = new Date();
+        expect(stamps.needsColumns('a')).toBe(false);
+        expect(stamps.getValues(stamps.getColumns('a'), 'insert', 'nino', now))
+            .toEqual({created: now, creator: 'nino', changed: now, changer: 'nino'});
+        expect(stamps.getValues(stamps.getColumns('a'), 'update', 'nino', now))
+            .toEqual({changed: now, changer: 'nino'});
+        expect(stamps.getColumns('b')).toEqual({});
+    });
+});
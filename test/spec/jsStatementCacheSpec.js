@@ -0,0 +1,109 @@
+/*globals expect  */
+'use strict';
+
+
+const StatementCache = require('../../src/jsStatementCache').StatementCache;
+const Deferred = require("JQDeferred");
+
+
+/**
+ * Gets a function creating fake statements, counting those released in released.n
+ * @private
+ * @method statementFactory
+ * @param {object} released
+ * @returns {function}
+ */
+function statementFactory(released) {
+    return function () {
+        return Deferred().resolve({
+            unprepare: function () {
+                released.n += 1;
+            }
+        }).promise();
+    };
+}
+
+
+describe('StatementCache', function () {
+    it('should give the same statement for the same sql', function () {
+        const cache = new StatementCache(10),
+            create = statementFactory({n: 0}),
+            s1 = cache.get('select 1', create),
+            s2 = cache.get('select 1', create);
+        expect(s1).toBe(s2);
+        expect(cache.getStats()).toEqual({size: 1, maxSize: 10, hits: 1, misses: 1, evictions: 0, hitRate: 0.5});
+    });
+
+    it('should discard the least recently used statement', function () {
+        const released = {n: 0},
+            cache = new StatementCache(2),
+            create = statementFactory(released),
+            s1 = cache.get('a', create);
+        cache.get('b', create);
+        cache.get('a', create);
+        cache.get('c', create);
+        expect(released.n).toBe(1);
+        expect(cache.get('a', create)).toBe(s1);
+        expect(cache.getStats().evictions).toBe(1);
+        expect(cache.getStats().size).toBe(2);
+    });
+
+    it('should not keep statements that could not be prepared', function () {
+        const cache = new StatementCache(2);
+        cache.get('wrong', function () {
+            return Deferred().reject('syntax error').promise();
+        });
+        expect(cache.getStats().size).toBe(0);
+    });
+
+    it('clear should release all statements', function () {
+        const released = {n: 0},
+            cache = new StatementCache(),
+            create = statementFactory(released);
+        cache.get('a', create);
+        cache.get('b', create);
+        cache.clear();
+        expect(released.n).toBe(2);
+        expect(cache.getStats().size).toBe(0);
+    });
+
+    it('a cache of size 0 should keep nothing', function () {
+        const cache = new StatementCache(0),
+            create = statementFactory({n: 0});
+        expect(cache.get('a', create)).not.toBe(cache.get('a', create));
+        expect(cache.getStats().misses).toBe(2);
+    });
+
+    it('run should unprepare the statements of a cache of size 0 when their execution is over', function () {
+        const released = {n: 0},
+            cache = new StatementCache(0),
+            execution = Deferred();
+        let result;
+        cache.run('a', statementFactory(released), function () {
+            return execution.promise();
+        })
+            .done(function (r) {
+                result = r;
+            });
+        expect(released.n).toBe(0);
+        execution.resolve(1);
+        expect(result).toBe(1);
+        expect(released.n).toBe(1);
+    });
+
+    it('statements discarded while running should be unprepared when their execution is over', function () {
+        const released = {n: 0},
+            cache = new StatementCache(1),
+            create = statementFactory(released),
+            execution = Deferred();
+        cache.run('a', create, function () {
+            return execution.promise();
+        });
+        cache.get('b', create);
+        cache.clear();
+        expect(released.n).toBe(1);
+        execution.reject('failed');
+        expect(released.n).toBe(2);
+        expect(cache.getStats().evictions).toBe(1);
+    });
+});